@@ -0,0 +1,170 @@
+// Catalog backup from the command line
+//   node backup.js export [file] [--uploads]
+//   node backup.js import <file> [--mode=merge|replace] [--existing=overwrite|skip] [--dry-run] [--no-uploads]
+//   node backup.js snapshot
+//   node backup.js snapshots
+//   node backup.js restore <snapshot> [--dry-run]
+// Uses the same storage, uploads and backup directories as the server (STORAGE_BACKEND and
+// BACKUP_DIR). Restart the server after an import or restore, so its search index and
+// publishing timers pick up the new catalog.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createStorage } = require('./lib/storage');
+const { createPublisher } = require('./lib/publisher');
+const { readStoredCatalog, writeArchive, importArchive, isSnapshotName, listSnapshots, takeSnapshot } = require('./lib/backup');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const UPLOADS_DIR = path.join(__dirname, 'uploads');
+const UPLOAD_TEMP_DIR = path.join(UPLOADS_DIR, '.partial');
+const BACKUP_DIR = process.env.BACKUP_DIR ? path.resolve(process.env.BACKUP_DIR) : path.join(__dirname, 'backups');
+const SNAPSHOT_KEEP = parseInt(process.env.SNAPSHOT_KEEP || '14');
+
+const USAGE = `Usage:
+  node backup.js export [file] [--uploads]
+  node backup.js import <file> [--mode=merge|replace] [--existing=overwrite|skip] [--dry-run] [--no-uploads]
+  node backup.js snapshot
+  node backup.js snapshots
+  node backup.js restore <snapshot> [--dry-run]`;
+
+const storage = createStorage({
+    backend: process.env.STORAGE_BACKEND || 'json',
+    dataDir: DATA_DIR
+});
+
+// Only used to rebuild the publish jobs of imported anime; the server publishes them
+const publisher = createPublisher({
+    loadJobs: () => storage.get('publish-jobs', []),
+    saveJobs: jobs => storage.set('publish-jobs', jobs),
+    publish: () => {}
+});
+
+// Split the arguments into positional ones and --name[=value] options
+function parseArgs(args) {
+    const positional = [];
+    const options = {};
+
+    args.forEach(arg => {
+        const match = /^--([a-z-]+)(?:=(.*))?$/.exec(arg);
+        if (match) {
+            options[match[1]] = match[2] === undefined ? true : match[2];
+        } else {
+            positional.push(arg);
+        }
+    });
+
+    return { positional, options };
+}
+
+function formatSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${bytes} B`;
+}
+
+function saveSnapshot(reason) {
+    return takeSnapshot(storage, BACKUP_DIR, reason, SNAPSHOT_KEEP);
+}
+
+async function exportCatalog([file], options) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const target = path.resolve(file || `anime-tagalog-catalog-${stamp}.tar.gz`);
+    const manifest = await writeArchive(fs.createWriteStream(target), {
+        catalog: readStoredCatalog(storage),
+        uploadsDir: options.uploads ? UPLOADS_DIR : null
+    });
+
+    console.log(`Exported ${manifest.counts.animes} anime and ${manifest.counts.episodes} episodes to ${target}`);
+    if (manifest.includesUploads) {
+        console.log(`Included ${manifest.uploads.files} uploaded files (${formatSize(manifest.uploads.bytes)})`);
+    }
+}
+
+// Shared by import and restore. Changes are recorded in the audit log without a user
+async function runImport(filePath, options) {
+    const result = await importArchive(filePath, {
+        storage,
+        uploadsDir: UPLOADS_DIR,
+        stageDir: path.join(UPLOAD_TEMP_DIR, `import-${crypto.randomBytes(8).toString('hex')}`),
+        ...options,
+        beforeSave: () => saveSnapshot('pre-import').then(snapshot => snapshot.name),
+        onSave: plan => {
+            Object.keys(plan.diff.episodes).forEach(id => publisher.syncAnime(Number(id), plan.catalog.episodes[id] || []));
+        }
+    });
+
+    if (result.status !== 200) {
+        throw new Error(result.body.error);
+    }
+
+    const report = result.body;
+    const count = (label, counts) => `${label}: ${counts.created} created, ${counts.updated} updated, ${counts.deleted} deleted`;
+
+    console.log(report.dryRun ? 'Dry run, nothing was saved' : `Imported (previous catalog saved as ${report.snapshot})`);
+    console.log(`${count('Anime', report.animes)}, ${report.animes.skipped} skipped`);
+    console.log(count('Episodes', report.episodes));
+    console.log(count('Schedule entries', report.schedule));
+    if (report.trendingChanged) console.log('Trending settings changed');
+    report.idChanges.forEach(change => console.log(`"${change.title}" was added as ID ${change.to} (ID ${change.from} was taken)`));
+    report.skipped.forEach(anime => console.log(`Skipped "${anime.title}" (already in the catalog)`));
+    if (report.uploads.files > 0) {
+        console.log(`Uploads: ${report.uploads.files} files (${formatSize(report.uploads.bytes)})`);
+    }
+}
+
+function importCatalog([file], options) {
+    if (!file) throw new Error('No archive given');
+
+    return runImport(path.resolve(file), {
+        mode: options.mode || 'merge',
+        existing: options.existing || 'overwrite',
+        dryRun: options['dry-run'] === true,
+        includeUploads: options['no-uploads'] !== true
+    });
+}
+
+function restoreSnapshot([name], options) {
+    if (!name || !isSnapshotName(name) || !fs.existsSync(path.join(BACKUP_DIR, name))) {
+        throw new Error(`Snapshot not found: ${name || ''}`);
+    }
+
+    return runImport(path.join(BACKUP_DIR, name), { mode: 'replace', dryRun: options['dry-run'] === true });
+}
+
+async function snapshot() {
+    const created = await saveSnapshot('manual');
+    console.log(`Saved ${path.join(BACKUP_DIR, created.name)} (${formatSize(created.size)})`);
+}
+
+function snapshots() {
+    const list = listSnapshots(BACKUP_DIR);
+
+    if (list.length === 0) {
+        console.log(`No snapshots in ${BACKUP_DIR}`);
+    }
+    list.forEach(item => console.log(`${item.name}  ${formatSize(item.size)}`));
+}
+
+const COMMANDS = {
+    export: exportCatalog,
+    import: importCatalog,
+    snapshot,
+    snapshots,
+    restore: restoreSnapshot
+};
+
+const [command, ...rest] = process.argv.slice(2);
+const { positional, options } = parseArgs(rest);
+
+if (!COMMANDS[command]) {
+    console.error(USAGE);
+    process.exit(1);
+}
+
+Promise.resolve()
+    .then(() => COMMANDS[command](positional, options))
+    .then(() => storage.close())
+    .catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    });
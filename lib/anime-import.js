@@ -0,0 +1,264 @@
+// Bulk import of anime records
+// A back catalog comes in as CSV (with a header row) or as a JSON array of objects, one
+// anime per row. Columns are matched to the fields below by name (see FIELD_COLUMNS), and a
+// mapping of { field: column } sent with the import overrides that, or leaves a field out
+// with an empty column name. Each row is checked against ANIME_SCHEMA on its own, so a bad
+// row is reported with its number (the spreadsheet row of a CSV, the position in a JSON
+// array) and problems while the rest are still imported:
+//   [{ row, title, action: 'create' | 'update' | 'unchanged' | 'skip' | 'error',
+//      animeId, match, changes, errors, error }]
+// A row whose title (or one of its alternative titles) is already in the catalog is a
+// duplicate, and is skipped or updates that anime depending on the duplicates option.
+
+const { parseCsvRows } = require('./importers');
+const { normalizeText } = require('./search');
+const { ANIME_SCHEMA, ANIME_STATUSES, ANIME_TYPES, validate, validationError } = require('./schema');
+const { diffRecords } = require('./audit');
+
+const FORMATS = ['csv', 'json'];
+const DUPLICATE_ACTIONS = ['skip', 'update'];
+const MAX_ROWS = 2000;
+
+// Column names taken for each field, compared without case, spaces, dashes and underscores
+const FIELD_COLUMNS = {
+    title: ['title', 'name'],
+    alternativeTitles: ['alternativetitles', 'alternativetitle', 'alttitles', 'alttitle', 'synonyms', 'othernames'],
+    genres: ['genres', 'genre', 'tags'],
+    synopsis: ['synopsis', 'description', 'summary', 'plot'],
+    poster: ['poster', 'posterurl', 'image', 'imageurl', 'cover'],
+    type: ['type', 'format'],
+    status: ['status'],
+    year: ['year', 'releaseyear']
+};
+
+// List fields in CSV cells (or JSON strings). Titles may contain commas, genres don't
+const LIST_SEPARATORS = {
+    alternativeTitles: /[|;]/,
+    genres: /[,|;]/
+};
+
+function normalizeColumn(name) {
+    return String(name).toLowerCase().replace(/[\s_-]/g, '');
+}
+
+// The rows of the content as objects keyed by column name, and the columns in order. CSV rows
+// are numbered like spreadsheet rows, from 2 under the header, and empty ones are left out
+function readRows(format, content) {
+    if (format === 'csv') {
+        const [header, ...rows] = parseCsvRows(content.replace(/^\uFEFF/, ''), { keepEmpty: true });
+        const columns = (header || []).map(name => name.trim());
+
+        return {
+            columns,
+            records: rows
+                .map((cells, index) => ({ row: index + 2, cells }))
+                .filter(({ cells }) => cells.some(cell => cell.trim()))
+                .map(({ row, cells }) => ({ row, record: Object.fromEntries(columns.map((column, index) => [column, cells[index]])) }))
+        };
+    }
+
+    const data = JSON.parse(content);
+    const records = Array.isArray(data) ? data : data && Array.isArray(data.animes) ? data.animes : null;
+
+    if (!records) {
+        throw new Error('Expected an array of anime');
+    }
+
+    const columns = [...new Set(records.flatMap(record =>
+        record && typeof record === 'object' && !Array.isArray(record) ? Object.keys(record) : []))];
+    return { columns, records: records.map((record, index) => ({ row: index + 1, record })) };
+}
+
+// Which column each field is read from. Returns { mapping } or { errors }
+function resolveMapping(columns, given = {}) {
+    const mapping = {};
+    const errors = {};
+
+    if (!given || typeof given !== 'object' || Array.isArray(given)) {
+        return { errors: { mapping: 'must be an object of field: column' } };
+    }
+
+    Object.entries(given).forEach(([field, column]) => {
+        if (!FIELD_COLUMNS[field]) {
+            errors[field] = `is not a field that can be imported (use ${Object.keys(FIELD_COLUMNS).join(', ')})`;
+        } else if (column !== '' && column !== null && !columns.includes(column)) {
+            errors[field] = `is mapped to the column "${column}", which isn't in the content`;
+        }
+    });
+
+    Object.entries(FIELD_COLUMNS).forEach(([field, names]) => {
+        if (given[field] !== undefined) {
+            if (given[field]) mapping[field] = given[field];
+            return;
+        }
+
+        const column = columns.find(name => names.includes(normalizeColumn(name)));
+        if (column) mapping[field] = column;
+    });
+
+    if (!mapping.title && !errors.title) {
+        errors.title = `has no column. Name one "title" or map it to one of: ${columns.join(', ') || 'no columns found'}`;
+    }
+
+    return Object.keys(errors).length > 0 ? { errors } : { mapping };
+}
+
+// A cell as the value the schema expects, where it can be read as one. Anything else is
+// passed on as it is, for validate() to report. Empty cells are left out, to get defaults
+function convertValue(field, raw) {
+    const value = typeof raw === 'string' ? raw.trim() : raw;
+    if (value === undefined || value === null || value === '') return undefined;
+
+    if (LIST_SEPARATORS[field]) {
+        return typeof value === 'string' ? value.split(LIST_SEPARATORS[field]).map(item => item.trim()) : value;
+    }
+    if (field === 'year') {
+        return typeof value === 'string' && /^\d+$/.test(value) ? parseInt(value) : value;
+    }
+    if (field === 'type' || field === 'status') {
+        const options = field === 'type' ? ANIME_TYPES : ANIME_STATUSES;
+        return options.find(option => option.toLowerCase() === String(value).toLowerCase()) || value;
+    }
+
+    return typeof value === 'number' ? String(value) : value;
+}
+
+// Read the content into rows of field values. Returns { columns, mapping, rows: [{ row, input }] }
+// or { error } / { error, errors } if the content or the mapping can't be used
+function parseAnimeRows(format, content, { mapping } = {}) {
+    if (!FORMATS.includes(format)) {
+        return { error: `Format must be one of: ${FORMATS.join(', ')}` };
+    }
+    if (typeof content !== 'string' || !content.trim()) {
+        return { error: 'Content to import is required' };
+    }
+
+    let read;
+    try {
+        read = readRows(format, content);
+    } catch (error) {
+        return { error: `Could not read the ${format.toUpperCase()} content: ${error.message}` };
+    }
+
+    if (read.records.length === 0) {
+        return { error: 'No rows found in the content' };
+    }
+    if (read.records.length > MAX_ROWS) {
+        return { error: `Import at most ${MAX_ROWS} rows at a time` };
+    }
+
+    const resolved = resolveMapping(read.columns, mapping);
+    if (resolved.errors) {
+        return validationError(resolved.errors);
+    }
+
+    return {
+        columns: read.columns,
+        mapping: resolved.mapping,
+        rows: read.records.map(({ row, record }) => {
+            if (!record || typeof record !== 'object' || Array.isArray(record)) {
+                return { row, input: null };
+            }
+
+            const input = {};
+            Object.entries(resolved.mapping).forEach(([field, column]) => {
+                const value = convertValue(field, record[column]);
+                if (value !== undefined) input[field] = value;
+            });
+            return { row, input };
+        })
+    };
+}
+
+// What importing the rows would do. duplicates decides what a row whose title is already in
+// the catalog does: 'skip' it, or 'update' the anime with the fields the row has. A row with
+// the same title as an earlier one is an error. value holds the fields to save
+function planAnimeImport(animes, rows, { duplicates = 'skip' } = {}) {
+    const byTitle = new Map();
+    const seen = new Map();
+
+    animes.forEach(anime => [anime.title, ...(anime.alternativeTitles || [])].forEach(title => {
+        const key = normalizeText(title);
+        if (key && !byTitle.has(key)) byTitle.set(key, anime);
+    }));
+
+    return rows.map(({ row, input }) => {
+        const title = input && typeof input.title === 'string' ? input.title.trim() : '';
+        const key = normalizeText(title);
+        const existing = byTitle.get(key);
+        const partial = Boolean(existing) && duplicates === 'update';
+        const { value, errors } = input ? validate(ANIME_SCHEMA, input, { partial }) : { errors: { row: 'must be an object' } };
+
+        if (!errors && seen.has(key)) {
+            return { row, title, action: 'error', errors: { title: `is the same as row ${seen.get(key)}` }, error: `title is the same as row ${seen.get(key)}` };
+        }
+        if (errors) {
+            return { row, title, action: 'error', errors, error: validationError(errors).error };
+        }
+
+        seen.set(key, row);
+
+        if (!existing) {
+            return { row, title: value.title, action: 'create', value };
+        }
+
+        const match = { animeId: existing.id, match: existing.title };
+        if (duplicates !== 'update') {
+            return { row, title: value.title, action: 'skip', ...match };
+        }
+
+        // The catalog keeps its own title; the row's one only found the match
+        delete value.title;
+        const changes = Object.keys(diffRecords(existing, { ...existing, ...value }));
+        return { row, title, action: changes.length > 0 ? 'update' : 'unchanged', ...match, changes, value };
+    });
+}
+
+// Apply a plan to the anime list in place, giving new anime IDs from firstId on. Sets the
+// animeId of created rows. Returns the changes made: [{ action, before, after }]
+function applyAnimeImport(animes, plan, { firstId, now = new Date() }) {
+    let nextId = firstId;
+
+    return plan.flatMap(item => {
+        if (item.action === 'create') {
+            const anime = { id: nextId++, ...item.value, dateAdded: now.toISOString(), currentEpisode: 0 };
+
+            animes.push(anime);
+            item.animeId = anime.id;
+            return [{ action: 'create', before: null, after: anime }];
+        }
+        if (item.action === 'update') {
+            const index = animes.findIndex(anime => anime.id === item.animeId);
+            const before = animes[index];
+
+            animes[index] = { ...before, ...item.value };
+            return [{ action: 'update', before, after: animes[index] }];
+        }
+        return [];
+    });
+}
+
+// Count the rows of a plan by action
+function summarizeAnimeImport(plan) {
+    const count = action => plan.filter(item => item.action === action).length;
+
+    return {
+        rows: plan.length,
+        created: count('create'),
+        updated: count('update'),
+        unchanged: count('unchanged'),
+        skipped: count('skip'),
+        failed: count('error')
+    };
+}
+
+module.exports = {
+    FORMATS,
+    DUPLICATE_ACTIONS,
+    MAX_ROWS,
+    FIELD_COLUMNS,
+    parseAnimeRows,
+    planAnimeImport,
+    applyAnimeImport,
+    summarizeAnimeImport
+};
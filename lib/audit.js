@@ -0,0 +1,100 @@
+// Audit log of admin changes
+// Every create, update and delete of anime, episodes, trending and schedule entries made
+// through the API is recorded along with who made it and which fields changed. Entries are
+// only ever appended, and are kept per month under "audit/<YYYY-MM>":
+//   { id, date, user: { id, username } | null, action, entity, entityId, animeId, changes }
+// changes holds the fields that differ, { [field]: { before, after } }. Changes made by the
+// server itself (purging the trash) have no user.
+
+const crypto = require('crypto');
+
+const ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+const ENTITIES = ['anime', 'episode', 'trending', 'schedule'];
+
+function getAuditKey(date) {
+    return `audit/${date.toISOString().slice(0, 7)}`;
+}
+
+// Top-level fields that differ between two versions of a record. A missing version (before
+// a create, after a delete) counts as having none of the fields
+function diffRecords(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    fields.forEach(field => {
+        const oldValue = before ? before[field] : undefined;
+        const newValue = after ? after[field] : undefined;
+
+        if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+            changes[field] = {
+                before: oldValue === undefined ? null : oldValue,
+                after: newValue === undefined ? null : newValue
+            };
+        }
+    });
+
+    return changes;
+}
+
+function createAuditEntry({ user, action, entity, entityId = null, animeId = null, before = null, after = null, now = new Date() }) {
+    return {
+        id: crypto.randomBytes(8).toString('hex'),
+        date: now.toISOString(),
+        user: user ? { id: user.id, username: user.username } : null,
+        action,
+        entity,
+        entityId,
+        animeId,
+        changes: diffRecords(before, after)
+    };
+}
+
+// The episodes created, updated and deleted between two versions of a series' episode list,
+// matched by episode number: [{ action, episodeNumber, before, after }]. moves ([{ from, to }])
+// lists episodes that were renumbered, so they show up as updates rather than a delete and
+// a create
+function diffEpisodeLists(before, after, moves = []) {
+    const newNumbers = new Map(moves.map(move => [move.from, move.to]));
+    const getNumber = episode => newNumbers.has(episode.episodeNumber) ? newNumbers.get(episode.episodeNumber) : episode.episodeNumber;
+    const changed = [];
+
+    after.forEach(episode => {
+        const previous = before.find(ep => getNumber(ep) === episode.episodeNumber);
+
+        if (!previous) {
+            changed.push({ action: 'create', episodeNumber: episode.episodeNumber, before: null, after: episode });
+        } else if (JSON.stringify(previous) !== JSON.stringify(episode)) {
+            changed.push({ action: 'update', episodeNumber: episode.episodeNumber, before: previous, after: episode });
+        }
+    });
+
+    before
+        .filter(episode => !after.some(ep => ep.episodeNumber === getNumber(episode)))
+        .forEach(episode => changed.push({ action: 'delete', episodeNumber: episode.episodeNumber, before: episode, after: null }));
+
+    return changed;
+}
+
+// Filter entries by the query of the audit log endpoint. Unknown or empty filters are ignored
+function filterEntries(entries, { entity, action, animeId, user, from, to } = {}) {
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+
+    return entries.filter(entry =>
+        (!entity || entry.entity === entity) &&
+        (!action || entry.action === action) &&
+        (!animeId || entry.animeId === parseInt(animeId)) &&
+        (!user || (entry.user && entry.user.username === user)) &&
+        (!fromDate || isNaN(fromDate) || new Date(entry.date) >= fromDate) &&
+        (!toDate || isNaN(toDate) || new Date(entry.date) <= toDate));
+}
+
+module.exports = {
+    ACTIONS,
+    ENTITIES,
+    getAuditKey,
+    diffRecords,
+    createAuditEntry,
+    diffEpisodeLists,
+    filterEntries
+};
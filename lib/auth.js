@@ -0,0 +1,251 @@
+// Authentication helpers: password hashing, sessions and role checks
+const crypto = require('crypto');
+
+// Viewers can only manage their own library; editors and admins run the site
+const ROLES = ['admin', 'editor', 'viewer'];
+const SESSION_COOKIE = 'session';
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_TIME = 15 * 60 * 1000; // 15 minutes
+
+// Scrypt parameters, stored alongside every hash so they can be raised later
+const SCRYPT_COST = 16384;
+const SCRYPT_KEYLEN = 64;
+
+// Hash a password as "scrypt$cost$salt$hash"
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN, { N: SCRYPT_COST }).toString('hex');
+    return `scrypt$${SCRYPT_COST}$${salt}$${hash}`;
+}
+
+// Check a password against a stored hash
+function verifyPassword(password, storedHash) {
+    if (typeof password !== 'string' || typeof storedHash !== 'string') {
+        return false;
+    }
+
+    const [scheme, cost, salt, hash] = storedHash.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length, { N: parseInt(cost) });
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Session tokens are only ever stored as their SHA-256 digest
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Parse the Cookie header into an object
+function parseCookies(header) {
+    const cookies = {};
+    if (!header) return cookies;
+
+    header.split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index === -1) return;
+
+        const name = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (error) {
+            cookies[name] = value;
+        }
+    });
+
+    return cookies;
+}
+
+// Strip secrets before sending a user to the client
+function publicUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        role: user.role,
+        dateAdded: user.dateAdded
+    };
+}
+
+// Create auth handlers bound to the given user and session stores
+function createAuth({ readUsers, readSessions, writeSessions }) {
+    // Failed login attempts per username + client, kept in memory
+    const failedLogins = new Map();
+
+    function getToken(req) {
+        const authHeader = req.headers.authorization || '';
+        if (authHeader.startsWith('Bearer ')) {
+            return authHeader.slice(7).trim();
+        }
+
+        return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+    }
+
+    // Resolve the user for the current request, or null
+    function getSessionUser(req) {
+        const token = getToken(req);
+        if (!token) return null;
+
+        const sessions = readSessions();
+        const session = sessions.find(s => s.tokenHash === hashToken(token));
+        if (!session || new Date(session.expiresAt) <= new Date()) {
+            return null;
+        }
+
+        const user = readUsers().find(u => u.id === session.userId);
+        return user || null;
+    }
+
+    function isLockedOut(key) {
+        const entry = failedLogins.get(key);
+        if (!entry) return false;
+
+        if (Date.now() - entry.firstAttempt > LOCKOUT_TIME) {
+            failedLogins.delete(key);
+            return false;
+        }
+
+        return entry.count >= MAX_FAILED_LOGINS;
+    }
+
+    function recordFailedLogin(key) {
+        const entry = failedLogins.get(key) || { count: 0, firstAttempt: Date.now() };
+        entry.count++;
+        failedLogins.set(key, entry);
+    }
+
+    // Verify credentials and open a new session. Returns { token, user } or { error, status }
+    function login(username, password, clientId) {
+        const key = `${String(username).toLowerCase()}|${clientId}`;
+
+        if (isLockedOut(key)) {
+            return { status: 429, error: 'Too many failed login attempts. Please try again later.' };
+        }
+
+        const user = readUsers().find(u => u.username.toLowerCase() === String(username).toLowerCase());
+
+        if (!user || !verifyPassword(password, user.passwordHash)) {
+            recordFailedLogin(key);
+            return { status: 401, error: 'Invalid username or password' };
+        }
+
+        failedLogins.delete(key);
+        return createSession(user);
+    }
+
+    // Open a new session for a user whose identity is already known. Returns { token, user }
+    // or { error, status }
+    function createSession(user) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const now = new Date();
+
+        // Drop expired sessions while we are writing anyway
+        const sessions = readSessions().filter(s => new Date(s.expiresAt) > now);
+        sessions.push({
+            tokenHash: hashToken(token),
+            userId: user.id,
+            createdAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + SESSION_TTL).toISOString()
+        });
+
+        if (!writeSessions(sessions)) {
+            return { status: 500, error: 'Failed to create session' };
+        }
+
+        return { token, user };
+    }
+
+    // Close the session used by this request
+    function logout(req) {
+        const token = getToken(req);
+        if (!token) return;
+
+        const tokenHash = hashToken(token);
+        const sessions = readSessions();
+        const remaining = sessions.filter(s => s.tokenHash !== tokenHash);
+
+        if (remaining.length !== sessions.length) {
+            writeSessions(remaining);
+        }
+    }
+
+    // Close every session belonging to a user (after password change or removal)
+    function revokeUserSessions(userId) {
+        const sessions = readSessions();
+        const remaining = sessions.filter(s => s.userId !== userId);
+
+        if (remaining.length !== sessions.length) {
+            writeSessions(remaining);
+        }
+    }
+
+    function setSessionCookie(req, res, token) {
+        res.cookie(SESSION_COOKIE, token, {
+            httpOnly: true,
+            sameSite: 'strict',
+            secure: req.secure,
+            maxAge: SESSION_TTL,
+            path: '/'
+        });
+    }
+
+    function clearSessionCookie(res) {
+        res.clearCookie(SESSION_COOKIE, { path: '/' });
+    }
+
+    // Middleware: require a logged in user with one of the given roles (any role if none given)
+    function requireRole(...roles) {
+        return (req, res, next) => {
+            const user = getSessionUser(req);
+
+            if (!user) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+
+            if (roles.length > 0 && !roles.includes(user.role)) {
+                return res.status(403).json({ error: 'You do not have permission to do this' });
+            }
+
+            req.user = user;
+            next();
+        };
+    }
+
+    // Middleware for HTML pages: redirect to the login screen instead of answering with JSON
+    function requirePageRole(...roles) {
+        return (req, res, next) => {
+            const user = getSessionUser(req);
+
+            if (!user || (roles.length > 0 && !roles.includes(user.role))) {
+                return res.redirect(`/login.html?next=${encodeURIComponent(req.originalUrl)}`);
+            }
+
+            req.user = user;
+            next();
+        };
+    }
+
+    return {
+        getSessionUser,
+        login,
+        createSession,
+        logout,
+        revokeUserSessions,
+        setSessionCookie,
+        clearSessionCookie,
+        requireRole,
+        requirePageRole
+    };
+}
+
+module.exports = {
+    ROLES,
+    hashPassword,
+    verifyPassword,
+    publicUser,
+    createAuth
+};
@@ -0,0 +1,781 @@
+// Catalog export, import and snapshots
+// The catalog is what the site offers: the anime (including those in the trash), their
+// episodes, the release schedule, trending settings, relations and franchises. Viewer data
+// (accounts, libraries, reviews, comments and views) isn't part of it. It is exported as a
+// gzipped tar archive:
+//   manifest.json          { format, version, exportedAt, includesUploads, counts, uploads }
+//   catalog.json           { animes, episodes: { [animeId]: [episode] }, schedule, trending,
+//                            relations, franchises, trash }
+//   uploads/<animeId>/...  uploaded videos, HLS streams and subtitles, if asked for
+// Records are stored as they are, so an archive of this version can always be read back.
+// Snapshots are archives without uploads, saved to a directory on a schedule.
+// Used by both the server and the backup.js command line tool, which share the storage,
+// audit log and snapshot directory.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { pipeline: pipelineAsync } = require('stream/promises');
+const { createTarWriter, readTar } = require('./tar');
+const { ANIME_SCHEMA, EPISODE_SCHEMA, SCHEDULE_SCHEMA, validate, validationError } = require('./schema');
+const { parseEpisodeNumber, sortEpisodes, updateEpisodeCounts } = require('./episodes');
+const { RELATION_TYPES, setRelations } = require('./relations');
+const { createAuditEntry, getAuditKey, diffEpisodeLists, diffRecords } = require('./audit');
+const { restoreScheduleItems } = require('./trash');
+
+const ARCHIVE_FORMAT = 'anime-tagalog-catalog';
+// Bump when the layout of catalog.json changes, and teach readArchive to upgrade older ones
+const ARCHIVE_VERSION = 1;
+const IMPORT_MODES = ['merge', 'replace'];
+// What a merge does with anime that are already in the catalog
+const EXISTING_ACTIONS = ['overwrite', 'skip'];
+// Validation stops listing problems after this many
+const MAX_ERRORS = 20;
+const SNAPSHOT_PATTERN = /^snapshot-(\d{8}T\d{6}Z)-([a-z-]+)\.tar\.gz$/;
+
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function normalizeTitle(title) {
+    return String(title || '').trim().toLowerCase();
+}
+
+function getAnimeIds(catalog) {
+    return [...catalog.animes.map(anime => anime.id), ...catalog.trash.map(item => item.anime.id)];
+}
+
+// Read the catalog out of storage
+function readCatalog(storage) {
+    const catalog = {
+        animes: storage.get('animes', []),
+        episodes: {},
+        schedule: storage.get('schedule', []),
+        trending: storage.get('trending', {}),
+        relations: storage.get('relations', {}),
+        franchises: storage.get('franchises', []),
+        trash: storage.get('trash', [])
+    };
+
+    getAnimeIds(catalog).forEach(id => {
+        const episodes = storage.get(`episodes/${id}`);
+        if (episodes) catalog.episodes[id] = episodes;
+    });
+
+    return catalog;
+}
+
+// The stored catalog as one consistent read
+function readStoredCatalog(storage) {
+    return storage.transaction(() => readCatalog(storage));
+}
+
+// Remove what is kept by anime ID outside the catalog: view counts, ratings and reviews,
+// comments, favorites and source health results. An ID that is given out again then doesn't
+// come with another series' data
+function removeViewerData(storage, animeIds) {
+    const removed = new Set(animeIds.map(String));
+    const filterKeys = (key, keep) => {
+        const records = storage.get(key);
+        if (!records || !Object.keys(records).some(name => !keep(name))) return;
+
+        storage.set(key, Object.fromEntries(Object.entries(records).filter(([name]) => keep(name))));
+    };
+
+    ['views', 'ratings', 'favorites'].forEach(key => filterKeys(key, id => !removed.has(id)));
+    // Source health results are kept under "<animeId>:<episodeNumber>:<server>"
+    filterKeys('source-health', name => !removed.has(name.split(':')[0]));
+    animeIds.forEach(id => ['views', 'reviews', 'comments'].forEach(prefix => storage.remove(`${prefix}/${id}`)));
+}
+
+// Save a catalog in place of the stored one. Only documents that changed are written. Anime
+// that are no longer in it (nor in its trash) are removed along with their episodes and
+// viewer data. Returns the IDs of the removed anime, whose uploads are left to the caller
+function writeCatalog(storage, catalog) {
+    const save = (key, value) => {
+        if (JSON.stringify(storage.get(key)) !== JSON.stringify(value)) {
+            storage.set(key, value);
+        }
+    };
+
+    return storage.transaction(() => {
+        const kept = new Set(getAnimeIds(catalog));
+        const removed = [...storage.get('animes', []).map(anime => anime.id), ...storage.get('trash', []).map(item => item.anime.id)]
+            .filter(id => !kept.has(id));
+
+        storage.keys('episodes/')
+            .filter(key => !catalog.episodes[key.split('/')[1]])
+            .forEach(key => storage.remove(key));
+        Object.entries(catalog.episodes).forEach(([id, episodes]) => save(`episodes/${id}`, episodes));
+        removeViewerData(storage, removed);
+
+        save('animes', catalog.animes);
+        save('schedule', catalog.schedule);
+        save('trending', catalog.trending);
+        save('relations', catalog.relations);
+        save('franchises', catalog.franchises);
+        save('trash', catalog.trash);
+        return removed;
+    });
+}
+
+// Uploaded files of some anime, as { name: '<animeId>/<path>', path, size }
+function listUploads(uploadsDir, animeIds) {
+    const files = [];
+    const walk = (dir, name) => {
+        fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+            const entryPath = path.join(dir, entry.name);
+            const entryName = `${name}/${entry.name}`;
+
+            if (entry.isDirectory()) {
+                walk(entryPath, entryName);
+            } else if (entry.isFile()) {
+                files.push({ name: entryName, path: entryPath, size: fs.statSync(entryPath).size });
+            }
+        });
+    };
+
+    animeIds.forEach(id => {
+        const dir = path.join(uploadsDir, String(id));
+        if (fs.existsSync(dir)) walk(dir, String(id));
+    });
+
+    return files.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Write an archive of a catalog to a stream, with the uploads of its anime if uploadsDir is
+// given. Resolves to the manifest once everything has been written
+async function writeArchive(output, { catalog, uploadsDir = null, now = new Date() }) {
+    const gzip = zlib.createGzip();
+    const done = pipelineAsync(gzip, output);
+    const tar = createTarWriter(gzip);
+    const uploads = uploadsDir ? listUploads(uploadsDir, getAnimeIds(catalog)) : [];
+
+    // A failed write rejects both; the error is reported through the writes
+    done.catch(() => {});
+
+    const manifest = {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: now.toISOString(),
+        includesUploads: Boolean(uploadsDir),
+        counts: {
+            animes: catalog.animes.length,
+            episodes: Object.values(catalog.episodes).reduce((sum, episodes) => sum + episodes.length, 0),
+            schedule: catalog.schedule.length,
+            trash: catalog.trash.length
+        },
+        uploads: {
+            files: uploads.length,
+            bytes: uploads.reduce((sum, file) => sum + file.size, 0)
+        }
+    };
+
+    await tar.addBuffer('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)), now);
+    await tar.addBuffer('catalog.json', Buffer.from(JSON.stringify(catalog)), now);
+    for (const file of uploads) {
+        await tar.addFile(`uploads/${file.name}`, file.path);
+    }
+    await tar.finish();
+
+    gzip.end();
+    await done;
+    return manifest;
+}
+
+// The anime ID and path inside its uploads directory of an archive entry, or null if the
+// entry isn't an upload or its name tries to leave the directory
+function parseUploadName(name) {
+    const match = /^uploads\/(\d+)\/(.+)$/.exec(name);
+    if (!match) return null;
+
+    const parts = match[2].split('/');
+    if (parts.some(part => !part || part === '.' || part === '..' || part.includes('\\'))) return null;
+
+    return { animeId: parseInt(match[1]), file: parts.join('/') };
+}
+
+// Read an archive file. With stageDir, its uploads are extracted there as
+// <stageDir>/<animeId>/<path>, to be moved into place once the import has been saved.
+// Resolves to { manifest, catalog, uploads: [{ animeId, file, size }] }
+async function readArchive(filePath, { stageDir = null } = {}) {
+    const input = pipeline(fs.createReadStream(filePath), zlib.createGunzip(), () => {});
+    let result;
+
+    try {
+        result = await readTar(input, {
+            collect: entry => entry.name === 'manifest.json' || entry.name === 'catalog.json',
+            target: entry => {
+                const upload = stageDir && parseUploadName(entry.name);
+                if (!upload) return null;
+
+                const target = path.join(stageDir, String(upload.animeId), ...upload.file.split('/'));
+                fs.mkdirSync(path.dirname(target), { recursive: true });
+                return target;
+            }
+        });
+    } catch (error) {
+        throw new Error(`Could not read the archive: ${error.message}`);
+    }
+
+    const parse = name => {
+        if (!result.files[name]) {
+            throw new Error(`The archive has no ${name}`);
+        }
+        try {
+            return JSON.parse(result.files[name].toString('utf8'));
+        } catch (error) {
+            throw new Error(`${name} in the archive isn't valid JSON`);
+        }
+    };
+
+    return {
+        manifest: parse('manifest.json'),
+        catalog: parse('catalog.json'),
+        uploads: result.entries
+            .filter(entry => entry.type === 'file' && parseUploadName(entry.name))
+            .map(entry => ({ ...parseUploadName(entry.name), size: entry.size }))
+    };
+}
+
+// Check an archive before importing it. Returns null or { [field]: message }, with fields
+// like "animes[2].title" or "episodes.5[0].episodeNumber"
+function validateArchive({ manifest, catalog, uploads = [] }) {
+    if (!isObject(manifest) || manifest.format !== ARCHIVE_FORMAT) {
+        return { manifest: `is not the manifest of an ${ARCHIVE_FORMAT} archive` };
+    }
+    if (!Number.isInteger(manifest.version) || manifest.version < 1 || manifest.version > ARCHIVE_VERSION) {
+        return { 'manifest.version': `${manifest.version} isn't supported, archives up to version ${ARCHIVE_VERSION} can be imported` };
+    }
+    if (!isObject(catalog)) {
+        return { catalog: 'must be a JSON object' };
+    }
+
+    const errors = {};
+    const fail = (field, message) => {
+        if (Object.keys(errors).length < MAX_ERRORS) errors[field] = message;
+    };
+    const addSchemaErrors = (schema, record, field) => {
+        const result = validate(schema, record, { partial: true });
+        Object.entries(result.errors || {}).forEach(([name, message]) => fail(`${field}.${name}`, message));
+    };
+
+    ['animes', 'schedule', 'franchises', 'trash'].forEach(field => {
+        if (!Array.isArray(catalog[field])) fail(field, 'must be a list');
+    });
+    ['episodes', 'trending', 'relations'].forEach(field => {
+        if (!isObject(catalog[field])) fail(field, 'must be an object');
+    });
+    if (Object.keys(errors).length > 0) {
+        return errors;
+    }
+
+    const ids = new Set();
+    const checkAnime = (anime, field) => {
+        if (!isObject(anime)) return fail(field, 'must be an object');
+        if (!Number.isInteger(anime.id) || anime.id < 1) return fail(`${field}.id`, 'must be a whole number from 1 up');
+        if (ids.has(anime.id)) return fail(`${field}.id`, `${anime.id} is used by more than one anime`);
+
+        ids.add(anime.id);
+        if (typeof anime.title !== 'string' || !anime.title.trim()) fail(`${field}.title`, 'is required');
+        addSchemaErrors(ANIME_SCHEMA, anime, field);
+    };
+
+    catalog.animes.forEach((anime, i) => checkAnime(anime, `animes[${i}]`));
+    catalog.trash.forEach((item, i) => {
+        if (!isObject(item) || !isObject(item.anime)) return fail(`trash[${i}]`, 'must have an anime');
+        checkAnime(item.anime, `trash[${i}].anime`);
+    });
+
+    Object.entries(catalog.episodes).forEach(([id, episodes]) => {
+        const field = `episodes.${id}`;
+        const numbers = new Set();
+
+        if (!ids.has(Number(id))) return fail(field, 'belongs to an anime that isn\'t in the archive');
+        if (!Array.isArray(episodes)) return fail(field, 'must be a list');
+
+        episodes.forEach((episode, i) => {
+            if (!isObject(episode)) return fail(`${field}[${i}]`, 'must be an object');
+
+            const number = parseEpisodeNumber(episode.episodeNumber);
+            if (isNaN(number) || number !== episode.episodeNumber) {
+                fail(`${field}[${i}].episodeNumber`, 'must be a number from 0 up, with at most two decimals');
+            } else if (numbers.has(number)) {
+                fail(`${field}[${i}].episodeNumber`, `${number} is used by more than one episode`);
+            }
+            numbers.add(number);
+            addSchemaErrors(EPISODE_SCHEMA, episode, `${field}[${i}]`);
+        });
+    });
+
+    const scheduleIds = new Set();
+    catalog.schedule.forEach((entry, i) => {
+        const field = `schedule[${i}]`;
+
+        if (!isObject(entry)) return fail(field, 'must be an object');
+        if (!Number.isInteger(entry.id) || entry.id < 1 || scheduleIds.has(entry.id)) fail(`${field}.id`, 'must be a whole number from 1 up, used by one entry');
+        if (!catalog.animes.some(anime => anime.id === entry.animeId)) fail(`${field}.animeId`, 'is not an anime in the archive');
+        scheduleIds.add(entry.id);
+        addSchemaErrors(SCHEDULE_SCHEMA, entry, field);
+    });
+
+    Object.entries(catalog.relations).forEach(([id, relations]) => {
+        const field = `relations.${id}`;
+
+        if (!ids.has(Number(id))) return fail(field, 'belongs to an anime that isn\'t in the archive');
+        if (!Array.isArray(relations)) return fail(field, 'must be a list');
+        relations.forEach((relation, i) => {
+            if (!isObject(relation) || !ids.has(relation.animeId) || !RELATION_TYPES[relation.type]) {
+                fail(`${field}[${i}]`, 'must be an anime in the archive with a known relation type');
+            }
+        });
+    });
+
+    catalog.franchises.forEach((franchise, i) => {
+        const field = `franchises[${i}]`;
+
+        if (!isObject(franchise) || typeof franchise.name !== 'string' || !Array.isArray(franchise.entries)) {
+            return fail(field, 'must have a name and a list of entries');
+        }
+        if (franchise.entries.some(id => !ids.has(id))) fail(`${field}.entries`, 'can only list anime in the archive');
+    });
+
+    if (catalog.trending.manualTrending !== undefined &&
+        (!Array.isArray(catalog.trending.manualTrending) || catalog.trending.manualTrending.some(id => !Number.isInteger(id)))) {
+        fail('trending.manualTrending', 'must be a list of anime IDs');
+    }
+
+    uploads.filter(upload => !ids.has(upload.animeId)).forEach(upload => {
+        fail(`uploads/${upload.animeId}`, 'belongs to an anime that isn\'t in the archive');
+    });
+
+    return Object.keys(errors).length > 0 ? errors : null;
+}
+
+// An existing anime that an imported one is taken to be: the one with its ID if the titles
+// match, or else one with the same title and year
+function findExistingAnime(animes, anime) {
+    const title = normalizeTitle(anime.title);
+
+    return animes.find(a => a.id === anime.id && normalizeTitle(a.title) === title) ||
+        animes.find(a => normalizeTitle(a.title) === title && (a.year || null) === (anime.year || null)) ||
+        null;
+}
+
+// Point the upload paths in a record ("uploads/<id>/...") at another anime's directory
+function moveUploadPaths(record, from, to) {
+    if (from === to) return record;
+
+    const prefix = `uploads/${from}/`;
+    return JSON.parse(JSON.stringify(record), (key, value) =>
+        typeof value === 'string' && value.startsWith(prefix) ? `uploads/${to}/${value.slice(prefix.length)}` : value);
+}
+
+// Merge an archive's catalog into the current one. Anime in the archive that are already in
+// the catalog (see findExistingAnime) are overwritten or skipped: overwriting replaces the
+// record, the episodes with the same numbers and, if the archive has any, the schedule
+// entries. Other anime are added, under a new ID if theirs is taken by a different anime or
+// one in the trash, with the paths of their uploads changed to match. Schedule entries and
+// franchises get new IDs where theirs are taken, and relations, franchises and the manual
+// trending list are merged. The trash of the archive is left out
+function mergeCatalog(current, incoming, { existing, now }) {
+    const catalog = clone(current);
+    const idMap = {};
+    const references = {};
+    const skipped = [];
+
+    // Anime keep their ID when it's free; the others are numbered after every ID in use
+    const matches = new Map(incoming.animes.map(anime => [anime.id, findExistingAnime(current.animes, anime)]));
+    const taken = new Set(getAnimeIds(current));
+
+    incoming.animes.forEach(anime => {
+        const match = matches.get(anime.id);
+
+        if (match) {
+            references[anime.id] = match.id;
+            idMap[anime.id] = existing === 'skip' ? null : match.id;
+            if (existing === 'skip') skipped.push({ id: match.id, title: match.title });
+        } else if (!taken.has(anime.id)) {
+            references[anime.id] = idMap[anime.id] = anime.id;
+            taken.add(anime.id);
+        }
+    });
+    incoming.animes.filter(anime => references[anime.id] === undefined).forEach(anime => {
+        const id = Math.max(0, ...taken) + 1;
+        references[anime.id] = idMap[anime.id] = id;
+        taken.add(id);
+    });
+
+    const imported = incoming.animes.filter(anime => idMap[anime.id] !== null);
+
+    imported.forEach(anime => {
+        const id = idMap[anime.id];
+        const record = moveUploadPaths({ ...anime, id }, anime.id, id);
+        const episodes = (incoming.episodes[anime.id] || []).map(episode => moveUploadPaths(episode, anime.id, id));
+        const merged = (catalog.episodes[id] || []).filter(episode => !episodes.some(ep => ep.episodeNumber === episode.episodeNumber));
+        const index = catalog.animes.findIndex(a => a.id === id);
+
+        catalog.episodes[id] = sortEpisodes(merged.concat(episodes));
+        updateEpisodeCounts(record, catalog.episodes[id]);
+        if (index === -1) {
+            catalog.animes.push(record);
+        } else {
+            catalog.animes[index] = record;
+        }
+
+        const entries = incoming.schedule
+            .filter(entry => entry.animeId === anime.id)
+            .map(entry => ({ ...entry, animeId: id }));
+        if (entries.length > 0) {
+            catalog.schedule = catalog.schedule.filter(entry => entry.animeId !== id);
+            catalog.schedule = catalog.schedule.concat(restoreScheduleItems(catalog.schedule, entries));
+        }
+    });
+
+    const animeIds = new Set(catalog.animes.map(anime => anime.id));
+
+    imported.filter(anime => incoming.relations[anime.id]).forEach(anime => {
+        const relations = incoming.relations[anime.id]
+            .map(relation => ({ animeId: references[relation.animeId], type: relation.type }))
+            .filter(relation => animeIds.has(relation.animeId) && relation.animeId !== idMap[anime.id]);
+        setRelations(catalog.relations, idMap[anime.id], relations);
+    });
+
+    incoming.franchises.forEach(franchise => {
+        const entries = franchise.entries.map(id => references[id]).filter(id => animeIds.has(id));
+        if (entries.length === 0) return;
+
+        const target = catalog.franchises.find(f => normalizeTitle(f.name) === normalizeTitle(franchise.name));
+        // An entry belongs to at most one franchise
+        catalog.franchises.filter(f => f !== target).forEach(f => {
+            f.entries = f.entries.filter(id => !entries.includes(id));
+        });
+
+        if (target) {
+            target.entries = target.entries.concat(entries.filter(id => !target.entries.includes(id)));
+            target.dateUpdated = now.toISOString();
+        } else {
+            catalog.franchises.push({
+                ...franchise,
+                id: Math.max(0, ...catalog.franchises.map(f => f.id)) + 1,
+                entries
+            });
+        }
+    });
+    catalog.franchises = catalog.franchises.filter(franchise => franchise.entries.length > 0);
+
+    const manualTrending = (incoming.trending.manualTrending || []).map(id => idMap[id]).filter(id => id && animeIds.has(id));
+    catalog.trending = {
+        ...catalog.trending,
+        manualTrending: [...new Set([...(catalog.trending.manualTrending || []), ...manualTrending])]
+    };
+
+    return { catalog, idMap, skipped };
+}
+
+// What changed between two catalogs, record by record:
+//   { animes: [{ action, id, before, after }], episodes: { [animeId]: [{ action, episodeNumber, before, after }] },
+//     schedule: [{ action, id, before, after }], trending: { before, after } | null }
+function diffCatalogs(before, after) {
+    const diffById = (oldRecords, newRecords) => {
+        const changes = [];
+
+        newRecords.forEach(record => {
+            const previous = oldRecords.find(r => r.id === record.id);
+            if (!previous) {
+                changes.push({ action: 'create', id: record.id, before: null, after: record });
+            } else if (Object.keys(diffRecords(previous, record)).length > 0) {
+                changes.push({ action: 'update', id: record.id, before: previous, after: record });
+            }
+        });
+        oldRecords
+            .filter(record => !newRecords.some(r => r.id === record.id))
+            .forEach(record => changes.push({ action: 'delete', id: record.id, before: record, after: null }));
+
+        return changes;
+    };
+
+    const episodes = {};
+    new Set([...Object.keys(before.episodes), ...Object.keys(after.episodes)]).forEach(id => {
+        const changes = diffEpisodeLists(before.episodes[id] || [], after.episodes[id] || []);
+        if (changes.length > 0) episodes[id] = changes;
+    });
+
+    return {
+        animes: diffById(before.animes, after.animes),
+        episodes,
+        schedule: diffById(before.schedule, after.schedule),
+        trending: Object.keys(diffRecords(before.trending, after.trending)).length > 0 ? { before: before.trending, after: after.trending } : null
+    };
+}
+
+// The changes of a diff as audit log changes (see createAuditEntry in lib/audit), one per
+// anime, episode and schedule entry, and one for the trending settings
+function getAuditChanges(diff) {
+    return [
+        ...diff.animes.map(change => ({
+            action: change.action,
+            entity: 'anime',
+            entityId: change.id,
+            animeId: change.id,
+            before: change.before,
+            after: change.after
+        })),
+        ...Object.entries(diff.episodes).flatMap(([animeId, changes]) => changes.map(change => ({
+            action: change.action,
+            entity: 'episode',
+            entityId: change.episodeNumber,
+            animeId: Number(animeId),
+            before: change.before,
+            after: change.after
+        }))),
+        ...diff.schedule.map(change => ({
+            action: change.action,
+            entity: 'schedule',
+            entityId: change.id,
+            animeId: (change.after || change.before).animeId,
+            before: change.before,
+            after: change.after
+        })),
+        ...(diff.trending ? [{ action: 'update', entity: 'trending', before: diff.trending.before, after: diff.trending.after }] : [])
+    ];
+}
+
+// Plan an import without saving anything. mode 'replace' makes the archive's catalog the
+// whole catalog; 'merge' adds it to the current one (see mergeCatalog). Returns
+// { catalog, idMap, diff, report }: idMap gives the ID each anime of the archive ends up
+// with (null if it was skipped), and report sums up the changes for the admin
+function planImport(current, incoming, { mode = 'merge', existing = 'overwrite', now = new Date() } = {}) {
+    const merged = mode === 'replace'
+        ? {
+            catalog: clone(incoming),
+            idMap: Object.fromEntries(getAnimeIds(incoming).map(id => [id, id])),
+            skipped: []
+        }
+        : mergeCatalog(current, incoming, { existing, now });
+    const diff = diffCatalogs(current, merged.catalog);
+    const count = changes => ({
+        created: changes.filter(change => change.action === 'create').length,
+        updated: changes.filter(change => change.action === 'update').length,
+        deleted: changes.filter(change => change.action === 'delete').length
+    });
+    const titles = new Map([...current.animes, ...merged.catalog.animes].map(anime => [anime.id, anime.title]));
+
+    return {
+        catalog: merged.catalog,
+        idMap: merged.idMap,
+        diff,
+        report: {
+            mode,
+            existing: mode === 'merge' ? existing : null,
+            animes: { ...count(diff.animes), skipped: merged.skipped.length },
+            episodes: count(Object.values(diff.episodes).flat()),
+            schedule: count(diff.schedule),
+            trendingChanged: Boolean(diff.trending),
+            trash: { before: current.trash.length, after: merged.catalog.trash.length },
+            // Anime whose ID in the archive was taken, so they were added under another
+            idChanges: Object.entries(merged.idMap)
+                .filter(([from, to]) => to !== null && Number(from) !== to && !current.animes.some(anime => anime.id === to))
+                .map(([from, to]) => ({ from: Number(from), to, title: titles.get(to) })),
+            skipped: merged.skipped,
+            changes: [...new Set([...diff.animes.map(change => change.id), ...Object.keys(diff.episodes).map(Number)])]
+                .sort((a, b) => a - b)
+                .map(id => ({
+                    animeId: id,
+                    title: titles.get(id) || null,
+                    action: (diff.animes.find(change => change.id === id) || { action: 'update' }).action,
+                    episodes: count(diff.episodes[id] || [])
+                }))
+        }
+    };
+}
+
+// Move uploads extracted by readArchive into the uploads directory, under the IDs the anime
+// ended up with. Files of skipped anime are left behind. Returns { files, bytes }
+function moveStagedUploads(stageDir, uploadsDir, idMap) {
+    const moved = { files: 0, bytes: 0 };
+    if (!fs.existsSync(stageDir)) return moved;
+
+    fs.readdirSync(stageDir).forEach(from => {
+        const to = idMap[from];
+        if (!to) return;
+
+        listUploads(stageDir, [from]).forEach(file => {
+            const target = path.join(uploadsDir, String(to), ...file.name.split('/').slice(1));
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.renameSync(file.path, target);
+            moved.files++;
+            moved.bytes += file.size;
+        });
+    });
+
+    return moved;
+}
+
+// Append the changes of an import to the audit log, as made by user (null for the command line)
+function recordImportAudit(storage, diff, user) {
+    getAuditChanges(diff).forEach(change => {
+        const entry = createAuditEntry({ user, ...change });
+        const key = getAuditKey(new Date(entry.date));
+        storage.set(key, [...storage.get(key, []), entry]);
+    });
+}
+
+// Import a catalog archive into storage (see planImport for mode and existing). With
+// dryRun nothing is saved and the report says what would change. The changes are recorded
+// in the audit log as made by user. Uploads are extracted to stageDir first and only moved
+// into uploadsDir once the catalog has been saved; so are the uploads of removed anime
+// deleted.
+//   beforeSave(): called before anything is written, for a snapshot to undo the import.
+//     Whatever it resolves to is returned as snapshot
+//   onSave(result): called inside the transaction that saves the catalog, with the plan
+// Returns { status, body }
+async function importArchive(filePath, { storage, uploadsDir, stageDir, mode = 'merge', existing = 'overwrite', dryRun = false, includeUploads = true, user = null, beforeSave = () => null, onSave = () => {} }) {
+    if (!IMPORT_MODES.includes(mode)) {
+        return { status: 400, body: { error: `Mode must be one of: ${IMPORT_MODES.join(', ')}` } };
+    }
+    if (!EXISTING_ACTIONS.includes(existing)) {
+        return { status: 400, body: { error: `Existing must be one of: ${EXISTING_ACTIONS.join(', ')}` } };
+    }
+
+    const staging = !dryRun && includeUploads ? stageDir : null;
+
+    try {
+        let archive;
+        try {
+            archive = await readArchive(filePath, { stageDir: staging });
+        } catch (error) {
+            return { status: 400, body: { error: error.message } };
+        }
+
+        const errors = validateArchive(archive);
+        if (errors) {
+            return { status: 400, body: validationError(errors) };
+        }
+
+        const snapshot = dryRun ? null : await beforeSave();
+        let removed = [];
+        const plan = storage.transaction(() => {
+            const result = planImport(readCatalog(storage), archive.catalog, { mode, existing });
+            if (dryRun) return result;
+
+            recordImportAudit(storage, result.diff, user);
+            onSave(result);
+            removed = writeCatalog(storage, result.catalog);
+            return result;
+        });
+
+        removed.forEach(id => fs.rmSync(path.join(uploadsDir, String(id)), { recursive: true, force: true }));
+
+        const importedUploads = archive.uploads.filter(upload => includeUploads && plan.idMap[upload.animeId]);
+        const uploads = staging
+            ? moveStagedUploads(staging, uploadsDir, plan.idMap)
+            : { files: importedUploads.length, bytes: importedUploads.reduce((sum, upload) => sum + upload.size, 0) };
+
+        return {
+            status: 200,
+            body: {
+                ...plan.report,
+                dryRun,
+                uploads,
+                snapshot,
+                archive: { exportedAt: archive.manifest.exportedAt, version: archive.manifest.version }
+            }
+        };
+    } finally {
+        if (staging) fs.rmSync(staging, { recursive: true, force: true });
+    }
+}
+
+// snapshot-20240501T120000Z-scheduled.tar.gz
+function getSnapshotName(reason, now = new Date()) {
+    return `snapshot-${now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}-${reason}.tar.gz`;
+}
+
+function isSnapshotName(name) {
+    return SNAPSHOT_PATTERN.test(name);
+}
+
+// Snapshots in a directory, newest first: [{ name, reason, date, size }]
+function listSnapshots(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir)
+        .filter(isSnapshotName)
+        .map(name => {
+            const [, stamp, reason] = SNAPSHOT_PATTERN.exec(name);
+            return {
+                name,
+                reason,
+                date: new Date(stamp.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z')).toISOString(),
+                size: fs.statSync(path.join(dir, name)).size
+            };
+        })
+        .sort((a, b) => b.name.localeCompare(a.name));
+}
+
+// Save a snapshot of a catalog. The archive is written under a temporary name first, so a
+// half-written one is never listed. Names are by the second, so one taken in the same second
+// as an earlier one is dated a second later. Resolves to its entry in listSnapshots
+async function createSnapshot(dir, catalog, reason, now = new Date()) {
+    let date = now;
+    while (fs.existsSync(path.join(dir, getSnapshotName(reason, date)))) {
+        date = new Date(date.getTime() + 1000);
+    }
+
+    const name = getSnapshotName(reason, date);
+    const tempPath = path.join(dir, `.${name}.tmp`);
+
+    fs.mkdirSync(dir, { recursive: true });
+    try {
+        await writeArchive(fs.createWriteStream(tempPath), { catalog, now });
+        fs.renameSync(tempPath, path.join(dir, name));
+    } finally {
+        fs.rmSync(tempPath, { force: true });
+    }
+
+    return listSnapshots(dir).find(snapshot => snapshot.name === name);
+}
+
+// Delete all but the newest keep snapshots. Returns the names of the deleted ones
+function pruneSnapshots(dir, keep) {
+    return listSnapshots(dir).slice(Math.max(keep, 0)).map(snapshot => {
+        fs.rmSync(path.join(dir, snapshot.name), { force: true });
+        return snapshot.name;
+    });
+}
+
+// Save a snapshot of the stored catalog and delete the oldest ones past keep. Resolves to
+// its entry in listSnapshots
+async function takeSnapshot(storage, dir, reason, keep) {
+    const snapshot = await createSnapshot(dir, readStoredCatalog(storage), reason);
+    pruneSnapshots(dir, keep);
+    return snapshot;
+}
+
+module.exports = {
+    ARCHIVE_FORMAT,
+    ARCHIVE_VERSION,
+    IMPORT_MODES,
+    EXISTING_ACTIONS,
+    readCatalog,
+    readStoredCatalog,
+    writeCatalog,
+    writeArchive,
+    readArchive,
+    validateArchive,
+    getAuditChanges,
+    planImport,
+    moveStagedUploads,
+    importArchive,
+    isSnapshotName,
+    listSnapshots,
+    createSnapshot,
+    pruneSnapshots,
+    takeSnapshot
+};
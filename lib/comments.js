@@ -0,0 +1,195 @@
+// Episode comments with one level of replies, spoiler tags and reports
+// Each series keeps one list of comments for all its episodes:
+//   { id, episodeNumber, parentId, clientHash, userId, author, guest, text, spoiler,
+//     status: 'visible' | 'hidden', reports: [{ clientHash, ipHash, reason, date }], reviewedReports, dateAdded }
+// reviewedReports is how many of the reports a moderator had seen when they last acted on it.
+// clientHash identifies the account or guest that reported, ipHash the IP address it came from.
+// Text may mark parts as spoilers with [spoiler]...[/spoiler].
+
+const MAX_TEXT_LENGTH = 1000;
+const MAX_NAME_LENGTH = 30;
+const MAX_REASON_LENGTH = 200;
+const STATUSES = ['visible', 'hidden'];
+// Comments are hidden until a moderator looks at them once new reports come in from this many
+// IP addresses, so one person with several accounts can't hide a comment alone
+const AUTO_HIDE_REPORTS = 3;
+
+const SPOILER_PATTERN = /\[spoiler\]([\s\S]*?)\[\/spoiler\]/gi;
+
+// Check a new comment. Returns { text, spoiler, name } or { error }
+function validateComment({ text, spoiler, name }) {
+    if (typeof text !== 'string' || !text.trim()) {
+        return { error: 'Comment text is required' };
+    }
+
+    const trimmed = text.trim();
+    if (trimmed.length > MAX_TEXT_LENGTH) {
+        return { error: `Comment must be at most ${MAX_TEXT_LENGTH} characters` };
+    }
+
+    if (name !== undefined && name !== null && typeof name !== 'string') {
+        return { error: 'Name must be a string' };
+    }
+
+    const trimmedName = (name || '').trim();
+    if (trimmedName.length > MAX_NAME_LENGTH) {
+        return { error: `Name must be at most ${MAX_NAME_LENGTH} characters` };
+    }
+
+    return { text: trimmed, spoiler: spoiler === true, name: trimmedName };
+}
+
+// Add a comment to an episode. Replies to a reply join the thread of the top-level
+// comment, so threads are only ever one level deep. Returns { comment } or { error }
+function addComment(comments, { episodeNumber, parentId, clientHash, userId, author, guest, text, spoiler }, now = new Date()) {
+    let threadId = null;
+
+    if (parentId !== undefined && parentId !== null) {
+        const parent = comments.find(c => c.id === parseInt(parentId) && c.episodeNumber === episodeNumber);
+
+        if (!parent || parent.status !== 'visible') {
+            return { error: 'Comment to reply to not found' };
+        }
+
+        threadId = parent.parentId || parent.id;
+    }
+
+    const comment = {
+        id: comments.length > 0 ? Math.max(...comments.map(c => c.id)) + 1 : 1,
+        episodeNumber,
+        parentId: threadId,
+        clientHash,
+        userId: userId || null,
+        author,
+        guest: Boolean(guest),
+        text,
+        spoiler,
+        status: 'visible',
+        reports: [],
+        reviewedReports: 0,
+        dateAdded: now.toISOString()
+    };
+
+    comments.push(comment);
+    return { comment };
+}
+
+// Report a comment. Each account or guest can report a comment once. Returns { comment, added }
+function reportComment(comment, { clientHash, ipHash, reason }, now = new Date()) {
+    if (comment.reports.some(report => report.clientHash === clientHash)) {
+        return { comment, added: false };
+    }
+
+    comment.reports.push({
+        clientHash,
+        ipHash,
+        reason: typeof reason === 'string' ? reason.trim().slice(0, MAX_REASON_LENGTH) : '',
+        date: now.toISOString()
+    });
+
+    // Reports made before IP addresses were kept count by reporter
+    const addresses = new Set(comment.reports.slice(comment.reviewedReports).map(report => report.ipHash || report.clientHash));
+    if (addresses.size >= AUTO_HIDE_REPORTS) {
+        comment.status = 'hidden';
+    }
+
+    return { comment, added: true };
+}
+
+// Set the status of a comment after a moderator has looked at it
+function moderateComment(comment, status) {
+    comment.status = status;
+    comment.reviewedReports = comment.reports.length;
+    return comment;
+}
+
+// Whether a comment is waiting in the moderation queue
+function needsReview(comment) {
+    return comment.reports.length > comment.reviewedReports;
+}
+
+// Split text into plain and spoiler parts, so clients can render it without parsing markup
+function splitSpoilers(text) {
+    const parts = [];
+    let lastIndex = 0;
+
+    text.replace(SPOILER_PATTERN, (match, inner, offset) => {
+        if (offset > lastIndex) {
+            parts.push({ text: text.slice(lastIndex, offset), spoiler: false });
+        }
+        if (inner) {
+            parts.push({ text: inner, spoiler: true });
+        }
+        lastIndex = offset + match.length;
+        return match;
+    });
+
+    if (lastIndex < text.length) {
+        parts.push({ text: text.slice(lastIndex), spoiler: false });
+    }
+
+    return parts;
+}
+
+// Visible top-level comments of an episode with their visible replies, newest threads first
+function getThreads(comments, episodeNumber) {
+    const visible = comments.filter(c => c.episodeNumber === episodeNumber && c.status === 'visible');
+
+    return visible
+        .filter(c => !c.parentId)
+        .sort((a, b) => new Date(b.dateAdded) - new Date(a.dateAdded))
+        .map(comment => ({
+            comment,
+            replies: visible
+                .filter(reply => reply.parentId === comment.id)
+                .sort((a, b) => new Date(a.dateAdded) - new Date(b.dateAdded))
+        }));
+}
+
+// Remove a comment and its replies. Returns the removed comments
+function removeComment(comments, commentId) {
+    const removed = comments.filter(c => c.id === commentId || c.parentId === commentId);
+    const remaining = comments.filter(c => c.id !== commentId && c.parentId !== commentId);
+    comments.splice(0, comments.length, ...remaining);
+    return removed;
+}
+
+// Strip client hashes and reporter details before a comment leaves the server
+function publicComment(comment) {
+    return {
+        id: comment.id,
+        episodeNumber: comment.episodeNumber,
+        parentId: comment.parentId,
+        author: comment.author,
+        guest: comment.guest,
+        text: comment.text,
+        parts: splitSpoilers(comment.text),
+        spoiler: comment.spoiler,
+        status: comment.status,
+        dateAdded: comment.dateAdded
+    };
+}
+
+// Comment details for moderators, including how often and why it was reported
+function moderationComment(comment) {
+    return {
+        ...publicComment(comment),
+        userId: comment.userId,
+        reportCount: comment.reports.length,
+        reasons: comment.reports.map(report => report.reason).filter(reason => reason),
+        reviewed: !needsReview(comment)
+    };
+}
+
+module.exports = {
+    STATUSES,
+    validateComment,
+    addComment,
+    reportComment,
+    moderateComment,
+    needsReview,
+    getThreads,
+    removeComment,
+    publicComment,
+    moderationComment
+};
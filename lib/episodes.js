@@ -0,0 +1,176 @@
+// Episode numbering
+// Episodes are identified by their number within a series. Besides whole numbers, a recap or
+// bonus episode between two others can be numbered with up to two decimals (12.5), and
+// specials (OVAs, movies, ...) are marked with type 'special' and a label such as "OVA 1".
+// Only regular episodes with a whole number count towards a series' episode counters.
+// Episodes can be kept as drafts, hidden from viewers until they are published by hand or at
+// their publishAt time: { ..., draft: true, publishAt: ISO date | null }. Drafts don't count
+// towards the counters either, so currentEpisode goes up when they are published.
+
+const { EPISODE_TYPES: TYPES, EPISODE_SCHEMA, validate } = require('./schema');
+
+// Parse an episode number from a URL or a request. Returns NaN if it isn't a number from 0
+// up with at most two decimals
+function parseEpisodeNumber(value) {
+    const text = typeof value === 'number' ? String(value) : typeof value === 'string' ? value.trim() : '';
+    return /^\d+(\.\d{1,2})?$/.test(text) ? Number(text) : NaN;
+}
+
+function isRegularEpisode(episode) {
+    return episode.type !== 'special' && Number.isInteger(episode.episodeNumber);
+}
+
+function sortEpisodes(episodes) {
+    return episodes.sort((a, b) => a.episodeNumber - b.episodeNumber);
+}
+
+// Recompute a series' counters from its episodes: currentEpisode is the latest published
+// regular episode, and the episode total grows to it but is otherwise left as the admin set it
+function updateEpisodeCounts(anime, episodes) {
+    const regular = episodes.filter(ep => !ep.draft && isRegularEpisode(ep)).map(ep => ep.episodeNumber);
+
+    anime.currentEpisode = regular.length > 0 ? Math.max(...regular) : 0;
+    anime.episodes = Math.max(anime.episodes || 0, anime.currentEpisode);
+    return anime;
+}
+
+// Check the editable fields of an episode against EPISODE_SCHEMA. With partial, only fields
+// that are present are checked and returned, for updates; otherwise missing fields get their
+// default. Returns { fields } or { errors } as validate() reports them
+function normalizeEpisodeFields(input, { partial = true } = {}) {
+    const { value, errors } = validate(EPISODE_SCHEMA, input, { partial });
+
+    if (errors) {
+        return { errors };
+    }
+    if (value.label === null) {
+        value.label = '';
+    }
+    return { fields: value };
+}
+
+// Make a draft public. It counts as added when it goes public, so it shows up as a new episode
+function publishEpisode(episode, now = new Date()) {
+    delete episode.draft;
+    delete episode.publishAt;
+    delete episode.dateUpdated;
+    episode.dateAdded = now.toISOString();
+    return episode;
+}
+
+// Check the draft and publishAt fields of a request. Returns null or { [field]: message }
+function checkPublishing({ draft, publishAt }, now = new Date()) {
+    if (publishAt === undefined || publishAt === null) {
+        return null;
+    }
+    if (isNaN(new Date(publishAt))) {
+        return { publishAt: 'must be a date and time' };
+    }
+    if (new Date(publishAt) <= now) {
+        return { publishAt: 'must be in the future' };
+    }
+    if (draft === false) {
+        return { draft: 'can\'t be false when publishAt is set' };
+    }
+    return null;
+}
+
+// Apply the draft and publishAt fields of a request to an episode. A publishAt time makes it a
+// draft until then, draft: false publishes a draft right away, and publishAt: null keeps a
+// draft but stops it from being published automatically. Returns null or { [field]: message }
+function setPublishing(episode, { draft, publishAt }, now = new Date()) {
+    const errors = checkPublishing({ draft, publishAt }, now);
+
+    if (errors) {
+        return errors;
+    }
+
+    if (publishAt !== undefined && publishAt !== null) {
+        episode.draft = true;
+        episode.publishAt = new Date(publishAt).toISOString();
+    } else if (draft === true) {
+        episode.draft = true;
+        episode.publishAt = publishAt === null ? null : episode.publishAt || null;
+    } else if (draft === false && episode.draft) {
+        publishEpisode(episode, now);
+    } else if (publishAt === null && episode.draft) {
+        episode.publishAt = null;
+    }
+
+    return null;
+}
+
+// Work out the number changes of a renumbering. Takes either a list of { from, to } moves or
+// a shift of every episode numbered from..to (to is optional) by "by". Episodes may swap
+// numbers, but no two can end up with the same one. Returns { moves } or { error }
+function planRenumber(episodes, { moves, shift }) {
+    let requested;
+
+    if (Array.isArray(moves)) {
+        requested = moves.map(move => ({
+            from: parseEpisodeNumber(move && move.from),
+            to: parseEpisodeNumber(move && move.to)
+        }));
+    } else if (shift && typeof shift === 'object') {
+        const from = parseEpisodeNumber(shift.from);
+        const to = shift.to === undefined || shift.to === null || shift.to === '' ? Infinity : parseEpisodeNumber(shift.to);
+        const by = Number(shift.by);
+
+        if (isNaN(from) || isNaN(to) || !Number.isInteger(by) || by === 0) {
+            return { error: 'A shift needs a from episode, an optional to episode and a whole number "by" other than 0' };
+        }
+
+        requested = episodes
+            .filter(ep => ep.episodeNumber >= from && ep.episodeNumber <= to)
+            .map(ep => ({ from: ep.episodeNumber, to: Math.round((ep.episodeNumber + by) * 100) / 100 }));
+
+        if (requested.some(move => move.to < 0)) {
+            return { error: 'Episodes can\'t be shifted below episode 0' };
+        }
+    } else {
+        return { error: 'Send either moves ([{ from, to }]) or a shift ({ from, to, by })' };
+    }
+
+    if (requested.length === 0) {
+        return { error: 'No episodes to renumber' };
+    }
+
+    for (const move of requested) {
+        if (isNaN(move.from) || isNaN(move.to)) {
+            return { error: 'Episode numbers must be numbers from 0 up with at most two decimals' };
+        }
+        if (!episodes.some(ep => ep.episodeNumber === move.from)) {
+            return { error: `Episode ${move.from} not found` };
+        }
+    }
+
+    const froms = new Set(requested.map(move => move.from));
+    if (froms.size !== requested.length) {
+        return { error: 'Each episode can only be moved once' };
+    }
+
+    const numbers = episodes
+        .filter(ep => !froms.has(ep.episodeNumber))
+        .map(ep => ep.episodeNumber)
+        .concat(requested.map(move => move.to));
+    const duplicate = numbers.find((number, index) => numbers.indexOf(number) !== index);
+
+    if (duplicate !== undefined) {
+        return { error: `Episode ${duplicate} would exist twice` };
+    }
+
+    return { moves: requested.filter(move => move.from !== move.to) };
+}
+
+module.exports = {
+    TYPES,
+    parseEpisodeNumber,
+    isRegularEpisode,
+    sortEpisodes,
+    updateEpisodeCounts,
+    normalizeEpisodeFields,
+    publishEpisode,
+    checkPublishing,
+    setPublishing,
+    planRenumber
+};
@@ -0,0 +1,159 @@
+// Calendar and news feeds
+// The release schedule is published as an iCalendar (.ics) feed that calendar apps can
+// subscribe to, and newly added episodes as RSS 2.0 and Atom feeds. These only turn lists of
+// events and items into text; which airings and episodes go in is up to the caller:
+//   event: { uid, start, end, stamp, summary, description, url, status: 'CONFIRMED' | 'CANCELLED' }
+//   item: { id, title, summary, url, date }
+// Dates are Date objects or ISO strings. The output only depends on what is passed in, so
+// an unchanged schedule or episode list gives the same feed and the same ETag.
+
+// Lines of an iCalendar file may be at most 75 octets long, continued lines start with a space
+const ICS_LINE_LENGTH = 75;
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function escapeIcsText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Split a content line into 75-octet pieces without cutting a UTF-8 character in two
+function foldIcsLine(line) {
+    const parts = [];
+    let part = '';
+    let size = 0;
+
+    for (const char of line) {
+        const charSize = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? ICS_LINE_LENGTH : ICS_LINE_LENGTH - 1;
+
+        if (size + charSize > limit) {
+            parts.push(part);
+            part = '';
+            size = 0;
+        }
+        part += char;
+        size += charSize;
+    }
+    parts.push(part);
+
+    return parts.join('\r\n ');
+}
+
+// 2024-05-01T12:30:00.000Z -> 20240501T123000Z
+function formatIcsDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// The iCalendar text of a calendar. refreshHours tells clients how often to fetch it again
+function buildCalendar({ name, description = '', events, refreshHours = 6 }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Anime Tagalog//Release Schedule//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(name)}`,
+        `X-WR-CALDESC:${escapeIcsText(description)}`,
+        `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshHours}H`,
+        `X-PUBLISHED-TTL:PT${refreshHours}H`
+    ];
+
+    events.forEach(event => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${formatIcsDate(event.stamp)}`,
+            `DTSTART:${formatIcsDate(event.start)}`,
+            `DTEND:${formatIcsDate(event.end)}`,
+            `SUMMARY:${escapeIcsText(event.summary)}`
+        );
+        if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+        if (event.url) lines.push(`URL:${event.url}`);
+        lines.push(`STATUS:${event.status || 'CONFIRMED'}`, 'TRANSP:TRANSPARENT', 'END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// The newest date among some items, or null if there are none
+function getLatestDate(items) {
+    const dates = items.map(item => new Date(item.date)).filter(date => !isNaN(date));
+    return dates.length > 0 ? new Date(Math.max(...dates)) : null;
+}
+
+// RSS 2.0. selfUrl is where the feed itself is served from
+function buildRss({ title, description, url, selfUrl, items, ttlMinutes = 15 }) {
+    const updated = getLatestDate(items);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+        '<channel>',
+        `<title>${escapeXml(title)}</title>`,
+        `<link>${escapeXml(url)}</link>`,
+        `<description>${escapeXml(description)}</description>`,
+        `<atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+        '<language>tl</language>',
+        updated ? `<lastBuildDate>${updated.toUTCString()}</lastBuildDate>` : '',
+        `<ttl>${ttlMinutes}</ttl>`,
+        ...items.map(item => [
+            '<item>',
+            `<title>${escapeXml(item.title)}</title>`,
+            `<link>${escapeXml(item.url)}</link>`,
+            `<guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+            `<pubDate>${new Date(item.date).toUTCString()}</pubDate>`,
+            item.summary ? `<description>${escapeXml(item.summary)}</description>` : '',
+            '</item>'
+        ].filter(Boolean).join('\n')),
+        '</channel>',
+        '</rss>'
+    ].filter(Boolean).join('\n') + '\n';
+}
+
+// Atom 1.0. An Atom feed must have an updated date, so an empty one uses emptyDate
+function buildAtom({ title, description, url, selfUrl, items, emptyDate = new Date(0) }) {
+    const updated = getLatestDate(items) || new Date(emptyDate);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `<title>${escapeXml(title)}</title>`,
+        `<subtitle>${escapeXml(description)}</subtitle>`,
+        `<id>${escapeXml(selfUrl)}</id>`,
+        `<link href="${escapeXml(url)}" rel="alternate" type="text/html"/>`,
+        `<link href="${escapeXml(selfUrl)}" rel="self" type="application/atom+xml"/>`,
+        `<updated>${updated.toISOString()}</updated>`,
+        ...items.map(item => [
+            '<entry>',
+            `<title>${escapeXml(item.title)}</title>`,
+            `<id>${escapeXml(item.id)}</id>`,
+            `<link href="${escapeXml(item.url)}" rel="alternate" type="text/html"/>`,
+            `<updated>${new Date(item.date).toISOString()}</updated>`,
+            item.summary ? `<summary>${escapeXml(item.summary)}</summary>` : '',
+            '</entry>'
+        ].filter(Boolean).join('\n')),
+        '</feed>'
+    ].join('\n') + '\n';
+}
+
+module.exports = {
+    escapeXml,
+    escapeIcsText,
+    foldIcsLine,
+    buildCalendar,
+    getLatestDate,
+    buildRss,
+    buildAtom
+};
@@ -0,0 +1,369 @@
+// Episode source importers
+// Each importer turns pasted content in one format into a list of episodes:
+//   { episodeNumber, title, sources: { server1, server2, ... } }
+// where serverN is the URL for the episode server with id N. planImport compares them with
+// the episodes a series already has, so the admin panel can show what would be created or
+// updated before anything is saved.
+
+const { parseDocument, DomUtils } = require('htmlparser2');
+const { setServerUrl } = require('./sources');
+const { parseEpisodeNumber } = require('./episodes');
+
+// Numbers in titles, file names and link text like "Episode 12", "EP12", "e12" or "- 12 -",
+// including half episodes like "Episode 12.5"
+const EPISODE_NUMBER_PATTERNS = [
+    /\b(?:episode|episodio|ep|e)[\s._-]*(\d+(?:\.\d{1,2})?)\b/i,
+    /(?:^|[\s_\-[(])(\d{1,4}(?:\.\d{1,2})?)(?:[\s_\-\])]|\.\w+$|$)/
+];
+
+function findEpisodeNumber(...texts) {
+    for (const pattern of EPISODE_NUMBER_PATTERNS) {
+        for (const text of texts) {
+            const match = text && String(text).match(pattern);
+            const episodeNumber = match ? parseEpisodeNumber(match[1]) : NaN;
+            if (!isNaN(episodeNumber)) return episodeNumber;
+        }
+    }
+    return null;
+}
+
+// The last part of a URL's path, decoded. Links with a stray "%" are left as they are
+function getFileName(url) {
+    const fileName = url.split(/[?#]/)[0].split('/').pop() || '';
+    try {
+        return decodeURIComponent(fileName);
+    } catch (error) {
+        return fileName;
+    }
+}
+
+// Source values some sites fill in as placeholders ("LINK1", "**https://...**") are cleaned
+// up; anything that still isn't a URL or a path is dropped
+function cleanSource(value, baseUrl) {
+    const cleaned = String(value || '').replace(/\*/g, '').trim();
+    if (!cleaned) return null;
+
+    if (/^https?:\/\//i.test(cleaned)) return cleaned;
+
+    if (baseUrl && !/^[a-z][a-z\d+.-]*:/i.test(cleaned) && !cleaned.startsWith('#')) {
+        try {
+            return new URL(cleaned, baseUrl).href;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    return cleaned.startsWith('/') ? cleaned : null;
+}
+
+function getServerKey(server) {
+    const number = parseInt(String(server || '1').replace(/^server/i, ''));
+    return `server${number > 0 ? number : 1}`;
+}
+
+// <option value="1" data-server1="..." data-server2="...">Episode 1</option>, the format of
+// the episode dropdowns on the sites we copy from. Attributes may come in any order and
+// any data-serverN is picked up
+function parseSelect(content) {
+    const document = parseDocument(content);
+    const options = DomUtils.findAll(element => element.name === 'option', document.children);
+
+    return options.map(option => {
+        const text = DomUtils.textContent(option).trim();
+        const sources = {};
+
+        Object.entries(option.attribs).forEach(([name, value]) => {
+            const match = name.match(/^data-server(\d+)$/);
+            const source = match && cleanSource(value);
+            if (source) sources[`server${match[1]}`] = source;
+        });
+
+        return {
+            episodeNumber: !isNaN(parseEpisodeNumber(option.attribs.value)) ? parseEpisodeNumber(option.attribs.value) : findEpisodeNumber(text),
+            title: text,
+            sources
+        };
+    });
+}
+
+// M3U/M3U8 playlists: each URL line, titled by the #EXTINF line before it
+function parseM3u(content, { server, startEpisode = 1, baseUrl } = {}) {
+    const entries = [];
+    let title = '';
+
+    content.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+
+        if (line.startsWith('#EXTINF')) {
+            title = line.slice(line.indexOf(',') + 1).trim();
+            return;
+        }
+        if (!line || line.startsWith('#')) return;
+
+        const source = cleanSource(line, baseUrl);
+        if (source) {
+            const fileName = getFileName(source);
+            entries.push({
+                episodeNumber: findEpisodeNumber(title, fileName) || startEpisode + entries.length,
+                title,
+                sources: { [getServerKey(server)]: source }
+            });
+        }
+        title = '';
+    });
+
+    return entries;
+}
+
+// Split CSV text into rows, with quoted fields that may contain commas, quotes ("") and newlines.
+// Empty rows are dropped unless keepEmpty is set
+function parseCsvRows(content, { keepEmpty = false } = {}) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return keepEmpty ? rows : rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+// CSV with a header row: episode (or episodeNumber), title and one column per server
+// (server1, server2, ...). A single url column goes to the chosen server
+function parseCsv(content, { server } = {}) {
+    const [header, ...rows] = parseCsvRows(content.replace(/^\uFEFF/, ''));
+    if (!header) return [];
+
+    const columns = header.map(name => name.trim().toLowerCase().replace(/[\s_]/g, ''));
+
+    return rows.map(cells => {
+        const entry = { episodeNumber: null, title: '', sources: {} };
+
+        columns.forEach((column, index) => {
+            const value = (cells[index] || '').trim();
+
+            if (column === 'episode' || column === 'episodenumber' || column === 'ep') {
+                entry.episodeNumber = !isNaN(parseEpisodeNumber(value)) ? parseEpisodeNumber(value) : findEpisodeNumber(value);
+            } else if (column === 'title') {
+                entry.title = value;
+            } else if (/^server\d+$/.test(column) && cleanSource(value)) {
+                entry.sources[column] = cleanSource(value);
+            } else if (column === 'url' && cleanSource(value)) {
+                entry.sources[getServerKey(server)] = cleanSource(value);
+            }
+        });
+
+        return entry;
+    });
+}
+
+// JSON: an array (or { episodes: [...] }) of episodes as this site exports them, with
+// a servers list, sources, serverN properties or a single url
+function parseJson(content, { server } = {}) {
+    const data = JSON.parse(content);
+    const items = Array.isArray(data) ? data : data && Array.isArray(data.episodes) ? data.episodes : null;
+
+    if (!items) {
+        throw new Error('Expected an array of episodes');
+    }
+
+    return items.map(item => {
+        const sources = {};
+        const given = { ...item, ...(item && typeof item.sources === 'object' ? item.sources : {}) };
+
+        Object.entries(given).forEach(([key, value]) => {
+            if (/^server\d+$/.test(key) && cleanSource(value)) sources[key] = cleanSource(value);
+        });
+        if (item && Array.isArray(item.servers)) {
+            item.servers.forEach((server, index) => {
+                const source = server && cleanSource(server.url);
+                if (source) sources[`server${parseInt(server.id) || index + 1}`] = source;
+            });
+        }
+        if (item && item.url && cleanSource(item.url)) {
+            sources[getServerKey(server)] = cleanSource(item.url);
+        }
+
+        const number = item && (item.episodeNumber !== undefined ? item.episodeNumber : item.episode);
+
+        return {
+            episodeNumber: !isNaN(parseEpisodeNumber(number)) ? parseEpisodeNumber(number) : null,
+            title: item && typeof item.title === 'string' ? item.title : '',
+            sources
+        };
+    });
+}
+
+// Any HTML page: links (<a href>) and media (<video>, <source>, <iframe> src) are taken
+// as episodes, numbered from their text or file name. "match" keeps only URLs containing it
+function parseHtmlLinks(content, { server, startEpisode = 1, baseUrl, match } = {}) {
+    const document = parseDocument(content);
+    const elements = DomUtils.findAll(element =>
+        (element.name === 'a' && element.attribs.href) ||
+        (['video', 'source', 'iframe'].includes(element.name) && element.attribs.src), document.children);
+    const seen = new Set();
+    const entries = [];
+
+    elements.forEach(element => {
+        const source = cleanSource(element.attribs.href || element.attribs.src, baseUrl);
+        if (!source || seen.has(source) || (match && !source.includes(match))) return;
+        seen.add(source);
+
+        const text = DomUtils.textContent(element).trim() || element.attribs.title || '';
+        const fileName = getFileName(source);
+
+        entries.push({
+            episodeNumber: findEpisodeNumber(text, fileName) || startEpisode + entries.length,
+            title: text,
+            sources: { [getServerKey(server)]: source }
+        });
+    });
+
+    return entries;
+}
+
+const IMPORTERS = {
+    select: { label: 'HTML select (data-server attributes)', parse: parseSelect },
+    m3u: { label: 'M3U/M3U8 playlist', parse: parseM3u },
+    csv: { label: 'CSV (episode, title, server1, server2...)', parse: parseCsv },
+    json: { label: 'JSON', parse: parseJson },
+    html: { label: 'Links in any HTML page', parse: parseHtmlLinks }
+};
+
+// Run an importer. Returns { entries, errors } or { error } if the content can't be read.
+// Entries without a usable episode number or source become errors, and a later entry for
+// the same episode adds its servers to the earlier one
+function parseEpisodes(format, content, options = {}) {
+    const importer = IMPORTERS[format];
+
+    if (!importer) {
+        return { error: `Unknown format. Use one of: ${Object.keys(IMPORTERS).join(', ')}` };
+    }
+    if (typeof content !== 'string' || !content.trim()) {
+        return { error: 'Content to import is required' };
+    }
+
+    let parsed;
+    try {
+        parsed = importer.parse(content, options);
+    } catch (error) {
+        return { error: `Could not read the ${format.toUpperCase()} content: ${error.message}` };
+    }
+
+    const byNumber = new Map();
+    const errors = [];
+
+    parsed.forEach((entry, index) => {
+        if (typeof entry.episodeNumber !== 'number' || isNaN(parseEpisodeNumber(entry.episodeNumber))) {
+            errors.push({ item: index + 1, title: entry.title, error: 'No episode number found' });
+        } else if (Object.keys(entry.sources).length === 0) {
+            errors.push({ item: index + 1, title: entry.title, error: 'No source URL found' });
+        } else if (byNumber.has(entry.episodeNumber)) {
+            Object.assign(byNumber.get(entry.episodeNumber).sources, entry.sources);
+        } else {
+            byNumber.set(entry.episodeNumber, { ...entry, sources: { ...entry.sources } });
+        }
+    });
+
+    return {
+        entries: [...byNumber.values()].sort((a, b) => a.episodeNumber - b.episodeNumber),
+        errors
+    };
+}
+
+// Server id of a serverN key
+function getServerId(key) {
+    return parseInt(key.slice(6));
+}
+
+// What importing entries would do to a series' episodes:
+//   [{ episodeNumber, action: 'create' | 'update' | 'unchanged', title, changes: [{ server, url }] }]
+// changes lists the servers (by id) whose URL would be set or replaced
+function planImport(episodes, entries) {
+    return entries.map(entry => {
+        const existing = episodes.find(ep => ep.episodeNumber === entry.episodeNumber);
+        const changes = Object.entries(entry.sources)
+            .map(([key, url]) => ({ server: getServerId(key), url }))
+            .filter(change => {
+                const server = existing && (existing.servers || []).find(s => s.id === change.server);
+                return !server || server.url !== change.url;
+            });
+
+        return {
+            episodeNumber: entry.episodeNumber,
+            action: !existing ? 'create' : changes.length > 0 ? 'update' : 'unchanged',
+            title: existing ? existing.title : entry.title || `Episode ${entry.episodeNumber}`,
+            changes
+        };
+    });
+}
+
+// Apply a plan to a series' episodes in place. Returns the created and updated episodes
+function applyImport(episodes, plan, now = new Date()) {
+    const changed = [];
+
+    plan.forEach(item => {
+        let episode = episodes.find(ep => ep.episodeNumber === item.episodeNumber);
+
+        if (item.action === 'create') {
+            episode = {
+                episodeNumber: item.episodeNumber,
+                title: item.title,
+                description: '',
+                servers: [],
+                dateAdded: now.toISOString()
+            };
+            episodes.push(episode);
+        } else if (item.action === 'update') {
+            episode.servers = episode.servers || [];
+            episode.dateUpdated = now.toISOString();
+        } else {
+            return;
+        }
+
+        item.changes.forEach(change => setServerUrl(episode.servers, change.server, change.url));
+        changed.push(episode);
+    });
+
+    episodes.sort((a, b) => a.episodeNumber - b.episodeNumber);
+    return changed;
+}
+
+module.exports = {
+    IMPORTERS,
+    parseCsvRows,
+    parseEpisodes,
+    planImport,
+    applyImport
+};
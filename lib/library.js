@@ -0,0 +1,135 @@
+// Per-account viewer library: favorites, watch history, playback positions and player preferences
+// A library is one document per user:
+//   { favorites: [{ animeId, dateAdded }], history: [{ animeId, episodeNumber, watchedAt }],
+//     progress: { 'animeId:episode': { animeId, episodeNumber, position, duration, updatedAt } },
+//     preferences: { autoplay, autoNext, darkMode } }
+
+const MAX_HISTORY = 100;
+const MAX_PROGRESS = 500;
+// An episode counts as finished once this much of it has been played
+const FINISHED_RATIO = 0.9;
+const PREFERENCES = ['autoplay', 'autoNext', 'darkMode'];
+
+function createLibrary() {
+    return { favorites: [], history: [], progress: {}, preferences: {} };
+}
+
+// Fill in anything missing from an older or empty document
+function normalizeLibrary(library) {
+    return { ...createLibrary(), ...(library || {}) };
+}
+
+function progressKey(animeId, episodeNumber) {
+    return `${animeId}:${episodeNumber}`;
+}
+
+function addFavorite(library, animeId, now = new Date()) {
+    if (!library.favorites.some(f => f.animeId === animeId)) {
+        library.favorites.unshift({ animeId, dateAdded: now.toISOString() });
+    }
+    return library;
+}
+
+function removeFavorite(library, animeId) {
+    library.favorites = library.favorites.filter(f => f.animeId !== animeId);
+    return library;
+}
+
+// Move a series to the top of the history, remembering the episode watched last
+function addToHistory(library, animeId, episodeNumber, watchedAt) {
+    library.history = library.history.filter(h => h.animeId !== animeId);
+    library.history.unshift({ animeId, episodeNumber, watchedAt });
+    library.history = library.history.slice(0, MAX_HISTORY);
+    return library;
+}
+
+// Save the playback position of an episode. Returns the saved entry
+function recordProgress(library, { animeId, episodeNumber, position, duration }, now = new Date()) {
+    const entry = {
+        animeId,
+        episodeNumber,
+        position: Math.max(0, position),
+        duration: duration > 0 ? duration : null,
+        updatedAt: now.toISOString()
+    };
+    entry.finished = Boolean(entry.duration && entry.position >= entry.duration * FINISHED_RATIO);
+
+    library.progress[progressKey(animeId, episodeNumber)] = entry;
+    addToHistory(library, animeId, episodeNumber, entry.updatedAt);
+
+    // Forget the oldest positions once there are too many
+    const keys = Object.keys(library.progress);
+    if (keys.length > MAX_PROGRESS) {
+        keys
+            .sort((a, b) => library.progress[a].updatedAt.localeCompare(library.progress[b].updatedAt))
+            .slice(0, keys.length - MAX_PROGRESS)
+            .forEach(key => delete library.progress[key]);
+    }
+
+    return entry;
+}
+
+function getProgress(library, animeId, episodeNumber) {
+    return library.progress[progressKey(animeId, episodeNumber)] || null;
+}
+
+// Series in the history whose last watched episode isn't finished yet, most recent first
+function getContinueWatching(library) {
+    return library.history
+        .map(item => getProgress(library, item.animeId, item.episodeNumber))
+        .filter(entry => entry && !entry.finished);
+}
+
+function updatePreferences(library, preferences) {
+    PREFERENCES.forEach(name => {
+        if (typeof preferences[name] === 'boolean') {
+            library.preferences[name] = preferences[name];
+        }
+    });
+    return library;
+}
+
+// Merge the data a browser kept in localStorage before the viewer had an account.
+// Favorites and history are added to what the account already has; preferences
+// already set on the account win.
+function mergeLocalData(library, { favorites = [], recentlyWatched = [], preferences = {} }, now = new Date()) {
+    favorites
+        .map(id => parseInt(id))
+        .filter(id => !isNaN(id))
+        .forEach(animeId => {
+            if (!library.favorites.some(f => f.animeId === animeId)) {
+                library.favorites.push({ animeId, dateAdded: now.toISOString() });
+            }
+        });
+
+    recentlyWatched
+        .map(id => parseInt(id))
+        .filter(id => !isNaN(id))
+        .forEach(animeId => {
+            if (!library.history.some(h => h.animeId === animeId)) {
+                library.history.push({ animeId, episodeNumber: null, watchedAt: null });
+            }
+        });
+    library.history = library.history.slice(0, MAX_HISTORY);
+
+    const missing = {};
+    PREFERENCES.forEach(name => {
+        if (library.preferences[name] === undefined) {
+            missing[name] = preferences[name];
+        }
+    });
+    updatePreferences(library, missing);
+
+    return library;
+}
+
+module.exports = {
+    normalizeLibrary,
+    addFavorite,
+    removeFavorite,
+    recordProgress,
+    getProgress,
+    getContinueWatching,
+    updatePreferences,
+    mergeLocalData
+};
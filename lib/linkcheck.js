@@ -0,0 +1,158 @@
+// Background health checks of episode sources
+// Every source of every episode is probed now and then, so dead links show up in the admin
+// panel before viewers run into them and the player can skip servers known to be broken.
+// Results are kept per source, under "<animeId>:<episodeNumber>:<server>":
+//   { url, ok, statusCode, latency, error, failures, lastChecked, lastOk }
+
+const DEFAULT_TIMEOUT = 10 * 1000;
+// Sources probed at the same time, to stay polite to the hosts
+const CONCURRENCY = 4;
+
+function getSourceKey(animeId, episodeNumber, server) {
+    return `${animeId}:${episodeNumber}:${server}`;
+}
+
+// Probe a URL. HEAD is tried first; hosts that don't allow it get a GET for the first byte
+async function probeUrl(url, timeoutMs = DEFAULT_TIMEOUT) {
+    const started = Date.now();
+
+    const request = async method => {
+        const response = await fetch(url, {
+            method,
+            redirect: 'follow',
+            headers: method === 'GET' ? { Range: 'bytes=0-0' } : {},
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+
+        // Don't download the body of the fallback GET
+        if (response.body) {
+            await response.body.cancel().catch(() => {});
+        }
+
+        return response;
+    };
+
+    try {
+        let response = await request('HEAD');
+
+        if (response.status === 405 || response.status === 501) {
+            response = await request('GET');
+        }
+
+        return {
+            ok: response.status < 400,
+            statusCode: response.status,
+            latency: Date.now() - started,
+            error: response.status < 400 ? null : `HTTP ${response.status}`
+        };
+    } catch (error) {
+        return {
+            ok: false,
+            statusCode: null,
+            latency: Date.now() - started,
+            error: error.name === 'TimeoutError' ? `Timed out after ${timeoutMs / 1000}s` : (error.cause && error.cause.code) || error.message
+        };
+    }
+}
+
+// Link checker.
+//   listSources(): every source as { animeId, episodeNumber, server, url }
+//   loadResults/saveResults: read and persist the results by source key
+//   checkLocal(path): { ok, error } for sources that are local files rather than URLs
+function createLinkChecker({ listSources, loadResults, saveResults, checkLocal, timeoutMs = DEFAULT_TIMEOUT }) {
+    let running = null;
+    let timer = null;
+    let lastRun = null;
+
+    async function checkSource(source, previous, now = new Date()) {
+        const started = Date.now();
+        const result = /^https?:\/\//i.test(source.url)
+            ? await probeUrl(source.url, timeoutMs)
+            : { statusCode: null, ...checkLocal(source.url), latency: Date.now() - started };
+
+        // A changed URL starts over, its old failures say nothing about the new one
+        const earlier = previous && previous.url === source.url ? previous : null;
+
+        return {
+            url: source.url,
+            ok: result.ok,
+            statusCode: result.statusCode,
+            latency: result.latency,
+            error: result.error || null,
+            failures: result.ok ? 0 : ((earlier && earlier.failures) || 0) + 1,
+            lastChecked: now.toISOString(),
+            lastOk: result.ok ? now.toISOString() : (earlier && earlier.lastOk) || null
+        };
+    }
+
+    // Check the given sources a few at a time and save their results
+    async function checkSources(sources, prune) {
+        const checked = {};
+        const queue = [...sources];
+
+        const worker = async () => {
+            while (queue.length > 0) {
+                const source = queue.shift();
+                const key = getSourceKey(source.animeId, source.episodeNumber, source.server);
+                checked[key] = await checkSource(source, loadResults()[key]);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(CONCURRENCY, sources.length) }, worker));
+
+        // Results are merged into the latest saved ones, since a full run takes a while.
+        // A full run also forgets sources that no longer exist
+        const results = loadResults();
+        if (prune) {
+            Object.keys(results)
+                .filter(key => !checked[key])
+                .forEach(key => delete results[key]);
+        }
+
+        saveResults(Object.assign(results, checked));
+        return checked;
+    }
+
+    return {
+        // Check every source. Runs that overlap share the one already in progress
+        checkAll() {
+            if (!running) {
+                running = checkSources(listSources(), true)
+                    .catch(error => {
+                        console.error('Source health check failed:', error.message);
+                        return {};
+                    })
+                    .finally(() => {
+                        lastRun = new Date().toISOString();
+                        running = null;
+                    });
+            }
+            return running;
+        },
+
+        // Check the sources of one episode right away
+        checkEpisode(animeId, episodeNumber) {
+            return checkSources(listSources().filter(source =>
+                source.animeId === animeId && source.episodeNumber === episodeNumber), false);
+        },
+
+        status() {
+            return { running: Boolean(running), lastRun };
+        },
+
+        // Check every intervalMs, starting shortly after the server comes up
+        start(intervalMs) {
+            if (timer || !intervalMs) return;
+
+            setTimeout(() => this.checkAll(), 30 * 1000).unref();
+            timer = setInterval(() => this.checkAll(), intervalMs);
+            timer.unref();
+        }
+    };
+}
+
+module.exports = {
+    getSourceKey,
+    probeUrl,
+    createLinkChecker
+};
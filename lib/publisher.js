@@ -0,0 +1,110 @@
+// Scheduled publishing of draft episodes
+// A draft episode with a publishAt time has a job here, and is made public when that time
+// comes. Jobs are persisted, so episodes whose time passed while the server was down are
+// published as soon as it is back:
+//   [{ animeId, episodeNumber, publishAt }]
+// The jobs of a series are rebuilt from its episodes whenever they are saved, so they follow
+// renumbering, deletion and edits of publishAt without each route having to know about them.
+
+// setTimeout can't wait longer than this; later jobs are waited for in steps
+const MAX_DELAY = 2 ** 31 - 1;
+
+const systemClock = {
+    now: () => new Date(),
+    setTimeout: (fn, ms) => {
+        const timer = setTimeout(fn, ms);
+        timer.unref();
+        return timer;
+    },
+    clearTimeout: timer => clearTimeout(timer)
+};
+
+function sortJobs(jobs) {
+    return jobs.sort((a, b) => (new Date(a.publishAt) - new Date(b.publishAt)) || (a.animeId - b.animeId) || (a.episodeNumber - b.episodeNumber));
+}
+
+// Publisher.
+//   loadJobs/saveJobs: read and persist the job list
+//   publish(job): make the episode of a due job public. Jobs are dropped once it has been
+//     called, whether or not the episode was still there to publish
+//   clock: { now(), setTimeout(fn, ms), clearTimeout(timer) }, the system clock by default
+function createPublisher({ loadJobs, saveJobs, publish, clock = systemClock }) {
+    let timer = null;
+    let started = false;
+
+    // Wait for the earliest job, if there is one
+    function arm() {
+        if (timer) {
+            clock.clearTimeout(timer);
+            timer = null;
+        }
+
+        const next = sortJobs(loadJobs())[0];
+        if (!started || !next) return;
+
+        const delay = Math.min(Math.max(new Date(next.publishAt) - clock.now(), 0), MAX_DELAY);
+        timer = clock.setTimeout(() => {
+            timer = null;
+            runDue();
+        }, delay);
+    }
+
+    // Publish every job whose time has come. Returns the jobs that were run
+    function runDue() {
+        const now = clock.now();
+        const due = loadJobs().filter(job => new Date(job.publishAt) <= now);
+
+        due.forEach(job => {
+            try {
+                publish(job);
+            } catch (error) {
+                console.error(`Failed to publish episode ${job.episodeNumber} of anime ${job.animeId}:`, error.message);
+            }
+        });
+
+        if (due.length > 0) {
+            saveJobs(loadJobs().filter(job => !due.some(d => d.animeId === job.animeId && d.episodeNumber === job.episodeNumber)));
+        }
+
+        arm();
+        return due;
+    }
+
+    return {
+        // Replace the jobs of a series with those of its draft episodes that have a publishAt
+        syncAnime(animeId, episodes) {
+            const current = loadJobs();
+            const jobs = sortJobs(current
+                .filter(job => job.animeId !== animeId)
+                .concat(episodes
+                    .filter(episode => episode.draft && episode.publishAt)
+                    .map(episode => ({ animeId, episodeNumber: episode.episodeNumber, publishAt: episode.publishAt }))));
+
+            if (JSON.stringify(jobs) !== JSON.stringify(sortJobs(current))) {
+                saveJobs(jobs);
+                arm();
+            }
+        },
+
+        runDue,
+
+        pending() {
+            return sortJobs(loadJobs());
+        },
+
+        // Publish what is overdue, then wait for the next job
+        start() {
+            started = true;
+            runDue();
+        },
+
+        stop() {
+            started = false;
+            arm();
+        }
+    };
+}
+
+module.exports = {
+    createPublisher
+};
@@ -0,0 +1,40 @@
+// Fixed-window rate limiter kept in memory
+// Allows `limit` hits per key within each `windowMs`.
+
+function createRateLimiter({ limit, windowMs }) {
+    const windows = new Map();
+
+    function prune(now) {
+        windows.forEach((entry, key) => {
+            if (now - entry.start >= windowMs) {
+                windows.delete(key);
+            }
+        });
+    }
+
+    return {
+        // Count a hit. Returns false if the key is over its limit
+        hit(key, now = Date.now()) {
+            if (windows.size > 10000) {
+                prune(now);
+            }
+
+            let entry = windows.get(key);
+            if (!entry || now - entry.start >= windowMs) {
+                entry = { start: now, count: 0 };
+                windows.set(key, entry);
+            }
+
+            entry.count++;
+            return entry.count <= limit;
+        },
+
+        // Milliseconds until the key's window resets
+        retryAfter(key, now = Date.now()) {
+            const entry = windows.get(key);
+            return entry ? Math.max(0, windowMs - (now - entry.start)) : 0;
+        }
+    };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,144 @@
+// Relations between anime entries and franchise grouping
+// Relations are kept per entry and always in both directions, so setting B as the sequel
+// of A also makes A the prequel of B:
+//   { [animeId]: [{ animeId, type }] }
+// A franchise groups the entries of one show (its seasons, movies and spin-offs) in
+// watching order, and an entry belongs to at most one franchise:
+//   [{ id, name, entries: [animeId], dateAdded, dateUpdated }]
+
+const RELATION_TYPES = {
+    sequel: { label: 'Sequel', inverse: 'prequel' },
+    prequel: { label: 'Prequel', inverse: 'sequel' },
+    season: { label: 'Other season', inverse: 'season' },
+    movie: { label: 'Movie', inverse: 'parent' },
+    'spin-off': { label: 'Spin-off', inverse: 'parent' },
+    parent: { label: 'Parent story', inverse: 'spin-off' }
+};
+const MAX_NAME_LENGTH = 100;
+
+// Check the relations of one entry from a request. Returns { relations } or { error }
+function normalizeRelations(input, animeId, animeIds) {
+    if (!Array.isArray(input)) {
+        return { error: 'Relations must be an array' };
+    }
+
+    const relations = [];
+
+    for (const item of input) {
+        const otherId = parseInt(item && item.animeId);
+
+        if (!RELATION_TYPES[item && item.type]) {
+            return { error: `Relation type must be one of: ${Object.keys(RELATION_TYPES).join(', ')}` };
+        }
+        if (!animeIds.includes(otherId)) {
+            return { error: `Anime ${item.animeId} not found` };
+        }
+        if (otherId === animeId) {
+            return { error: 'An anime can\'t be related to itself' };
+        }
+        if (relations.some(relation => relation.animeId === otherId)) {
+            return { error: `Anime ${otherId} is listed more than once` };
+        }
+
+        relations.push({ animeId: otherId, type: item.type });
+    }
+
+    return { relations };
+}
+
+// Replace the relations of an entry, updating the other side of each old and new relation.
+// A parent has more than one inverse (movie or spin-off), so the other side keeps its type
+// while that is still an inverse of the new one
+function setRelations(allRelations, animeId, relations) {
+    const previous = new Map();
+
+    Object.keys(allRelations).forEach(id => {
+        const existing = allRelations[id].find(relation => relation.animeId === animeId);
+        if (existing) previous.set(Number(id), existing.type);
+
+        allRelations[id] = allRelations[id].filter(relation => relation.animeId !== animeId);
+        if (allRelations[id].length === 0) delete allRelations[id];
+    });
+
+    if (relations.length > 0) {
+        allRelations[animeId] = relations;
+    } else {
+        delete allRelations[animeId];
+    }
+
+    relations.forEach(relation => {
+        const kept = previous.get(relation.animeId);
+        const type = RELATION_TYPES[kept] && RELATION_TYPES[kept].inverse === relation.type ? kept : RELATION_TYPES[relation.type].inverse;
+
+        allRelations[relation.animeId] = (allRelations[relation.animeId] || []).concat({ animeId, type });
+    });
+
+    return allRelations;
+}
+
+// Check a franchise from a request. Entries are in watching order and can't already be part
+// of another franchise. Returns { name, entries } or { error }
+function normalizeFranchise(input, animeIds, franchises, franchiseId = null) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        return { error: `Franchise name is required and can be at most ${MAX_NAME_LENGTH} characters` };
+    }
+    if (!Array.isArray(input.entries)) {
+        return { error: 'Entries must be an array of anime IDs in watching order' };
+    }
+
+    const entries = input.entries.map(id => parseInt(id));
+
+    for (const id of entries) {
+        if (!animeIds.includes(id)) {
+            return { error: `Anime ${id} not found` };
+        }
+
+        const other = franchises.find(franchise => franchise.id !== franchiseId && franchise.entries.includes(id));
+        if (other) {
+            return { error: `Anime ${id} is already part of the ${other.name} franchise` };
+        }
+    }
+
+    if (new Set(entries).size !== entries.length) {
+        return { error: 'Each anime can only be listed once' };
+    }
+
+    return { name, entries };
+}
+
+function findFranchise(franchises, animeId) {
+    return franchises.find(franchise => franchise.entries.includes(animeId)) || null;
+}
+
+// What to watch after an entry: its sequel if one is set, otherwise the next entry of its
+// franchise. Returns an anime ID or null
+function getNextEntry(allRelations, franchises, animeId) {
+    const sequel = (allRelations[animeId] || []).find(relation => relation.type === 'sequel');
+    if (sequel) return sequel.animeId;
+
+    const franchise = findFranchise(franchises, animeId);
+    if (!franchise) return null;
+
+    const index = franchise.entries.indexOf(animeId);
+    return index < franchise.entries.length - 1 ? franchise.entries[index + 1] : null;
+}
+
+// Forget a deleted entry in every relation and franchise
+function removeAnime(allRelations, franchises, animeId) {
+    setRelations(allRelations, animeId, []);
+    franchises.forEach(franchise => {
+        franchise.entries = franchise.entries.filter(id => id !== animeId);
+    });
+}
+
+module.exports = {
+    RELATION_TYPES,
+    normalizeRelations,
+    setRelations,
+    normalizeFranchise,
+    findFranchise,
+    getNextEntry,
+    removeAnime
+};
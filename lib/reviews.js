@@ -0,0 +1,96 @@
+// Viewer ratings (1-10) and reviews
+// Each series keeps a list of reviews, one per account or guest IP address:
+//   { id, clientHash, userId, username, rating, text, status: 'visible' | 'hidden', dateAdded, dateUpdated }
+// Hidden reviews stay stored for moderators but don't count towards the rating.
+
+const MIN_RATING = 1;
+const MAX_RATING = 10;
+const MAX_TEXT_LENGTH = 2000;
+const STATUSES = ['visible', 'hidden'];
+
+// Series with few votes are pulled towards the middle of the scale, so a single
+// 10/10 doesn't outrank a series with hundreds of 9s
+const PRIOR_VOTES = 5;
+const PRIOR_MEAN = 5.5;
+
+// Check a submitted rating and review text. Returns { rating, text } or { error }
+function validateReview({ rating, text }) {
+    const value = Number(rating);
+
+    if (!Number.isInteger(value) || value < MIN_RATING || value > MAX_RATING) {
+        return { error: `Rating must be a whole number from ${MIN_RATING} to ${MAX_RATING}` };
+    }
+
+    if (text !== undefined && text !== null && typeof text !== 'string') {
+        return { error: 'Review text must be a string' };
+    }
+
+    const trimmed = (text || '').trim();
+    if (trimmed.length > MAX_TEXT_LENGTH) {
+        return { error: `Review must be at most ${MAX_TEXT_LENGTH} characters` };
+    }
+
+    return { rating: value, text: trimmed };
+}
+
+// Add a review, or replace the one this client already wrote. Returns { review, created }
+function upsertReview(reviews, { clientHash, userId, username, rating, text }, now = new Date()) {
+    const existing = reviews.find(review => review.clientHash === clientHash);
+
+    if (existing) {
+        existing.rating = rating;
+        existing.text = text;
+        existing.dateUpdated = now.toISOString();
+        return { review: existing, created: false };
+    }
+
+    const review = {
+        id: reviews.length > 0 ? Math.max(...reviews.map(r => r.id)) + 1 : 1,
+        clientHash,
+        userId: userId || null,
+        username: username || null,
+        rating,
+        text,
+        status: 'visible',
+        dateAdded: now.toISOString(),
+        dateUpdated: now.toISOString()
+    };
+
+    reviews.push(review);
+    return { review, created: true };
+}
+
+// Aggregate rating of a series from its visible reviews
+function summarizeRatings(reviews) {
+    const counted = reviews.filter(review => review.status === 'visible');
+    const count = counted.length;
+    const sum = counted.reduce((total, review) => total + review.rating, 0);
+
+    return {
+        average: count > 0 ? Math.round(sum / count * 10) / 10 : 0,
+        count,
+        weighted: Math.round((sum + PRIOR_VOTES * PRIOR_MEAN) / (count + PRIOR_VOTES) * 100) / 100
+    };
+}
+
+// Strip the client hash before a review leaves the server
+function publicReview(review) {
+    return {
+        id: review.id,
+        author: review.username || 'Anonymous',
+        rating: review.rating,
+        text: review.text,
+        status: review.status,
+        dateAdded: review.dateAdded,
+        dateUpdated: review.dateUpdated
+    };
+}
+
+module.exports = {
+    MAX_RATING,
+    STATUSES,
+    validateReview,
+    upsertReview,
+    summarizeRatings,
+    publicReview
+};
@@ -0,0 +1,376 @@
+// Release schedule
+// Each schedule entry is either a weekly rule or a one-off airing, with its times in an
+// explicit timezone (the site's, Asia/Manila by default):
+//   { id, animeId, kind: 'weekly', dayOfWeek, releaseTime, timezone, startDate, endDate,
+//     firstEpisode, lastEpisode, overrides, dateAdded, dateUpdated }
+//   { id, animeId, kind: 'once', dayOfWeek, releaseTime, timezone, date, episodeNumber, label,
+//     overrides, dateAdded, dateUpdated }
+// A weekly rule airs on dayOfWeek from startDate until endDate or until lastEpisode has
+// aired, and its airings are numbered from firstEpisode. Overrides skip or delay a single
+// airing (by the date it would have aired) or pause the rule for a hiatus; skipped airings
+// don't use up an episode number. Entries saved before there were rules only have a day and
+// a time, so they repeat forever and their airings aren't numbered.
+
+const { DAYS_OF_WEEK } = require('./schema');
+
+const DEFAULT_TIMEZONE = 'Asia/Manila';
+const DAY = 24 * 60 * 60 * 1000;
+// How far ahead to look for the next airing of a rule, so a long hiatus doesn't hide it
+const LOOKAHEAD_DAYS = 366;
+// Weekly rules that end after lastEpisode are expanded at most this many weeks to find the end
+const MAX_WEEKS = 520;
+
+const formatters = new Map();
+
+function isValidTimezone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+// Wall clock time of an instant in a timezone, { year, month, day, hour, minute, second }
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(date).forEach(part => {
+        if (part.type !== 'literal') parts[part.type] = parseInt(part.value);
+    });
+    return parts;
+}
+
+// How far ahead of UTC a timezone is at an instant, in milliseconds
+function getOffset(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant a date (YYYY-MM-DD) and time (HH:MM) on the wall clock of a timezone stand for.
+// The offset is checked again at the result, for dates where daylight saving time changes
+function zonedTimeToDate(date, time, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const offset = getOffset(new Date(wallClock), timeZone);
+    const corrected = getOffset(new Date(wallClock - offset), timeZone);
+
+    return new Date(wallClock - corrected);
+}
+
+// The date (YYYY-MM-DD) an instant falls on in a timezone
+function toLocalDate(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+function isValidDate(date) {
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === date;
+}
+
+function addDays(date, days) {
+    return new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY).toISOString().slice(0, 10);
+}
+
+function getDayOfWeek(date) {
+    return DAYS_OF_WEEK[(new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7];
+}
+
+// The Monday of the week a date is in
+function getWeekStart(date) {
+    return addDays(date, -DAYS_OF_WEEK.indexOf(getDayOfWeek(date)));
+}
+
+// The first date on or after a date that falls on a day of the week
+function nextDayOfWeek(date, dayOfWeek) {
+    return addDays(date, (DAYS_OF_WEEK.indexOf(dayOfWeek) - DAYS_OF_WEEK.indexOf(getDayOfWeek(date)) + 7) % 7);
+}
+
+// Fill in the fields of entries saved before there were rules and timezones
+function migrateEntry(entry, timezone = DEFAULT_TIMEZONE) {
+    if (entry.kind) return entry;
+
+    return {
+        id: entry.id,
+        animeId: entry.animeId,
+        kind: 'weekly',
+        timezone,
+        startDate: null,
+        endDate: null,
+        firstEpisode: null,
+        lastEpisode: null,
+        date: null,
+        episodeNumber: null,
+        label: null,
+        overrides: [],
+        ...entry
+    };
+}
+
+// Check an entry from a request once it has passed SCHEDULE_SCHEMA, against the fields that
+// depend on each other. Weekly rules with an end or an episode range and no start date start
+// today. Returns { entry } or { errors }
+function normalizeEntry(value, { timezone = DEFAULT_TIMEZONE, now = new Date() } = {}) {
+    const entry = { ...value, timezone: value.timezone || timezone };
+    const errors = {};
+
+    ['startDate', 'endDate', 'date', 'label'].forEach(field => {
+        entry[field] = entry[field] || null;
+    });
+
+    if (!isValidTimezone(entry.timezone)) {
+        errors.timezone = 'must be an IANA timezone such as Asia/Manila';
+    }
+    ['startDate', 'endDate', 'date'].forEach(field => {
+        if (entry[field] && !isValidDate(entry[field])) errors[field] = 'is not a valid date';
+    });
+
+    if (entry.kind === 'once') {
+        if (!entry.date) {
+            errors.date = 'is required for a one-off entry';
+        } else if (!errors.date) {
+            entry.dayOfWeek = getDayOfWeek(entry.date);
+        }
+        Object.assign(entry, { startDate: null, endDate: null, firstEpisode: null, lastEpisode: null });
+    } else {
+        if (!entry.dayOfWeek) {
+            errors.dayOfWeek = 'is required for a weekly entry';
+        }
+        if (entry.startDate === null && !errors.timezone && (entry.firstEpisode !== null || entry.endDate !== null || entry.lastEpisode !== null)) {
+            entry.startDate = toLocalDate(now, entry.timezone);
+        }
+        if (entry.startDate && entry.endDate && entry.endDate < entry.startDate) {
+            errors.endDate = 'must be on or after the start date';
+        }
+        if (entry.lastEpisode !== null && entry.firstEpisode === null) {
+            errors.firstEpisode = 'is required when the last episode is set';
+        } else if (entry.lastEpisode !== null && entry.lastEpisode < entry.firstEpisode) {
+            errors.lastEpisode = 'must be at least the first episode';
+        }
+        Object.assign(entry, { date: null, episodeNumber: null, label: null });
+    }
+
+    return Object.keys(errors).length > 0 ? { errors } : { entry };
+}
+
+// Check an override from a request once it has passed SCHEDULE_OVERRIDE_SCHEMA.
+// Returns { override } or { errors }
+function normalizeOverride(value, entry) {
+    const override = { ...value };
+    const errors = {};
+
+    ['date', 'until', 'newDate'].forEach(field => {
+        if (override[field] && !isValidDate(override[field])) errors[field] = 'is not a valid date';
+    });
+
+    if (override.type === 'hiatus') {
+        if (!override.until) {
+            errors.until = 'is required for a hiatus';
+        } else if (override.until < override.date) {
+            errors.until = 'must be on or after the start of the hiatus';
+        }
+        Object.assign(override, { newDate: null, newTime: null });
+    } else {
+        override.until = null;
+        if (override.type === 'delay' && !override.newDate && !override.newTime) {
+            errors.newDate = 'or a new time is required for a delay';
+        }
+        if (override.type === 'skip') {
+            Object.assign(override, { newDate: null, newTime: null });
+        }
+        if (!errors.date && !airsOn(entry, override.date)) {
+            errors.date = entry.kind === 'once' ? `must be the date of the entry (${entry.date})` : `must be a ${entry.dayOfWeek}`;
+        }
+        if ((entry.overrides || []).some(other => other.type !== 'hiatus' && other.date === override.date)) {
+            errors.date = 'already has an override';
+        }
+    }
+
+    if (Object.keys(errors).length > 0) {
+        return { errors };
+    }
+
+    const overrides = entry.overrides || [];
+    return {
+        override: {
+            id: overrides.length > 0 ? Math.max(...overrides.map(o => o.id)) + 1 : 1,
+            ...override
+        }
+    };
+}
+
+// Another entry of the same anime that airs at the same time as an entry: a one-off on the
+// same date, or a weekly rule on the same day whose dates overlap. Returns it or null
+function findConflict(entries, entry) {
+    return entries.find(other => other.id !== entry.id && other.animeId === entry.animeId && other.kind === entry.kind && (entry.kind === 'once'
+        ? other.date === entry.date && other.releaseTime === entry.releaseTime
+        : other.dayOfWeek === entry.dayOfWeek &&
+            (!other.endDate || !entry.startDate || other.endDate >= entry.startDate) &&
+            (!entry.endDate || !other.startDate || entry.endDate >= other.startDate))) || null;
+}
+
+// Whether an entry would air on a date if nothing was overridden
+function airsOn(entry, date) {
+    if (entry.kind === 'once') return entry.date === date;
+
+    return getDayOfWeek(date) === entry.dayOfWeek &&
+        (!entry.startDate || date >= entry.startDate) &&
+        (!entry.endDate || date <= entry.endDate);
+}
+
+function findOverride(entry, date) {
+    return (entry.overrides || []).find(override => override.type === 'hiatus'
+        ? date >= override.date && date <= override.until
+        : date === override.date) || null;
+}
+
+// Every airing of an entry from its start (or from a date, for rules without a start date)
+// until a date, in order, with overrides applied:
+//   { date, time, originalDate, status: 'scheduled' | 'delayed' | 'skipped' | 'hiatus', episodeNumber, note }
+// Skipped airings are listed too, so a week view can say why there is no episode
+function expandEntry(entry, from, until) {
+    const airings = [];
+    const addAiring = (date, episodeNumber) => {
+        const override = findOverride(entry, date);
+
+        if (override && override.type !== 'delay') {
+            airings.push({ date, time: entry.releaseTime, originalDate: date, status: override.type === 'hiatus' ? 'hiatus' : 'skipped', episodeNumber: null, note: override.note });
+            return false;
+        }
+
+        airings.push({
+            date: override ? override.newDate || date : date,
+            time: override ? override.newTime || entry.releaseTime : entry.releaseTime,
+            originalDate: date,
+            status: override ? 'delayed' : 'scheduled',
+            episodeNumber,
+            note: override ? override.note : ''
+        });
+        return true;
+    };
+
+    if (entry.kind === 'once') {
+        addAiring(entry.date, entry.episodeNumber);
+        return airings;
+    }
+
+    // Delays can move an airing from outside the range into it
+    const overrideDates = (entry.overrides || []).filter(o => o.type === 'delay').map(o => o.date);
+    const start = entry.startDate || [from, ...overrideDates].sort()[0];
+    const last = [until, ...overrideDates].sort().pop();
+    let episodeNumber = entry.startDate ? entry.firstEpisode : null;
+
+    for (let date = nextDayOfWeek(start, entry.dayOfWeek); date <= last; date = addDays(date, 7)) {
+        if (entry.endDate && date > entry.endDate) break;
+        if (entry.lastEpisode !== null && episodeNumber !== null && episodeNumber > entry.lastEpisode) break;
+
+        if (addAiring(date, episodeNumber) && episodeNumber !== null) {
+            episodeNumber++;
+        }
+    }
+
+    return airings;
+}
+
+// The airings of an entry between two instants (start included, end not), each with the
+// instant it airs at
+function getAirings(entry, start, end) {
+    const from = addDays(toLocalDate(start, entry.timezone), -1);
+    const until = addDays(toLocalDate(end, entry.timezone), 1);
+
+    return expandEntry(entry, from, until)
+        .map(airing => ({
+            entryId: entry.id,
+            animeId: entry.animeId,
+            kind: entry.kind,
+            label: entry.label || null,
+            ...airing,
+            timezone: entry.timezone,
+            airsAt: zonedTimeToDate(airing.date, airing.time, entry.timezone).toISOString()
+        }))
+        .filter(airing => new Date(airing.airsAt) >= start && new Date(airing.airsAt) < end)
+        .sort((a, b) => new Date(a.airsAt) - new Date(b.airsAt));
+}
+
+// The next airing after an instant among some entries (usually those of one anime), or null
+function getNextAiring(entries, now = new Date()) {
+    const end = new Date(now.getTime() + LOOKAHEAD_DAYS * DAY);
+
+    return entries
+        .map(entry => getAirings(entry, now, end).find(airing => airing.status === 'scheduled' || airing.status === 'delayed'))
+        .filter(Boolean)
+        .sort((a, b) => new Date(a.airsAt) - new Date(b.airsAt))[0] || null;
+}
+
+// The upcoming airing of an episode among some entries, or null if none of them numbers it
+function findEpisodeAiring(entries, episodeNumber, now = new Date()) {
+    const end = new Date(now.getTime() + LOOKAHEAD_DAYS * DAY);
+
+    return entries
+        .flatMap(entry => getAirings(entry, now, end))
+        .find(airing => airing.episodeNumber === episodeNumber && (airing.status === 'scheduled' || airing.status === 'delayed')) || null;
+}
+
+// When the last airing of an entry is, or null for rules that go on until they are removed
+function getLastAiring(entry) {
+    if (entry.kind === 'weekly' && !entry.endDate && !(entry.startDate && entry.lastEpisode !== null)) {
+        return null;
+    }
+
+    const until = entry.endDate || (entry.startDate && addDays(entry.startDate, MAX_WEEKS * 7));
+    const airing = expandEntry(entry, until, until)
+        .filter(a => a.status === 'scheduled' || a.status === 'delayed')
+        .pop();
+
+    return airing ? {
+        ...airing,
+        timezone: entry.timezone,
+        airsAt: zonedTimeToDate(airing.date, airing.time, entry.timezone).toISOString()
+    } : null;
+}
+
+// When a series' season ends: the last airing of all its entries, or null if any of them
+// has no end
+function getSeasonEnd(entries) {
+    const lastAirings = entries.map(getLastAiring);
+
+    if (lastAirings.length === 0 || lastAirings.includes(null)) {
+        return null;
+    }
+    return lastAirings.sort((a, b) => new Date(a.airsAt) - new Date(b.airsAt)).pop();
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isValidTimezone,
+    zonedTimeToDate,
+    toLocalDate,
+    isValidDate,
+    addDays,
+    getWeekStart,
+    migrateEntry,
+    normalizeEntry,
+    normalizeOverride,
+    findConflict,
+    getAirings,
+    getNextAiring,
+    findEpisodeAiring,
+    getSeasonEnd
+};
@@ -0,0 +1,206 @@
+// Payload schemas
+// Each schema lists the fields a client may send for an entity, with the rules for each:
+//   { type: 'string' | 'integer' | 'number' | 'boolean' | 'array', required, nullable,
+//     default, enum, min, max, maxLength, pattern, patternMessage, items, compact }
+// items holds the rules for the elements of an array, and compact drops its empty strings.
+// validate() checks a payload against a schema, trims strings, drops fields the schema
+// doesn't list (ids, dates and counters are set by the server) and reports every problem
+// at once, keyed by field, so forms can show each one next to its input.
+
+const ANIME_STATUSES = ['Ongoing', 'Completed', 'Upcoming'];
+const ANIME_TYPES = ['TV', 'ONA', 'OVA', 'Movie', 'Special'];
+const EPISODE_TYPES = ['regular', 'special'];
+const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const SCHEDULE_KINDS = ['weekly', 'once'];
+const SCHEDULE_OVERRIDE_TYPES = ['skip', 'delay', 'hiatus'];
+
+const DATE_RULES = { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/, patternMessage: 'must be a date as YYYY-MM-DD' };
+const TIME_RULES = { type: 'string', pattern: /^([01]\d|2[0-3]):[0-5]\d$/, patternMessage: 'must be a time as HH:MM (00:00 to 23:59)' };
+
+const ANIME_SCHEMA = {
+    title: { type: 'string', required: true, maxLength: 200 },
+    alternativeTitles: { type: 'array', items: { type: 'string', maxLength: 200 }, compact: true, default: [] },
+    year: { type: 'integer', min: 1900, max: 2100, nullable: true, default: null },
+    status: { type: 'string', enum: ANIME_STATUSES, default: 'Ongoing' },
+    type: { type: 'string', enum: ANIME_TYPES, default: 'TV' },
+    episodes: { type: 'integer', min: 0, default: 0 },
+    genres: { type: 'array', items: { type: 'string', maxLength: 50 }, compact: true, default: [] },
+    synopsis: { type: 'string', maxLength: 5000, default: '' },
+    poster: {
+        type: 'string',
+        pattern: /^(https?:\/\/|\/)/i,
+        patternMessage: 'must be a URL starting with http://, https:// or /',
+        nullable: true,
+        default: null
+    },
+    hasSubs: { type: 'boolean', default: true },
+    hasAudio: { type: 'boolean', default: true },
+    isTrending: { type: 'boolean', default: false }
+};
+
+// Episode numbers and servers have their own checks (parseEpisodeNumber, normalizeServers)
+const EPISODE_SCHEMA = {
+    title: { type: 'string', maxLength: 200, default: '' },
+    description: { type: 'string', maxLength: 5000, default: '' },
+    type: { type: 'string', enum: EPISODE_TYPES, default: 'regular' },
+    label: { type: 'string', maxLength: 40, nullable: true, default: '' },
+    // Only set when sent, see setPublishing. publishAt is a date and time, or "schedule" for
+    // when the episode airs according to the release schedule
+    draft: { type: 'boolean' },
+    publishAt: { type: 'string', nullable: true }
+};
+
+// Which of these apply depends on kind, and lib/schedule checks them against each other:
+// weekly rules use dayOfWeek, the start and end dates and the episode range, one-off entries
+// (specials, premieres) use date, episodeNumber and label
+const SCHEDULE_SCHEMA = {
+    animeId: { type: 'integer', required: true, min: 1 },
+    kind: { type: 'string', enum: SCHEDULE_KINDS, default: 'weekly' },
+    dayOfWeek: { type: 'string', enum: DAYS_OF_WEEK, nullable: true, default: null },
+    releaseTime: { ...TIME_RULES, required: true },
+    timezone: { type: 'string', maxLength: 64, nullable: true, default: null },
+    startDate: { ...DATE_RULES, nullable: true, default: null },
+    endDate: { ...DATE_RULES, nullable: true, default: null },
+    firstEpisode: { type: 'integer', min: 0, nullable: true, default: null },
+    lastEpisode: { type: 'integer', min: 0, nullable: true, default: null },
+    date: { ...DATE_RULES, nullable: true, default: null },
+    episodeNumber: { type: 'number', min: 0, nullable: true, default: null },
+    label: { type: 'string', maxLength: 40, nullable: true, default: null }
+};
+
+// Exceptions to a schedule entry: skip one airing, delay it to another date or time, or put
+// the show on hiatus from date until a later date
+const SCHEDULE_OVERRIDE_SCHEMA = {
+    type: { type: 'string', required: true, enum: SCHEDULE_OVERRIDE_TYPES },
+    date: { ...DATE_RULES, required: true },
+    until: { ...DATE_RULES, nullable: true, default: null },
+    newDate: { ...DATE_RULES, nullable: true, default: null },
+    newTime: { ...TIME_RULES, nullable: true, default: null },
+    note: { type: 'string', maxLength: 200, default: '' }
+};
+
+const TYPE_MESSAGES = {
+    string: 'must be text',
+    integer: 'must be a whole number',
+    number: 'must be a number',
+    boolean: 'must be true or false',
+    array: 'must be a list'
+};
+
+function hasType(type, value) {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && isFinite(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'array': return Array.isArray(value);
+        default: return false;
+    }
+}
+
+// Check one value. Returns { value } or { error }
+function checkValue(rules, raw) {
+    if (raw === null) {
+        return rules.nullable ? { value: null } : { error: rules.required ? 'is required' : 'can\'t be empty' };
+    }
+    if (!hasType(rules.type, raw)) {
+        return { error: TYPE_MESSAGES[rules.type] };
+    }
+
+    let value = rules.type === 'string' ? raw.trim() : raw;
+
+    if (rules.type === 'string' && rules.required && !value) {
+        return { error: 'is required' };
+    }
+    if (rules.enum && !rules.enum.includes(value)) {
+        return { error: `must be one of: ${rules.enum.join(', ')}` };
+    }
+    if (rules.min !== undefined && value < rules.min) {
+        return { error: `must be at least ${rules.min}` };
+    }
+    if (rules.max !== undefined && value > rules.max) {
+        return { error: `must be at most ${rules.max}` };
+    }
+    if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+        return { error: `must be at most ${rules.maxLength} ${rules.type === 'array' ? 'items' : 'characters'}` };
+    }
+    if (rules.pattern && value && !rules.pattern.test(value)) {
+        return { error: rules.patternMessage || 'is not in the right format' };
+    }
+
+    if (rules.type === 'array' && rules.items) {
+        const items = [];
+
+        for (let i = 0; i < value.length; i++) {
+            const item = checkValue(rules.items, value[i]);
+            if (item.error) {
+                return { error: `item ${i + 1} ${item.error}` };
+            }
+            if (!(rules.compact && item.value === '')) {
+                items.push(item.value);
+            }
+        }
+        value = items;
+    }
+
+    return { value };
+}
+
+// Check a payload. With partial, only the fields that were sent are checked and returned,
+// for PATCH-style updates; otherwise required fields must be there and missing ones get
+// their default. Returns { value } or { errors: { [field]: message } }
+function validate(schema, input, { partial = false } = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { errors: { body: 'must be a JSON object' } };
+    }
+
+    const value = {};
+    const errors = {};
+
+    Object.entries(schema).forEach(([field, rules]) => {
+        if (input[field] === undefined) {
+            if (partial) return;
+
+            if (rules.required) {
+                errors[field] = 'is required';
+            } else if (rules.default !== undefined) {
+                value[field] = Array.isArray(rules.default) ? [...rules.default] : rules.default;
+            }
+            return;
+        }
+
+        const result = checkValue(rules, input[field]);
+
+        if (result.error) {
+            errors[field] = result.error;
+        } else {
+            value[field] = result.value;
+        }
+    });
+
+    return Object.keys(errors).length > 0 ? { errors } : { value };
+}
+
+// Response body for a payload that failed validation. error sums up every problem for
+// clients that only show one message
+function validationError(errors) {
+    return {
+        error: Object.entries(errors).map(([field, message]) => `${field} ${message}`).join('; '),
+        errors
+    };
+}
+
+module.exports = {
+    ANIME_STATUSES,
+    ANIME_TYPES,
+    EPISODE_TYPES,
+    DAYS_OF_WEEK,
+    SCHEDULE_KINDS,
+    SCHEDULE_OVERRIDE_TYPES,
+    ANIME_SCHEMA,
+    EPISODE_SCHEMA,
+    SCHEDULE_SCHEMA,
+    SCHEDULE_OVERRIDE_SCHEMA,
+    validate,
+    validationError
+};
@@ -0,0 +1,314 @@
+// In-memory search index over the anime catalog
+// Titles, alternative titles, synopsis and genres are tokenized into an inverted index.
+// Queries are matched exactly, by prefix, or within a small edit distance, and ranked by
+// field weight and term rarity.
+
+const FIELD_WEIGHTS = {
+    title: 10,
+    alternativeTitles: 8,
+    genres: 5,
+    synopsis: 1
+};
+
+// Words that carry no meaning on their own, in English and Tagalog
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'of', 'and', 'or', 'in', 'on', 'to', 'no',
+    'ang', 'ng', 'sa', 'mga', 'na', 'at', 'si', 'ni', 'ay', 'kay'
+]);
+
+const FACET_FIELDS = ['genre', 'status', 'type', 'year'];
+
+// Lowercase, strip accents and macrons (ō -> o) and fold common romaji spellings,
+// so "Shingeki no Kyojin", "shingeki no kyoujin" and "Kyōjin" all index the same way
+function normalizeText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/ou|oo/g, 'o')
+        .replace(/uu/g, 'u')
+        .replace(/aa/g, 'a')
+        .replace(/ii/g, 'i')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function tokenize(text) {
+    return normalizeText(text)
+        .split(' ')
+        .filter(token => token && !STOP_WORDS.has(token));
+}
+
+// Damerau-Levenshtein distance, giving up early once it exceeds maxDistance
+function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push([i]);
+    }
+    for (let j = 1; j <= b.length; j++) {
+        rows[0][j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+        let rowMin = Infinity;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(
+                rows[i - 1][j] + 1,
+                rows[i][j - 1] + 1,
+                rows[i - 1][j - 1] + cost
+            );
+
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, rows[i - 2][j - 2] + 1);
+            }
+
+            rows[i][j] = value;
+            rowMin = Math.min(rowMin, value);
+        }
+
+        if (rowMin > maxDistance) return maxDistance + 1;
+    }
+
+    return rows[a.length][b.length];
+}
+
+// How many typos a query word of this length may contain
+function allowedTypos(token) {
+    if (token.length >= 8) return 2;
+    if (token.length >= 4) return 1;
+    return 0;
+}
+
+function getYear(anime) {
+    const year = parseInt(anime.year);
+    return isNaN(year) ? null : year;
+}
+
+// Values of a facet for one anime, as strings
+function facetValues(anime, facet) {
+    switch (facet) {
+        case 'genre':
+            return (anime.genres || []).map(genre => String(genre));
+        case 'status':
+            return anime.status ? [String(anime.status)] : [];
+        case 'type':
+            return [String(anime.type || 'TV')];
+        case 'year':
+            return getYear(anime) ? [String(getYear(anime))] : [];
+        default:
+            return [];
+    }
+}
+
+// Check a single facet filter. Genres may list several values (all must match),
+// years may be a range like "2010-2015"
+function matchesFilter(anime, facet, value) {
+    if (value === undefined || value === null || value === '') return true;
+
+    if (facet === 'year') {
+        const year = getYear(anime);
+        if (year === null) return false;
+
+        const [from, to] = String(value).split('-').map(v => parseInt(v));
+        return to !== undefined && !isNaN(to) ? year >= from && year <= to : year === from;
+    }
+
+    const wanted = String(value).split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+    const values = facetValues(anime, facet).map(v => v.toLowerCase());
+    return wanted.every(v => values.includes(v));
+}
+
+function matchesFilters(anime, filters, skipFacet) {
+    return FACET_FIELDS.every(facet => facet === skipFacet || matchesFilter(anime, facet, filters[facet]));
+}
+
+// Create a search index that loads its documents through load() whenever it is stale
+function createSearchIndex({ load }) {
+    let stale = true;
+    let documents = new Map();
+    let postings = new Map(); // token -> Map(animeId -> weighted term frequency)
+
+    function addToken(token, animeId, weight) {
+        if (!postings.has(token)) {
+            postings.set(token, new Map());
+        }
+
+        const docs = postings.get(token);
+        docs.set(animeId, (docs.get(animeId) || 0) + weight);
+    }
+
+    function rebuild(animes) {
+        documents = new Map();
+        postings = new Map();
+
+        animes.forEach(anime => {
+            documents.set(anime.id, {
+                anime,
+                normalizedTitles: [anime.title, ...(anime.alternativeTitles || [])].map(normalizeText)
+            });
+
+            const fields = {
+                title: anime.title,
+                alternativeTitles: (anime.alternativeTitles || []).join(' '),
+                genres: (anime.genres || []).join(' '),
+                synopsis: anime.synopsis
+            };
+
+            Object.keys(fields).forEach(field => {
+                tokenize(fields[field]).forEach(token => addToken(token, anime.id, FIELD_WEIGHTS[field]));
+            });
+        });
+
+        stale = false;
+    }
+
+    function ensureFresh() {
+        if (stale) {
+            rebuild(load());
+        }
+    }
+
+    // Find indexed tokens matching a query word, with a match quality between 0 and 1
+    function expandToken(queryToken, allowPrefix) {
+        const matches = [];
+        const maxTypos = allowedTypos(queryToken);
+
+        postings.forEach((docs, token) => {
+            if (token === queryToken) {
+                matches.push({ token, quality: 1 });
+            } else if (allowPrefix && queryToken.length >= 2 && token.startsWith(queryToken)) {
+                matches.push({ token, quality: 0.8 });
+            } else if (maxTypos > 0) {
+                const distance = editDistance(queryToken, token, maxTypos);
+                if (distance <= maxTypos) {
+                    matches.push({ token, quality: 0.6 / distance });
+                }
+            }
+        });
+
+        return matches;
+    }
+
+    // Score every document for the query. Returns Map(animeId -> score)
+    function scoreDocuments(queryTokens, requireAll) {
+        const scores = new Map();
+        const matchedTokens = new Map();
+        const totalDocs = documents.size || 1;
+
+        queryTokens.forEach((queryToken, index) => {
+            // The last word is probably still being typed, so let it match as a prefix
+            const isLast = index === queryTokens.length - 1;
+            const best = new Map();
+
+            expandToken(queryToken, isLast).forEach(({ token, quality }) => {
+                const docs = postings.get(token);
+                const idf = Math.log(1 + totalDocs / docs.size);
+
+                docs.forEach((weight, animeId) => {
+                    const score = weight * idf * quality;
+                    best.set(animeId, Math.max(best.get(animeId) || 0, score));
+                });
+            });
+
+            best.forEach((score, animeId) => {
+                scores.set(animeId, (scores.get(animeId) || 0) + score);
+                matchedTokens.set(animeId, (matchedTokens.get(animeId) || 0) + 1);
+            });
+        });
+
+        if (requireAll) {
+            scores.forEach((score, animeId) => {
+                if (matchedTokens.get(animeId) < queryTokens.length) {
+                    scores.delete(animeId);
+                }
+            });
+        }
+
+        return scores;
+    }
+
+    // Search the catalog. Returns { total, results, facets }
+    function search(query, filters = {}, { page = 1, limit = 24 } = {}) {
+        ensureFresh();
+
+        const queryTokens = tokenize(query);
+        const normalizedQuery = normalizeText(query);
+        let scored;
+
+        if (queryTokens.length === 0) {
+            // No query: browse by filters, alphabetically
+            scored = [...documents.values()]
+                .sort((a, b) => String(a.anime.title).localeCompare(String(b.anime.title)))
+                .map(doc => ({ doc, score: 0 }));
+        } else {
+            // Every word must match; if nothing does, fall back to any word matching
+            let scores = scoreDocuments(queryTokens, true);
+            if (scores.size === 0) {
+                scores = scoreDocuments(queryTokens, false);
+            }
+
+            scored = [...scores.entries()].map(([animeId, score]) => {
+                const doc = documents.get(animeId);
+
+                // Boost whole-title matches over scattered word matches
+                if (doc.normalizedTitles.some(title => title === normalizedQuery)) {
+                    score *= 3;
+                } else if (doc.normalizedTitles.some(title => title.startsWith(normalizedQuery))) {
+                    score *= 2;
+                } else if (doc.normalizedTitles.some(title => title.includes(normalizedQuery))) {
+                    score *= 1.5;
+                }
+
+                return { doc, score };
+            });
+
+            scored.sort((a, b) => b.score - a.score);
+        }
+
+        const matching = scored.filter(({ doc }) => matchesFilters(doc.anime, filters));
+
+        // Facet counts for each field ignore that field's own filter, so the
+        // client can offer the other values as alternatives
+        const facets = {};
+        FACET_FIELDS.forEach(facet => {
+            const counts = {};
+            scored
+                .filter(({ doc }) => matchesFilters(doc.anime, filters, facet))
+                .forEach(({ doc }) => {
+                    new Set(facetValues(doc.anime, facet)).forEach(value => {
+                        counts[value] = (counts[value] || 0) + 1;
+                    });
+                });
+            facets[facet] = counts;
+        });
+
+        const start = (page - 1) * limit;
+
+        return {
+            total: matching.length,
+            results: matching.slice(start, start + limit).map(({ doc, score }) => ({
+                anime: doc.anime,
+                score: Math.round(score * 100) / 100
+            })),
+            facets
+        };
+    }
+
+    return {
+        search,
+        markStale() {
+            stale = true;
+        }
+    };
+}
+
+module.exports = {
+    normalizeText,
+    tokenize,
+    editDistance,
+    createSearchIndex
+};
@@ -0,0 +1,180 @@
+// Episode servers
+// Each episode has a list of servers to play it from:
+//   { id, label, kind: 'file' | 'embed' | 'hls', url, quality, language: 'sub' | 'dub',
+//     priority, enabled }
+// Players try enabled servers by ascending priority. Ids stay the same when a server is
+// edited, so /server/:id links and source health results keep pointing at it.
+// Episodes saved before servers existed had a sources object ({ server1: url, ... });
+// sourcesToServers turns that into the list, keeping N as the id.
+
+const KINDS = ['file', 'embed', 'hls'];
+const LANGUAGES = ['sub', 'dub'];
+const MAX_LABEL_LENGTH = 40;
+const MAX_QUALITY_LENGTH = 20;
+
+// Local uploads are stored as paths, everything else as a URL
+function isLocalSource(url) {
+    return typeof url === 'string' && !/^https?:\/\//i.test(url);
+}
+
+// Guess the kind of a source from its URL. Embeds can't be told apart from direct
+// links reliably, so they have to be marked as such
+function detectKind(url) {
+    return /\.m3u8(?:[?#]|$)/i.test(url || '') ? 'hls' : 'file';
+}
+
+function nextServerId(servers) {
+    return servers.length > 0 ? Math.max(...servers.map(s => s.id)) + 1 : 1;
+}
+
+// Check a server from a request, filling in defaults. existing is the server being
+// edited, if any. Returns { server } or { error }
+function normalizeServer(input, id, existing = {}) {
+    if (!input || typeof input !== 'object') {
+        return { error: 'Each server must be an object' };
+    }
+
+    const merged = { ...existing, ...input };
+    const url = typeof merged.url === 'string' ? merged.url.trim() : '';
+
+    if (!url) {
+        return { error: 'Server URL is required' };
+    }
+    if (!/^https?:\/\//i.test(url) && !url.startsWith('uploads/')) {
+        return { error: `Server URL must start with http:// or https:// (got "${url}")` };
+    }
+
+    const kind = merged.kind || detectKind(url);
+    if (!KINDS.includes(kind)) {
+        return { error: `Server kind must be one of: ${KINDS.join(', ')}` };
+    }
+
+    const language = merged.language || 'dub';
+    if (!LANGUAGES.includes(language)) {
+        return { error: `Server language must be one of: ${LANGUAGES.join(', ')}` };
+    }
+
+    const label = typeof merged.label === 'string' && merged.label.trim() ? merged.label.trim() : `Server ${id}`;
+    if (label.length > MAX_LABEL_LENGTH) {
+        return { error: `Server label must be at most ${MAX_LABEL_LENGTH} characters` };
+    }
+
+    const quality = typeof merged.quality === 'string' ? merged.quality.trim() : '';
+    if (quality.length > MAX_QUALITY_LENGTH) {
+        return { error: `Server quality must be at most ${MAX_QUALITY_LENGTH} characters` };
+    }
+
+    const priority = merged.priority === undefined || merged.priority === null || merged.priority === '' ? id : Number(merged.priority);
+    if (!Number.isInteger(priority)) {
+        return { error: 'Server priority must be a whole number' };
+    }
+
+    return {
+        server: {
+            id,
+            label,
+            kind,
+            url,
+            quality,
+            language,
+            priority,
+            enabled: merged.enabled !== false
+        }
+    };
+}
+
+// Check a whole server list from a request. Servers keep their id if they send one that
+// exists in current, and get a new one otherwise. Returns { servers } or { error }
+function normalizeServers(input, current = []) {
+    if (!Array.isArray(input)) {
+        return { error: 'Servers must be an array' };
+    }
+
+    const servers = [];
+    let nextId = nextServerId(current);
+
+    for (const item of input) {
+        const existing = item && current.find(s => s.id === parseInt(item.id));
+        const id = existing && !servers.some(s => s.id === existing.id) ? existing.id : nextId++;
+        const { server, error } = normalizeServer(item, id, existing || {});
+
+        if (error) {
+            return { error };
+        }
+        servers.push(server);
+    }
+
+    return { servers: sortServers(servers) };
+}
+
+// Set the URL of the server with this id, adding it if it doesn't exist yet
+function setServerUrl(servers, id, url, defaults = {}) {
+    const existing = servers.find(s => s.id === id);
+
+    if (existing) {
+        existing.url = url;
+        existing.kind = defaults.kind || (existing.kind === 'embed' ? 'embed' : detectKind(url));
+        return existing;
+    }
+
+    const server = {
+        id,
+        label: defaults.label || `Server ${id}`,
+        kind: defaults.kind || detectKind(url),
+        url,
+        quality: defaults.quality || '',
+        language: defaults.language || 'dub',
+        priority: defaults.priority !== undefined ? defaults.priority : id,
+        enabled: true
+    };
+    servers.push(server);
+    sortServers(servers);
+    return server;
+}
+
+function sortServers(servers) {
+    return servers.sort((a, b) => a.priority - b.priority || a.id - b.id);
+}
+
+// The server list of an episode saved with the old sources object
+function sourcesToServers(sources) {
+    return sortServers(Object.entries(sources || {})
+        .filter(([key, url]) => /^server\d+$/.test(key) && typeof url === 'string' && url.trim())
+        .map(([key, url]) => {
+            const id = parseInt(key.slice(6));
+            return {
+                id,
+                label: `Server ${id}`,
+                kind: detectKind(url),
+                url: url.trim(),
+                quality: '',
+                language: 'dub',
+                priority: id,
+                enabled: true
+            };
+        }));
+}
+
+// Convert an episode to the server list if it still has a sources object. Returns true if it changed
+function migrateEpisode(episode) {
+    if (!episode.sources) return false;
+
+    episode.servers = [...(episode.servers || []), ...sourcesToServers(episode.sources)
+        .filter(server => !(episode.servers || []).some(s => s.id === server.id))];
+    sortServers(episode.servers);
+    delete episode.sources;
+    return true;
+}
+
+module.exports = {
+    KINDS,
+    LANGUAGES,
+    isLocalSource,
+    nextServerId,
+    normalizeServer,
+    normalizeServers,
+    setServerUrl,
+    sortServers,
+    sourcesToServers,
+    migrateEpisode
+};
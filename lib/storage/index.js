@@ -0,0 +1,101 @@
+// Storage layer shared by all route handlers
+// Data is kept as JSON documents under string keys ("animes", "episodes/3", ...).
+// Backends: "json" (one file per key, the original layout) and "sqlite".
+const fs = require('fs');
+const path = require('path');
+const { createJsonBackend } = require('./json-backend');
+const { createSqliteBackend } = require('./sqlite-backend');
+
+const BACKENDS = {
+    json: createJsonBackend,
+    sqlite: createSqliteBackend
+};
+
+const META_KEY = '_meta';
+
+// Import the JSON files of an existing data directory into a fresh backend, once
+function migrateJsonFiles(storage, dataDir) {
+    const meta = storage.get(META_KEY, {});
+    if (meta.migratedFromJson) return;
+
+    const json = createJsonBackend({ dataDir });
+    const keys = json.keys();
+
+    storage.transaction(tx => {
+        keys.forEach(key => {
+            if (tx.get(key) === undefined) {
+                tx.set(key, json.get(key));
+            }
+        });
+
+        tx.set(META_KEY, { ...meta, migratedFromJson: new Date().toISOString(), migratedKeys: keys.length });
+    });
+
+    if (keys.length > 0) {
+        console.log(`Migrated ${keys.length} JSON data files into ${storage.backend} storage`);
+    }
+}
+
+// Create the storage layer for the given backend
+function createStorage({ backend = 'json', dataDir }) {
+    const createBackend = BACKENDS[backend];
+    if (!createBackend) {
+        throw new Error(`Unknown storage backend "${backend}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+
+    const store = createBackend({ dataDir });
+
+    // The transaction currently running, if any. Handlers are synchronous, so there is
+    // at most one, and nested calls simply join it.
+    let activeTx = null;
+
+    function transaction(fn) {
+        if (activeTx) {
+            return fn(activeTx);
+        }
+
+        return store.transaction(tx => {
+            activeTx = tx;
+            try {
+                return fn(tx);
+            } finally {
+                activeTx = null;
+            }
+        });
+    }
+
+    function get(key, defaultValue) {
+        const value = activeTx ? activeTx.get(key) : store.get(key);
+        return value === undefined ? defaultValue : value;
+    }
+
+    function set(key, value) {
+        transaction(tx => tx.set(key, value));
+    }
+
+    function remove(key) {
+        transaction(tx => tx.remove(key));
+    }
+
+    function keys(prefix = '') {
+        return activeTx ? activeTx.keys(prefix) : store.keys(prefix);
+    }
+
+    const storage = {
+        backend: store.name,
+        get,
+        set,
+        remove,
+        keys,
+        transaction,
+        close: () => store.close()
+    };
+
+    if (store.name !== 'json' && fs.existsSync(path.join(dataDir, 'animes.json'))) {
+        migrateJsonFiles(storage, dataDir);
+    }
+
+    return storage;
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,238 @@
+// JSON file storage backend
+// Every key maps to one file under the data directory ("episodes/3" -> data/episodes/3.json).
+// Writes are staged as temp files and committed through a journal so a crash can never
+// leave a half-written file or a transaction applied to only some of its files.
+const fs = require('fs');
+const path = require('path');
+
+const LOCK_TIMEOUT = 10000;
+const STALE_LOCK_TIME = 30000;
+
+// Block the thread for a few milliseconds without spinning the CPU
+function sleep(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// Write a file and flush it to disk before returning
+function writeFileDurable(filePath, contents) {
+    const fd = fs.openSync(filePath, 'w');
+    try {
+        fs.writeSync(fd, contents);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+function createJsonBackend({ dataDir }) {
+    const lockFile = path.join(dataDir, '.lock');
+    const journalFile = path.join(dataDir, '.journal.json');
+
+    fs.mkdirSync(dataDir, { recursive: true });
+
+    function keyToFile(key) {
+        const file = path.resolve(dataDir, `${key}.json`);
+        if (!file.startsWith(path.resolve(dataDir) + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return file;
+    }
+
+    function fileToKey(file) {
+        return path.relative(dataDir, file).replace(/\.json$/, '').split(path.sep).join('/');
+    }
+
+    // Take the cross-process lock, breaking it if its owner has died
+    function acquireLock() {
+        const start = Date.now();
+
+        while (true) {
+            try {
+                const fd = fs.openSync(lockFile, 'wx');
+                fs.writeSync(fd, JSON.stringify({ pid: process.pid, time: Date.now() }));
+                fs.closeSync(fd);
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            try {
+                const owner = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+                if (!isProcessAlive(owner.pid) || Date.now() - owner.time > STALE_LOCK_TIME) {
+                    fs.unlinkSync(lockFile);
+                    continue;
+                }
+            } catch (error) {
+                // Lock was released (or is being written) while we looked at it
+                continue;
+            }
+
+            if (Date.now() - start > LOCK_TIMEOUT) {
+                throw new Error('Timed out waiting for the storage lock');
+            }
+
+            sleep(10);
+        }
+    }
+
+    function releaseLock() {
+        try {
+            fs.unlinkSync(lockFile);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    // Finish (or discard) a commit that was interrupted by a crash
+    function recover() {
+        if (fs.existsSync(journalFile)) {
+            let journal = null;
+            try {
+                journal = JSON.parse(fs.readFileSync(journalFile, 'utf8'));
+            } catch (error) {
+                // The journal itself was never completely written, so nothing was applied yet
+                console.error('Discarding incomplete storage journal');
+            }
+
+            if (journal) {
+                journal.forEach(op => {
+                    if (op.remove) {
+                        if (fs.existsSync(op.file)) fs.unlinkSync(op.file);
+                    } else if (fs.existsSync(op.tmp)) {
+                        fs.renameSync(op.tmp, op.file);
+                    }
+                });
+                console.log(`Recovered ${journal.length} pending storage writes`);
+            }
+
+            fs.unlinkSync(journalFile);
+        }
+
+        // Clean up temp files from commits that never reached the journal
+        listFiles(dataDir)
+            .filter(file => /\.tmp-\d+$/.test(file))
+            .forEach(file => fs.unlinkSync(file));
+    }
+
+    function listFiles(dir) {
+        if (!fs.existsSync(dir)) return [];
+
+        return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+            const fullPath = path.join(dir, entry.name);
+            return entry.isDirectory() ? listFiles(fullPath) : [fullPath];
+        });
+    }
+
+    function read(key) {
+        const file = keyToFile(key);
+        if (!fs.existsSync(file)) return undefined;
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    function keys(prefix = '') {
+        return listFiles(dataDir)
+            .filter(file => file.endsWith('.json') && !path.basename(file).startsWith('.'))
+            .map(fileToKey)
+            .filter(key => key.startsWith(prefix))
+            .sort();
+    }
+
+    // Apply a set of changes (Map of key -> value, undefined meaning delete) atomically
+    function commit(changes) {
+        if (changes.size === 0) return;
+
+        const ops = [];
+
+        changes.forEach((value, key) => {
+            const file = keyToFile(key);
+
+            if (value === undefined) {
+                ops.push({ file, remove: true });
+                return;
+            }
+
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            const tmp = `${file}.tmp-${process.pid}`;
+            writeFileDurable(tmp, JSON.stringify(value, null, 2));
+            ops.push({ file, tmp });
+        });
+
+        // Once the journal is on disk the commit is considered done, even if we crash below
+        writeFileDurable(journalFile, JSON.stringify(ops));
+
+        ops.forEach(op => {
+            if (op.remove) {
+                if (fs.existsSync(op.file)) fs.unlinkSync(op.file);
+            } else {
+                fs.renameSync(op.tmp, op.file);
+            }
+        });
+
+        fs.unlinkSync(journalFile);
+    }
+
+    // Run fn with exclusive access; writes are buffered and committed when fn returns
+    function transaction(fn) {
+        acquireLock();
+
+        try {
+            const changes = new Map();
+
+            const tx = {
+                get(key) {
+                    if (!changes.has(key)) return read(key);
+                    const value = changes.get(key);
+                    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+                },
+                set(key, value) {
+                    // Store a snapshot so later mutation by the caller can't change what gets written
+                    changes.set(key, JSON.parse(JSON.stringify(value)));
+                },
+                remove(key) {
+                    changes.set(key, undefined);
+                },
+                keys(prefix = '') {
+                    const found = new Set(keys(prefix));
+                    changes.forEach((value, key) => {
+                        if (!key.startsWith(prefix)) return;
+                        if (value === undefined) found.delete(key);
+                        else found.add(key);
+                    });
+                    return [...found].sort();
+                }
+            };
+
+            const result = fn(tx);
+            commit(changes);
+            return result;
+        } finally {
+            releaseLock();
+        }
+    }
+
+    acquireLock();
+    try {
+        recover();
+    } finally {
+        releaseLock();
+    }
+
+    return {
+        name: 'json',
+        get: read,
+        keys,
+        transaction,
+        close() {}
+    };
+}
+
+module.exports = { createJsonBackend };
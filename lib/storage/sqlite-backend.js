@@ -0,0 +1,78 @@
+// Embedded SQLite storage backend
+// Documents are stored as JSON text in a single key/value table. better-sqlite3 is an
+// optional dependency, so it is only loaded when this backend is selected.
+const fs = require('fs');
+const path = require('path');
+
+function loadDriver() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        throw new Error('The sqlite storage backend needs the "better-sqlite3" package. Run "npm install better-sqlite3" or use STORAGE_BACKEND=json.');
+    }
+}
+
+function createSqliteBackend({ dataDir, filename = 'animetagalog.db' }) {
+    const Database = loadDriver();
+
+    fs.mkdirSync(dataDir, { recursive: true });
+
+    const db = new Database(path.join(dataDir, filename));
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = FULL');
+    db.pragma('busy_timeout = 10000');
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS documents (
+            key TEXT PRIMARY KEY,
+            value TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        )
+    `);
+
+    const selectStmt = db.prepare('SELECT value FROM documents WHERE key = ?');
+    const keysStmt = db.prepare("SELECT key FROM documents WHERE key LIKE ? ESCAPE '\\' ORDER BY key");
+    const upsertStmt = db.prepare(`
+        INSERT INTO documents (key, value, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+    `);
+    const deleteStmt = db.prepare('DELETE FROM documents WHERE key = ?');
+
+    function get(key) {
+        const row = selectStmt.get(key);
+        return row ? JSON.parse(row.value) : undefined;
+    }
+
+    function keys(prefix = '') {
+        const pattern = prefix.replace(/[\\%_]/g, '\\$&') + '%';
+        return keysStmt.all(pattern).map(row => row.key);
+    }
+
+    const tx = {
+        get,
+        keys,
+        set(key, value) {
+            upsertStmt.run(key, JSON.stringify(value), new Date().toISOString());
+        },
+        remove(key) {
+            deleteStmt.run(key);
+        }
+    };
+
+    // BEGIN IMMEDIATE takes the write lock up front, so concurrent writers queue instead of failing
+    function transaction(fn) {
+        return db.transaction(() => fn(tx)).immediate();
+    }
+
+    return {
+        name: 'sqlite',
+        get,
+        keys,
+        transaction,
+        close() {
+            db.close();
+        }
+    };
+}
+
+module.exports = { createSqliteBackend };
@@ -0,0 +1,173 @@
+// Streaming of local media files (uploaded videos, HLS playlists and segments, subtitles)
+// Supports byte ranges as browsers and players send them (RFC 9110): single ranges, open
+// ranges (bytes=500-) and suffix ranges (bytes=-500), with 416 for ranges past the end of
+// the file. Responses carry an ETag and Last-Modified so players can revalidate instead of
+// downloading again, and If-None-Match, If-Modified-Since and If-Range are honoured.
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream');
+
+const VIDEO_TYPES = {
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/mp4',
+    '.webm': 'video/webm',
+    '.mkv': 'video/x-matroska',
+    '.mov': 'video/quicktime',
+    '.avi': 'video/x-msvideo',
+    '.ogv': 'video/ogg'
+};
+
+const MEDIA_TYPES = {
+    ...VIDEO_TYPES,
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.ts': 'video/mp2t',
+    '.vtt': 'text/vtt; charset=utf-8'
+};
+
+function getContentType(filePath) {
+    return MEDIA_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+// Resolve a path stored relative to rootDir, or null if it points outside mediaDir
+// (e.g. a source of "../data/animes.json", "data/animes.json" or an absolute path)
+function resolveMediaPath(rootDir, storedPath, mediaDir = rootDir) {
+    if (typeof storedPath !== 'string' || !storedPath || path.isAbsolute(storedPath)) {
+        return null;
+    }
+
+    const resolved = path.resolve(rootDir, storedPath);
+    const allowed = path.resolve(mediaDir);
+
+    return resolved.startsWith(allowed + path.sep) ? resolved : null;
+}
+
+// Parse a Range header against a file size. Returns null when the whole file should be
+// sent (no header, a header we don't understand, or several ranges), { start, end } for
+// a satisfiable range, or { unsatisfiable: true }
+function parseRange(header, size) {
+    if (!header) return null;
+
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start;
+    let end;
+
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        const length = parseInt(match[2], 10);
+        if (length === 0) return { unsatisfiable: true };
+        start = Math.max(0, size - length);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        // A last byte before the first makes the header invalid, so it is ignored
+        if (match[2] !== '' && parseInt(match[2], 10) < start) return null;
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+
+    if (start >= size) {
+        return { unsatisfiable: true };
+    }
+
+    return { start, end };
+}
+
+function getETag(stat) {
+    return `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+// Whether the client's cached copy is still current (RFC 9110 section 13.2.2:
+// If-None-Match wins over If-Modified-Since when both are sent)
+function isNotModified(req, etag, lastModified) {
+    const ifNoneMatch = req.headers['if-none-match'];
+
+    if (ifNoneMatch) {
+        return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',')
+            .map(tag => tag.trim().replace(/^W\//, ''))
+            .includes(etag);
+    }
+
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+    return !isNaN(ifModifiedSince) && Math.floor(lastModified / 1000) <= Math.floor(ifModifiedSince / 1000);
+}
+
+// Whether a Range request may be answered with part of the file. If-Range makes the
+// range conditional on the file not having changed since the client got the first part
+function isRangeFresh(req, etag, lastModified) {
+    const ifRange = req.headers['if-range'];
+    if (!ifRange) return true;
+
+    if (ifRange.trim().startsWith('"')) {
+        return ifRange.trim() === etag;
+    }
+
+    const date = Date.parse(ifRange);
+    return !isNaN(date) && Math.floor(lastModified / 1000) <= Math.floor(date / 1000);
+}
+
+// Send a local file, or the requested part of it. Responds with 404 JSON if it doesn't exist.
+//   contentType: overrides the type worked out from the extension
+//   cacheControl: Cache-Control header, revalidate on every use by default
+function sendMedia(req, res, filePath, { contentType, cacheControl = 'public, max-age=0, must-revalidate' } = {}) {
+    let stat;
+
+    try {
+        stat = fs.statSync(filePath);
+    } catch (error) {
+        stat = null;
+    }
+
+    if (!stat || !stat.isFile()) {
+        return res.status(404).json({ error: 'File not found' });
+    }
+
+    const size = stat.size;
+    const etag = getETag(stat);
+    const lastModified = stat.mtime.getTime();
+
+    res.set({
+        'Accept-Ranges': 'bytes',
+        'Cache-Control': cacheControl,
+        'ETag': etag,
+        'Last-Modified': stat.mtime.toUTCString()
+    });
+
+    if (isNotModified(req, etag, lastModified)) {
+        return res.status(304).end();
+    }
+
+    const range = isRangeFresh(req, etag, lastModified) ? parseRange(req.headers.range, size) : null;
+
+    if (range && range.unsatisfiable) {
+        res.set('Content-Range', `bytes */${size}`);
+        return res.status(416).json({ error: 'Requested range not satisfiable' });
+    }
+
+    res.set('Content-Type', contentType || getContentType(filePath));
+
+    if (range) {
+        res.status(206).set({
+            'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+            'Content-Length': range.end - range.start + 1
+        });
+    } else {
+        res.status(200).set('Content-Length', size);
+    }
+
+    if (req.method === 'HEAD' || size === 0) {
+        return res.end();
+    }
+
+    // pipeline closes the file when the player disconnects halfway through
+    pipeline(fs.createReadStream(filePath, range || {}), res, () => {});
+}
+
+module.exports = {
+    VIDEO_TYPES,
+    getContentType,
+    resolveMediaPath,
+    parseRange,
+    sendMedia
+};
@@ -0,0 +1,179 @@
+// Subtitle conversion to WebVTT, the only format browsers play as <track>
+// Supports SubRip (.srt), Advanced SubStation Alpha (.ass/.ssa) and WebVTT itself.
+
+// Languages subtitles can be uploaded in, by the code used in URLs and <track srclang>
+const LANGUAGES = {
+    tl: 'Tagalog',
+    en: 'English'
+};
+
+const FORMATS = {
+    '.srt': 'srt',
+    '.ass': 'ass',
+    '.ssa': 'ass',
+    '.vtt': 'vtt'
+};
+
+// Decode an uploaded file, honouring a UTF-16 byte order mark and dropping a UTF-8 one
+function decodeSubtitle(buffer) {
+    let text;
+
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+        text = buffer.slice(2).toString('utf16le');
+    } else if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+        // Node has no big-endian decoder, so swap the bytes first
+        const swapped = Buffer.from(buffer.slice(2));
+        swapped.swap16();
+        text = swapped.toString('utf16le');
+    } else {
+        text = buffer.toString('utf8');
+    }
+
+    return text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+// Work out the format from the file name, falling back to sniffing the content
+function detectFormat(filename, text) {
+    const ext = (filename.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+
+    if (FORMATS[ext]) return FORMATS[ext];
+    if (/^WEBVTT/.test(text)) return 'vtt';
+    if (/^\[Script Info\]/im.test(text)) return 'ass';
+    if (/\d+:\d{2}:\d{2},\d{3}\s*-->/.test(text)) return 'srt';
+    return null;
+}
+
+function escapeCueText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function formatTimestamp(seconds) {
+    const totalMs = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor(totalMs / 60000) % 60;
+    const secs = Math.floor(totalMs / 1000) % 60;
+    const ms = totalMs % 1000;
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:` +
+        `${String(secs).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
+}
+
+function buildVtt(cues) {
+    return 'WEBVTT\n\n' + cues
+        .map(cue => `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${cue.text}`)
+        .join('\n\n') + '\n';
+}
+
+// SubRip: numbered blocks of "00:00:01,000 --> 00:00:02,500" and text.
+// <i>, <b> and <u> carry over to WebVTT; other tags such as <font> are dropped.
+function srtToVtt(text) {
+    const cues = [];
+
+    text.split(/\n{2,}/).forEach(block => {
+        const lines = block.split('\n').filter(line => line.trim());
+        const timeIndex = lines.findIndex(line => line.includes('-->'));
+        if (timeIndex === -1) return;
+
+        const match = lines[timeIndex].match(/(\d+):(\d{2}):(\d{2})[,.](\d{1,3})\s*-->\s*(\d+):(\d{2}):(\d{2})[,.](\d{1,3})/);
+        if (!match) return;
+
+        const [, h1, m1, s1, ms1, h2, m2, s2, ms2] = match.map(Number);
+        const cueText = lines.slice(timeIndex + 1).join('\n')
+            .replace(/\{\\[^}]*\}/g, '')
+            .replace(/<(?!\/?[ibu]>)[^>]*>/gi, '')
+            .replace(/&(?![a-z]+;|#\d+;)/gi, '&amp;');
+
+        if (!cueText.trim()) return;
+
+        cues.push({
+            start: h1 * 3600 + m1 * 60 + s1 + ms1 / 1000,
+            end: h2 * 3600 + m2 * 60 + s2 + ms2 / 1000,
+            text: cueText
+        });
+    });
+
+    return cues;
+}
+
+// ASS/SSA: Dialogue lines in the [Events] section, laid out by its Format line.
+// Styling overrides ({\...}) are dropped and \N line breaks kept.
+function assToVtt(text) {
+    const cues = [];
+    let inEvents = false;
+    let fields = null;
+
+    const parseTime = value => {
+        const match = value.trim().match(/^(\d+):(\d{2}):(\d{2})[.:](\d{1,3})$/);
+        if (!match) return null;
+        return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) + Number(`0.${match[4]}`);
+    };
+
+    text.split('\n').forEach(line => {
+        const trimmed = line.trim();
+
+        if (/^\[.*\]$/.test(trimmed)) {
+            inEvents = trimmed.toLowerCase() === '[events]';
+            return;
+        }
+        if (!inEvents) return;
+
+        if (/^Format:/i.test(trimmed)) {
+            fields = trimmed.slice(7).split(',').map(field => field.trim().toLowerCase());
+            return;
+        }
+        if (!/^Dialogue:/i.test(trimmed) || !fields) return;
+
+        // Text is the last field and may itself contain commas
+        const values = trimmed.slice(9).split(',');
+        const textValue = values.slice(fields.length - 1).join(',');
+        const start = parseTime(values[fields.indexOf('start')] || '');
+        const end = parseTime(values[fields.indexOf('end')] || '');
+        if (start === null || end === null) return;
+
+        // Vector drawings ({\p1}) have no readable text
+        if (/\{[^}]*\\p[1-9]/.test(textValue)) return;
+
+        const cueText = escapeCueText(textValue
+            .replace(/\{[^}]*\}/g, '')
+            .replace(/\\[Nn]/g, '\n')
+            .replace(/\\h/g, ' ')
+            .trim());
+
+        if (cueText) {
+            cues.push({ start, end, text: cueText });
+        }
+    });
+
+    return cues.sort((a, b) => a.start - b.start);
+}
+
+// Convert an uploaded subtitle file to WebVTT. Returns { vtt, format } or { error }
+function convertToVtt(buffer, filename) {
+    const text = decodeSubtitle(buffer);
+    const format = detectFormat(filename || '', text);
+
+    if (!format) {
+        return { error: 'Unsupported subtitle format. Upload an SRT, ASS/SSA or VTT file.' };
+    }
+
+    if (format === 'vtt') {
+        if (!/^WEBVTT/.test(text)) {
+            return { error: 'Invalid WebVTT file: it must start with "WEBVTT"' };
+        }
+        return { vtt: text.endsWith('\n') ? text : `${text}\n`, format };
+    }
+
+    const cues = format === 'srt' ? srtToVtt(text) : assToVtt(text);
+
+    if (cues.length === 0) {
+        return { error: `No subtitle lines found in the ${format.toUpperCase()} file` };
+    }
+
+    return { vtt: buildVtt(cues), format };
+}
+
+module.exports = {
+    LANGUAGES,
+    FORMATS,
+    convertToVtt
+};
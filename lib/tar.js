@@ -0,0 +1,231 @@
+// Minimal tar (ustar) reading and writing, for catalog archives
+// Only regular files and directories are written. Reading skips every other kind of entry
+// (links, pax and GNU extension headers), so archives made by other tools can be read as
+// long as their names fit the ustar header. Sizes over 8 GB use the GNU base-256 encoding.
+
+const fs = require('fs');
+
+const BLOCK = 512;
+const MAX_OCTAL_SIZE = 8 ** 11 - 1;
+const FILE_TYPES = { '0': 'file', '\0': 'file', '5': 'directory' };
+
+function writeString(block, value, offset, length) {
+    block.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+}
+
+function writeOctal(block, value, offset, length) {
+    writeString(block, value.toString(8).padStart(length - 1, '0') + '\0', offset, length);
+}
+
+// Long names are split into the prefix and name fields at a slash
+function splitName(name) {
+    if (Buffer.byteLength(name) <= 100) {
+        return { prefix: '', name };
+    }
+
+    for (let i = name.indexOf('/'); i !== -1; i = name.indexOf('/', i + 1)) {
+        const prefix = name.slice(0, i);
+        const rest = name.slice(i + 1);
+
+        if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) {
+            return { prefix, name: rest };
+        }
+    }
+    throw new Error(`Name is too long for a tar archive: ${name}`);
+}
+
+function createHeader({ name, size = 0, type = 'file', mtime = new Date() }) {
+    const block = Buffer.alloc(BLOCK);
+    const parts = splitName(type === 'directory' && !name.endsWith('/') ? `${name}/` : name);
+
+    writeString(block, parts.name, 0, 100);
+    writeOctal(block, type === 'directory' ? 0o755 : 0o644, 100, 8);
+    writeOctal(block, 0, 108, 8);
+    writeOctal(block, 0, 116, 8);
+
+    if (size > MAX_OCTAL_SIZE) {
+        block[124] = 0x80;
+        block.writeBigUInt64BE(BigInt(size), 128);
+    } else {
+        writeOctal(block, size, 124, 12);
+    }
+
+    writeOctal(block, Math.floor(new Date(mtime).getTime() / 1000), 136, 12);
+    block.fill(' ', 148, 156);
+    block.write(type === 'directory' ? '5' : '0', 156);
+    block.write('ustar\0', 257);
+    block.write('00', 263);
+    writeString(block, parts.prefix, 345, 155);
+
+    const checksum = block.reduce((sum, byte) => sum + byte, 0);
+    writeString(block, checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+
+    return block;
+}
+
+function readString(block, offset, length) {
+    const end = block.indexOf(0, offset);
+    return block.toString('utf8', offset, end === -1 || end > offset + length ? offset + length : end);
+}
+
+function readSize(block) {
+    if (block[124] & 0x80) {
+        return Number(block.readBigUInt64BE(128));
+    }
+    return parseInt(readString(block, 124, 12).trim() || '0', 8);
+}
+
+// Returns { name, size, type, mtime }. type is 'file', 'directory' or null for other entries
+function parseHeader(block) {
+    const expected = parseInt(readString(block, 148, 8).trim(), 8);
+    const checksum = block.reduce((sum, byte, i) => sum + (i >= 148 && i < 156 ? 32 : byte), 0);
+
+    if (expected !== checksum) {
+        throw new Error('Not a tar archive, or it is damaged (header checksum mismatch)');
+    }
+
+    const prefix = block.toString('utf8', 257, 262) === 'ustar' ? readString(block, 345, 155) : '';
+    const name = readString(block, 0, 100);
+
+    return {
+        name: (prefix ? `${prefix}/${name}` : name).replace(/\/$/, ''),
+        size: readSize(block),
+        type: FILE_TYPES[String.fromCharCode(block[156])] || null,
+        mtime: new Date(parseInt(readString(block, 136, 12).trim() || '0', 8) * 1000)
+    };
+}
+
+function padding(size) {
+    return (BLOCK - size % BLOCK) % BLOCK;
+}
+
+// Write to a stream, waiting for it to drain when its buffer is full. Fails if the stream
+// is closed first, as when a client stops a download
+function write(output, chunk) {
+    if (output.destroyed) return Promise.reject(new Error('The archive stream was closed'));
+    if (output.write(chunk)) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+        const done = error => {
+            output.off('drain', done);
+            output.off('error', done);
+            output.off('close', onClose);
+            if (error) reject(error); else resolve();
+        };
+        const onClose = () => done(new Error('The archive stream was closed'));
+
+        output.once('drain', done);
+        output.once('error', done);
+        output.once('close', onClose);
+    });
+}
+
+// Writer over an output stream. Entries are written one at a time, in the order they're added
+function createTarWriter(output) {
+    return {
+        addDirectory(name, mtime) {
+            return write(output, createHeader({ name, type: 'directory', mtime }));
+        },
+
+        async addBuffer(name, data, mtime) {
+            await write(output, createHeader({ name, size: data.length, mtime }));
+            await write(output, data);
+            await write(output, Buffer.alloc(padding(data.length)));
+        },
+
+        // The file is streamed, so large videos don't have to fit in memory
+        async addFile(name, filePath) {
+            const stats = fs.statSync(filePath);
+            let written = 0;
+
+            await write(output, createHeader({ name, size: stats.size, mtime: stats.mtime }));
+            for await (const chunk of fs.createReadStream(filePath)) {
+                const part = chunk.subarray(0, stats.size - written);
+                written += part.length;
+                await write(output, part);
+            }
+
+            if (written !== stats.size) {
+                throw new Error(`${filePath} changed while it was being archived`);
+            }
+            await write(output, Buffer.alloc(padding(stats.size)));
+        },
+
+        // The end of the archive is marked by two empty blocks
+        finish() {
+            return write(output, Buffer.alloc(BLOCK * 2));
+        }
+    };
+}
+
+// Read a tar stream. collect(entry) picks the files to keep in memory and target(entry) the
+// ones to write to disk, by returning the path to write them to. Everything else is skipped.
+// Resolves to { entries: [{ name, size, type, mtime }], files: { [name]: Buffer } }
+async function readTar(input, { collect = () => false, target = () => null } = {}) {
+    const entries = [];
+    const files = {};
+    let buffer = Buffer.alloc(0);
+    let current = null;
+
+    const finishEntry = () => {
+        if (current.fd !== null) fs.closeSync(current.fd);
+        if (current.chunks) files[current.header.name] = Buffer.concat(current.chunks);
+        current = null;
+    };
+
+    try {
+        for await (const chunk of input) {
+            buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+
+            while (true) {
+                if (current) {
+                    const part = buffer.subarray(0, current.remaining);
+
+                    if (part.length > 0) {
+                        if (current.fd !== null) fs.writeSync(current.fd, part);
+                        if (current.chunks) current.chunks.push(Buffer.from(part));
+                        current.remaining -= part.length;
+                        buffer = buffer.subarray(part.length);
+                    }
+                    if (current.remaining > 0 || buffer.length < current.padding) break;
+
+                    buffer = buffer.subarray(current.padding);
+                    finishEntry();
+                    continue;
+                }
+
+                if (buffer.length < BLOCK) break;
+
+                const block = buffer.subarray(0, BLOCK);
+                buffer = buffer.subarray(BLOCK);
+
+                if (block.every(byte => byte === 0)) {
+                    return { entries, files };
+                }
+
+                const header = parseHeader(block);
+                const isFile = header.type === 'file';
+                const filePath = isFile ? target(header) : null;
+
+                if (header.type) entries.push(header);
+
+                current = {
+                    header,
+                    remaining: header.size,
+                    padding: padding(header.size),
+                    fd: filePath ? fs.openSync(filePath, 'w') : null,
+                    chunks: isFile && collect(header) ? [] : null
+                };
+            }
+        }
+    } finally {
+        if (current && current.fd !== null) fs.closeSync(current.fd);
+    }
+
+    throw new Error('The archive is incomplete');
+}
+
+module.exports = {
+    createTarWriter,
+    readTar
+};
@@ -0,0 +1,293 @@
+// Background HLS transcoding of uploaded episodes with a local ffmpeg binary
+// Each upload becomes one HLS rendition per quality up to the source's own height,
+// plus a master playlist players can switch between. Jobs run one at a time and are
+// persisted, so a restart picks up where it left off:
+//   { id, animeId, episodeNumber, input, status: 'queued' | 'running' | 'done' | 'failed',
+//     progress, renditions, output, error, dateAdded, dateStarted, dateFinished }
+
+const { spawn, execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const RENDITIONS = [
+    { name: '360p', height: 360, videoBitrate: '800k', maxRate: '856k', bufferSize: '1200k', audioBitrate: '96k' },
+    { name: '720p', height: 720, videoBitrate: '2800k', maxRate: '2996k', bufferSize: '4200k', audioBitrate: '128k' },
+    { name: '1080p', height: 1080, videoBitrate: '5000k', maxRate: '5350k', bufferSize: '7500k', audioBitrate: '192k' }
+];
+const SEGMENT_SECONDS = 6;
+const MASTER_PLAYLIST = 'master.m3u8';
+// Finished jobs kept for the admin panel
+const MAX_FINISHED_JOBS = 200;
+
+// Read duration, height and whether there is an audio track
+function probe(ffprobePath, input) {
+    return new Promise((resolve, reject) => {
+        execFile(ffprobePath, [
+            '-v', 'error',
+            '-show_entries', 'stream=codec_type,height:format=duration',
+            '-of', 'json',
+            input
+        ], { timeout: 60 * 1000 }, (error, stdout) => {
+            if (error) {
+                return reject(error.code === 'ENOENT' ? new Error(`${ffprobePath} not found`) : error);
+            }
+
+            try {
+                const info = JSON.parse(stdout);
+                const streams = info.streams || [];
+                const video = streams.find(stream => stream.codec_type === 'video');
+
+                if (!video) {
+                    return reject(new Error('The upload has no video stream'));
+                }
+
+                resolve({
+                    duration: parseFloat(info.format && info.format.duration) || 0,
+                    height: video.height || 0,
+                    hasAudio: streams.some(stream => stream.codec_type === 'audio')
+                });
+            } catch (parseError) {
+                reject(parseError);
+            }
+        });
+    });
+}
+
+// Qualities to produce for a source, never upscaling past it (but always at least one)
+function pickRenditions(sourceHeight) {
+    if (!sourceHeight) return RENDITIONS;
+    const fitting = RENDITIONS.filter(rendition => rendition.height <= sourceHeight);
+    return fitting.length > 0 ? fitting : [RENDITIONS[0]];
+}
+
+// ffmpeg arguments for one pass that writes every rendition and the master playlist.
+// Keyframes are forced on segment boundaries so players can switch quality cleanly.
+function buildArgs(input, outputDir, renditions, hasAudio) {
+    const split = `[0:v]split=${renditions.length}${renditions.map((r, i) => `[v${i}]`).join('')}`;
+    const scales = renditions.map((r, i) => `[v${i}]scale=-2:${r.height}[v${i}out]`);
+    const args = ['-y', '-v', 'error', '-nostats', '-progress', 'pipe:1', '-i', input,
+        '-filter_complex', [split, ...scales].join(';')];
+
+    renditions.forEach((rendition, i) => {
+        args.push('-map', `[v${i}out]`,
+            `-c:v:${i}`, 'libx264',
+            `-b:v:${i}`, rendition.videoBitrate,
+            `-maxrate:v:${i}`, rendition.maxRate,
+            `-bufsize:v:${i}`, rendition.bufferSize);
+
+        if (hasAudio) {
+            args.push('-map', '0:a:0', `-c:a:${i}`, 'aac', `-b:a:${i}`, rendition.audioBitrate);
+        }
+    });
+
+    if (hasAudio) {
+        args.push('-ac', '2');
+    }
+
+    args.push(
+        '-preset', 'veryfast',
+        '-force_key_frames', `expr:gte(t,n_forced*${SEGMENT_SECONDS})`,
+        '-f', 'hls',
+        '-hls_time', String(SEGMENT_SECONDS),
+        '-hls_playlist_type', 'vod',
+        '-hls_segment_filename', path.join(outputDir, '%v_%03d.ts'),
+        '-master_pl_name', MASTER_PLAYLIST,
+        '-var_stream_map', renditions
+            .map((r, i) => hasAudio ? `v:${i},a:${i},name:${r.name}` : `v:${i},name:${r.name}`)
+            .join(' '),
+        path.join(outputDir, '%v.m3u8')
+    );
+
+    return args;
+}
+
+// Queue of transcoding jobs.
+//   rootDir: directory input and output paths are relative to
+//   loadJobs/saveJobs: read and persist the job list
+//   onComplete(job): called once a job's HLS output is in place
+function createTranscodeQueue({ ffmpegPath = 'ffmpeg', ffprobePath = 'ffprobe', rootDir, loadJobs, saveJobs, onComplete }) {
+    let jobs = loadJobs();
+    let active = null;
+
+    function save() {
+        const finished = jobs.filter(job => job.status === 'done' || job.status === 'failed');
+
+        if (finished.length > MAX_FINISHED_JOBS) {
+            const dropped = new Set(finished
+                .sort((a, b) => new Date(a.dateFinished) - new Date(b.dateFinished))
+                .slice(0, finished.length - MAX_FINISHED_JOBS));
+            jobs = jobs.filter(job => !dropped.has(job));
+        }
+
+        saveJobs(jobs);
+    }
+
+    function finish(job, changes) {
+        Object.assign(job, changes, { dateFinished: new Date().toISOString() });
+        active = null;
+        save();
+        setImmediate(processNext);
+    }
+
+    function processNext() {
+        if (active) return;
+
+        const job = jobs.find(j => j.status === 'queued');
+        if (!job) return;
+
+        active = job;
+        Object.assign(job, { status: 'running', progress: 0, error: null, dateStarted: new Date().toISOString() });
+        save();
+
+        run(job).then(() => {
+            try {
+                onComplete(job);
+                finish(job, { status: 'done', progress: 100 });
+            } catch (error) {
+                finish(job, { status: 'failed', error: error.message });
+            }
+        }, error => {
+            console.error(`Transcoding job ${job.id} failed:`, error.message);
+            finish(job, { status: 'failed', error: error.message });
+        });
+    }
+
+    // Transcode into a scratch directory and only swap it in once ffmpeg succeeds,
+    // so a failed or interrupted job never leaves a half-written stream behind
+    async function run(job) {
+        const input = path.join(rootDir, job.input);
+        const outputDir = path.join(rootDir, job.output);
+        const workDir = `${outputDir}.tmp-${job.id}`;
+
+        if (!fs.existsSync(input)) {
+            throw new Error(`Source file ${job.input} not found`);
+        }
+
+        const info = await probe(ffprobePath, input);
+        const renditions = pickRenditions(info.height);
+        job.renditions = renditions.map(rendition => rendition.name);
+
+        fs.rmSync(workDir, { recursive: true, force: true });
+        fs.mkdirSync(workDir, { recursive: true });
+
+        try {
+            await new Promise((resolve, reject) => {
+                const ffmpeg = spawn(ffmpegPath, buildArgs(input, workDir, renditions, info.hasAudio));
+                let stderr = '';
+                let lastSave = 0;
+
+                ffmpeg.stdout.on('data', chunk => {
+                    const match = String(chunk).match(/out_time_ms=(\d+)(?![\s\S]*out_time_ms=)/);
+                    if (!match || !info.duration) return;
+
+                    job.progress = Math.min(99, Math.round(parseInt(match[1]) / 1000000 / info.duration * 100));
+
+                    // Progress is only informational, so don't write it on every update
+                    if (Date.now() - lastSave > 5000) {
+                        lastSave = Date.now();
+                        save();
+                    }
+                });
+                ffmpeg.stderr.on('data', chunk => {
+                    stderr = (stderr + chunk).slice(-2000);
+                });
+                ffmpeg.on('error', error => {
+                    reject(error.code === 'ENOENT' ? new Error(`${ffmpegPath} not found`) : error);
+                });
+                ffmpeg.on('close', code => {
+                    if (code === 0) {
+                        resolve();
+                    } else {
+                        reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim().split('\n').pop() || 'no output'}`));
+                    }
+                });
+            });
+
+            if (!fs.existsSync(path.join(workDir, MASTER_PLAYLIST))) {
+                throw new Error('ffmpeg did not write a master playlist');
+            }
+
+            fs.rmSync(outputDir, { recursive: true, force: true });
+            fs.renameSync(workDir, outputDir);
+        } catch (error) {
+            fs.rmSync(workDir, { recursive: true, force: true });
+            throw error;
+        }
+    }
+
+    return {
+        // Queue an episode's uploaded file. A job still waiting for the same episode
+        // is replaced, since only the newest upload matters
+        enqueue({ animeId, episodeNumber, input, output }) {
+            jobs = jobs.filter(job => !(job.status === 'queued' && job.animeId === animeId && job.episodeNumber === episodeNumber));
+
+            const job = {
+                id: jobs.length > 0 ? Math.max(...jobs.map(j => j.id)) + 1 : 1,
+                animeId,
+                episodeNumber,
+                input,
+                output,
+                status: 'queued',
+                progress: 0,
+                renditions: [],
+                error: null,
+                dateAdded: new Date().toISOString(),
+                dateStarted: null,
+                dateFinished: null
+            };
+
+            jobs.push(job);
+            save();
+            setImmediate(processNext);
+            return job;
+        },
+
+        // Put a failed job back in the queue. Returns the job, or null if it can't be retried
+        retry(id) {
+            const job = jobs.find(j => j.id === id);
+            if (!job || job.status !== 'failed') return null;
+
+            Object.assign(job, { status: 'queued', progress: 0, error: null, dateStarted: null, dateFinished: null });
+            save();
+            setImmediate(processNext);
+            return job;
+        },
+
+        // Drop the jobs still waiting for an episode. Returns the dropped jobs
+        cancel(animeId, episodeNumber) {
+            const dropped = jobs.filter(job => job.status === 'queued' && job.animeId === animeId && job.episodeNumber === episodeNumber);
+
+            if (dropped.length > 0) {
+                jobs = jobs.filter(job => !dropped.includes(job));
+                save();
+            }
+            return dropped;
+        },
+
+        // Whether ffmpeg is working on an episode right now
+        isRunning(animeId, episodeNumber) {
+            return Boolean(active && active.animeId === animeId && active.episodeNumber === episodeNumber);
+        },
+
+        // All jobs, newest first
+        list() {
+            return [...jobs].sort((a, b) => b.id - a.id);
+        },
+
+        // Resume after a restart: jobs that were running when the process stopped run again
+        start() {
+            jobs.forEach(job => {
+                if (job.status === 'running') {
+                    Object.assign(job, { status: 'queued', progress: 0 });
+                }
+            });
+            save();
+            processNext();
+        }
+    };
+}
+
+module.exports = {
+    MASTER_PLAYLIST,
+    createTranscodeQueue
+};
@@ -0,0 +1,39 @@
+// Trash for deleted anime
+// Deleting an anime only moves its record here. Its episodes, uploaded media, views,
+// reviews, comments and relations stay where they are, so it can be restored as it was,
+// until it is purged for good once its retention period has passed:
+//   { id, anime, schedule, trendingIndex, deletedAt, deletedBy: { id, username }, purgeAfter }
+// schedule and trendingIndex keep the schedule entries and manual trending position the
+// anime had, which are taken out of the public lists while it is in the trash.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function createTrashItem(trash, { anime, schedule, trendingIndex, user, retentionDays, now = new Date() }) {
+    return {
+        id: trash.length > 0 ? Math.max(...trash.map(item => item.id)) + 1 : 1,
+        anime,
+        schedule,
+        trendingIndex,
+        deletedAt: now.toISOString(),
+        deletedBy: user ? { id: user.id, username: user.username } : null,
+        purgeAfter: new Date(now.getTime() + retentionDays * DAY).toISOString()
+    };
+}
+
+// Items whose retention period is over
+function getExpiredItems(trash, now = new Date()) {
+    return trash.filter(item => new Date(item.purgeAfter) <= now);
+}
+
+// Schedule entries to put back on restore. Entries whose ID has been taken since get a new one
+function restoreScheduleItems(schedule, items) {
+    let nextId = Math.max(0, ...schedule.map(s => s.id), ...items.map(s => s.id)) + 1;
+
+    return items.map(item => schedule.some(s => s.id === item.id) ? { ...item, id: nextId++ } : item);
+}
+
+module.exports = {
+    createTrashItem,
+    getExpiredItems,
+    restoreScheduleItems
+};
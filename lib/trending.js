@@ -0,0 +1,178 @@
+// Trending engine
+// Series are scored on their activity inside a sliding window (views, new episodes,
+// new favorites), with every event decaying exponentially with its age, so a burst of
+// activity fades out over a few half-lives instead of keeping a series on top forever.
+const { dailyCounts } = require('./views');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const MODES = ['auto', 'manual'];
+const SIGNALS = ['views', 'episodes', 'favorites', 'rating'];
+
+const DEFAULT_SETTINGS = {
+    mode: 'auto',
+    maxItems: 10,
+    manualTrending: [],
+    // In auto mode, show the manually pinned series first and fill up with the auto results
+    blendManual: false,
+    windowDays: 14,
+    halfLifeDays: 3,
+    weights: {
+        views: 1,
+        episodes: 20,
+        favorites: 5,
+        rating: 10
+    }
+};
+
+// Fill in settings that older trending files don't have
+function normalizeSettings(settings = {}) {
+    return {
+        ...DEFAULT_SETTINGS,
+        ...settings,
+        manualTrending: settings.manualTrending || [],
+        weights: { ...DEFAULT_SETTINGS.weights, ...(settings.weights || {}) }
+    };
+}
+
+function isNonNegativeNumber(value) {
+    return typeof value === 'number' && isFinite(value) && value >= 0;
+}
+
+// Apply a settings update from the admin panel. Returns { settings } or { error }
+function updateSettings(current, update) {
+    const settings = normalizeSettings(current);
+
+    if (update.mode !== undefined) {
+        if (!MODES.includes(update.mode)) {
+            return { error: `Mode must be one of: ${MODES.join(', ')}` };
+        }
+        settings.mode = update.mode;
+    }
+
+    if (update.maxItems !== undefined) {
+        const maxItems = parseInt(update.maxItems);
+        if (!(maxItems >= 1 && maxItems <= 50)) {
+            return { error: 'maxItems must be between 1 and 50' };
+        }
+        settings.maxItems = maxItems;
+    }
+
+    if (update.blendManual !== undefined) {
+        settings.blendManual = update.blendManual === true;
+    }
+
+    if (update.windowDays !== undefined) {
+        const windowDays = parseInt(update.windowDays);
+        if (!(windowDays >= 1 && windowDays <= 90)) {
+            return { error: 'windowDays must be between 1 and 90' };
+        }
+        settings.windowDays = windowDays;
+    }
+
+    if (update.halfLifeDays !== undefined) {
+        const halfLifeDays = Number(update.halfLifeDays);
+        if (!(halfLifeDays > 0 && halfLifeDays <= 90)) {
+            return { error: 'halfLifeDays must be greater than 0 and at most 90' };
+        }
+        settings.halfLifeDays = halfLifeDays;
+    }
+
+    if (update.weights !== undefined) {
+        if (typeof update.weights !== 'object' || update.weights === null) {
+            return { error: 'weights must be an object' };
+        }
+
+        for (const signal of Object.keys(update.weights)) {
+            if (!SIGNALS.includes(signal)) {
+                return { error: `Unknown weight "${signal}". Use: ${SIGNALS.join(', ')}` };
+            }
+            if (!isNonNegativeNumber(update.weights[signal])) {
+                return { error: `Weight "${signal}" must be a non-negative number` };
+            }
+            settings.weights[signal] = update.weights[signal];
+        }
+    }
+
+    return { settings };
+}
+
+function decay(ageDays, halfLifeDays) {
+    return Math.pow(0.5, ageDays / halfLifeDays);
+}
+
+// Sum of decayed events, given as dates, that fall inside the window
+function decayedEvents(dates, settings, now) {
+    return dates.reduce((sum, date) => {
+        const ageDays = (now - new Date(date)) / DAY;
+        if (isNaN(ageDays) || ageDays < 0 || ageDays > settings.windowDays) return sum;
+        return sum + decay(ageDays, settings.halfLifeDays);
+    }, 0);
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Score one series. The input holds its view counter, episode release dates, favorite
+// dates and a rating between 0 and 1. The rating only counts for series with recent
+// activity, so a well rated but inactive series doesn't trend.
+function scoreSeries({ viewCounter, episodeDates = [], favoriteDates = [], rating = 0 }, settings, now = new Date()) {
+    const { weights, windowDays, halfLifeDays } = settings;
+
+    const views = dailyCounts(viewCounter, windowDays, now)
+        .reduce((sum, count, ageDays) => sum + count * decay(ageDays, halfLifeDays), 0);
+    const episodes = decayedEvents(episodeDates, settings, now);
+    const favorites = decayedEvents(favoriteDates, settings, now);
+    const isActive = views > 0 || episodes > 0 || favorites > 0;
+
+    const breakdown = {
+        views: round(views * weights.views),
+        episodes: round(episodes * weights.episodes),
+        favorites: round(favorites * weights.favorites),
+        rating: isActive ? round(rating * weights.rating) : 0
+    };
+
+    return {
+        score: round(SIGNALS.reduce((sum, signal) => sum + breakdown[signal], 0)),
+        breakdown
+    };
+}
+
+// Rank series for the trending list. Each entry is { anime, ...scoreSeries input }.
+// Returns [{ anime, score, breakdown, pinned }]
+function rankTrending(entries, settings, now = new Date()) {
+    const pinnedIds = settings.manualTrending;
+
+    if (settings.mode === 'manual') {
+        return pinnedIds
+            .map(id => entries.find(entry => entry.anime.id === id))
+            .filter(Boolean)
+            .slice(0, settings.maxItems)
+            .map(entry => ({ anime: entry.anime, score: null, breakdown: null, pinned: true }));
+    }
+
+    const scored = entries
+        .map(entry => ({ anime: entry.anime, ...scoreSeries(entry, settings, now), pinned: false }))
+        .sort((a, b) => (b.score - a.score) || ((b.anime.views || 0) - (a.anime.views || 0)));
+
+    if (!settings.blendManual) {
+        return scored.slice(0, settings.maxItems);
+    }
+
+    const pinned = pinnedIds
+        .map(id => scored.find(item => item.anime.id === id))
+        .filter(Boolean)
+        .map(item => ({ ...item, pinned: true }));
+
+    return [...pinned, ...scored.filter(item => !pinnedIds.includes(item.anime.id))]
+        .slice(0, settings.maxItems);
+}
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    normalizeSettings,
+    updateSettings,
+    scoreSeries,
+    rankTrending
+};
@@ -0,0 +1,185 @@
+// Resumable chunked uploads for large episode files
+// A client opens a session for a file, sends it in fixed-size chunks in any order (each with
+// a SHA-256 checksum), can ask which chunks are still missing after a dropped connection, and
+// completes the session once every chunk has arrived. Chunks are written straight into place
+// in a .part file, so completing a session is just a rename.
+//   { id, animeId, episodeNumber, filename, size, chunkSize, totalChunks, received: [index],
+//     title, description, draft, publishAt, userId, dateAdded, dateUpdated }
+// draft and publishAt are only there when they were sent, and are applied to the episode
+// when the session is completed.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024;
+const MIN_CHUNK_SIZE = 256 * 1024;
+const MAX_CHUNK_SIZE = 32 * 1024 * 1024;
+const MAX_FILE_SIZE = 20 * 1024 * 1024 * 1024;
+// Sessions nobody has sent a chunk to for this long are thrown away
+const SESSION_TTL = 24 * 60 * 60 * 1000;
+
+function getPartPath(dir, session) {
+    return path.join(dir, `${session.id}.part`);
+}
+
+// Open an upload session. Returns { session } or { error }
+function createSession(dir, { animeId, episodeNumber, filename, size, chunkSize, title, description, draft, publishAt, userId }, allowedExtensions, now = new Date()) {
+    const fileSize = Number(size);
+    const ext = path.extname(String(filename || '')).toLowerCase();
+
+    if (typeof episodeNumber !== 'number' || isNaN(episodeNumber)) {
+        return { error: 'Invalid episode number' };
+    }
+    if (!allowedExtensions.includes(ext)) {
+        return { error: `Only video files are allowed (${allowedExtensions.join(', ')})` };
+    }
+    if (!Number.isInteger(fileSize) || fileSize < 1 || fileSize > MAX_FILE_SIZE) {
+        return { error: `File size must be between 1 byte and ${MAX_FILE_SIZE / 1024 / 1024 / 1024} GB` };
+    }
+
+    const chunkBytes = chunkSize === undefined ? DEFAULT_CHUNK_SIZE : Number(chunkSize);
+    if (!Number.isInteger(chunkBytes) || chunkBytes < MIN_CHUNK_SIZE || chunkBytes > MAX_CHUNK_SIZE) {
+        return { error: `Chunk size must be between ${MIN_CHUNK_SIZE} and ${MAX_CHUNK_SIZE} bytes` };
+    }
+
+    const session = {
+        id: crypto.randomBytes(16).toString('hex'),
+        animeId,
+        episodeNumber,
+        filename: path.basename(String(filename)),
+        extension: ext,
+        size: fileSize,
+        chunkSize: chunkBytes,
+        totalChunks: Math.ceil(fileSize / chunkBytes),
+        received: [],
+        title: title || '',
+        description: description || '',
+        draft: typeof draft === 'boolean' ? draft : undefined,
+        publishAt: publishAt === undefined ? undefined : publishAt,
+        userId: userId || null,
+        dateAdded: now.toISOString(),
+        dateUpdated: now.toISOString()
+    };
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(getPartPath(dir, session), '');
+
+    return { session };
+}
+
+// Write one chunk into the session's .part file. Sending a chunk again overwrites it,
+// so retrying after a timeout is always safe. Returns { session } or { error, status }
+function writeChunk(dir, session, index, data, checksum, now = new Date()) {
+    if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+        return { error: `Chunk index must be from 0 to ${session.totalChunks - 1}`, status: 400 };
+    }
+
+    const expectedSize = index === session.totalChunks - 1
+        ? session.size - index * session.chunkSize
+        : session.chunkSize;
+
+    if (!Buffer.isBuffer(data) || data.length !== expectedSize) {
+        return { error: `Chunk ${index} must be ${expectedSize} bytes`, status: 400 };
+    }
+
+    const actual = crypto.createHash('sha256').update(data).digest('hex');
+    if (!checksum || String(checksum).toLowerCase() !== actual) {
+        return { error: `Checksum mismatch for chunk ${index}`, status: 422 };
+    }
+
+    const fd = fs.openSync(getPartPath(dir, session), 'r+');
+    try {
+        fs.writeSync(fd, data, 0, data.length, index * session.chunkSize);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    if (!session.received.includes(index)) {
+        session.received.push(index);
+        session.received.sort((a, b) => a - b);
+    }
+    session.dateUpdated = now.toISOString();
+
+    return { session };
+}
+
+function missingChunks(session) {
+    const received = new Set(session.received);
+    const missing = [];
+
+    for (let index = 0; index < session.totalChunks; index++) {
+        if (!received.has(index)) missing.push(index);
+    }
+
+    return missing;
+}
+
+// Move the finished file to its destination. Returns { error } if chunks are missing
+function completeSession(dir, session, destination) {
+    const missing = missingChunks(session);
+
+    if (missing.length > 0) {
+        return { error: `${missing.length} chunks are still missing`, missing };
+    }
+
+    const partPath = getPartPath(dir, session);
+    if (fs.statSync(partPath).size !== session.size) {
+        return { error: 'The assembled file has the wrong size' };
+    }
+
+    fs.mkdirSync(path.dirname(destination), { recursive: true });
+    fs.renameSync(partPath, destination);
+    return {};
+}
+
+function removeSession(dir, session) {
+    fs.rmSync(getPartPath(dir, session), { force: true });
+}
+
+// Drop sessions that have been idle for too long, along with their .part files.
+// Returns the remaining sessions
+function pruneSessions(dir, sessions, now = new Date()) {
+    const remaining = {};
+
+    Object.values(sessions).forEach(session => {
+        if (now - new Date(session.dateUpdated) > SESSION_TTL) {
+            removeSession(dir, session);
+        } else {
+            remaining[session.id] = session;
+        }
+    });
+
+    return remaining;
+}
+
+// Session details for the client, with what is left to send
+function publicSession(session) {
+    const missing = missingChunks(session);
+
+    return {
+        id: session.id,
+        animeId: session.animeId,
+        episodeNumber: session.episodeNumber,
+        filename: session.filename,
+        size: session.size,
+        chunkSize: session.chunkSize,
+        totalChunks: session.totalChunks,
+        receivedChunks: session.received.length,
+        missing,
+        bytesReceived: session.size - missing.reduce((total, index) =>
+            total + (index === session.totalChunks - 1 ? session.size - index * session.chunkSize : session.chunkSize), 0),
+        dateAdded: session.dateAdded,
+        dateUpdated: session.dateUpdated
+    };
+}
+
+module.exports = {
+    MAX_CHUNK_SIZE,
+    createSession,
+    writeChunk,
+    completeSession,
+    removeSession,
+    pruneSessions,
+    publicSession
+};
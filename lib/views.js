@@ -0,0 +1,108 @@
+// View counters with day and month buckets, plus per-client deduplication
+// A counter looks like { total, days: { '2025-03-14': 12 }, months: { '2025-03': 40 } }.
+// Day buckets are kept long enough to answer the rolling windows; month buckets are kept forever.
+
+const DAY = 24 * 60 * 60 * 1000;
+const DAY_BUCKETS_KEPT = 90;
+
+function dayKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function monthKey(date) {
+    return date.toISOString().slice(0, 7);
+}
+
+function createCounter() {
+    return { total: 0, days: {}, months: {} };
+}
+
+// Drop day buckets that are too old to be part of any window
+function pruneCounter(counter, now = new Date()) {
+    const oldest = dayKey(new Date(now.getTime() - DAY_BUCKETS_KEPT * DAY));
+
+    Object.keys(counter.days).forEach(day => {
+        if (day < oldest) {
+            delete counter.days[day];
+        }
+    });
+}
+
+// Count one view
+function recordView(counter, now = new Date()) {
+    const day = dayKey(now);
+    const month = monthKey(now);
+
+    counter.total = (counter.total || 0) + 1;
+    counter.days = counter.days || {};
+    counter.months = counter.months || {};
+    counter.days[day] = (counter.days[day] || 0) + 1;
+    counter.months[month] = (counter.months[month] || 0) + 1;
+
+    pruneCounter(counter, now);
+    return counter;
+}
+
+// Views per day over the last `days` days; index 0 is today, 1 yesterday, ...
+function dailyCounts(counter, days, now = new Date()) {
+    const counts = [];
+    for (let i = 0; i < days; i++) {
+        const day = dayKey(new Date(now.getTime() - i * DAY));
+        counts.push(counter && counter.days ? counter.days[day] || 0 : 0);
+    }
+    return counts;
+}
+
+// Views over the last `days` days, today included
+function countSince(counter, days, now = new Date()) {
+    return dailyCounts(counter, days, now).reduce((sum, count) => sum + count, 0);
+}
+
+// Summary used in API responses
+function summarizeCounter(counter, now = new Date()) {
+    return {
+        total: counter ? counter.total || 0 : 0,
+        day: countSince(counter, 1, now),
+        week: countSince(counter, 7, now),
+        month: countSince(counter, 30, now)
+    };
+}
+
+// Remembers who has been counted recently, so reloads and seeking don't inflate views
+function createViewDeduper(windowMs) {
+    const lastSeen = new Map();
+
+    function prune(now) {
+        lastSeen.forEach((time, key) => {
+            if (now - time >= windowMs) {
+                lastSeen.delete(key);
+            }
+        });
+    }
+
+    return {
+        // Returns true (and remembers the key) if it hasn't been seen within the window
+        shouldCount(key, now = Date.now()) {
+            if (lastSeen.size > 10000) {
+                prune(now);
+            }
+
+            const time = lastSeen.get(key);
+            if (time !== undefined && now - time < windowMs) {
+                return false;
+            }
+
+            lastSeen.set(key, now);
+            return true;
+        }
+    };
+}
+
+module.exports = {
+    createCounter,
+    recordView,
+    dailyCounts,
+    countSince,
+    summarizeCounter,
+    createViewDeduper
+};
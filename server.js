@@ -4,37 +4,74 @@ const fs = require('fs');
 const path = require('path');
 const multer = require('multer');
 const bodyParser = require('body-parser');
+const crypto = require('crypto');
+const { ROLES, hashPassword, verifyPassword, publicUser, createAuth } = require('./lib/auth');
+const { createStorage } = require('./lib/storage');
+const { createSearchIndex } = require('./lib/search');
+const { createCounter, recordView, summarizeCounter, createViewDeduper } = require('./lib/views');
+const { normalizeLibrary, addFavorite, removeFavorite, recordProgress, getContinueWatching, updatePreferences, mergeLocalData } = require('./lib/library');
+const { createRateLimiter } = require('./lib/rate-limit');
+const { MAX_RATING, STATUSES: REVIEW_STATUSES, validateReview, upsertReview, summarizeRatings, publicReview } = require('./lib/reviews');
+const { STATUSES: COMMENT_STATUSES, validateComment, addComment, reportComment, moderateComment, needsReview, getThreads, removeComment, publicComment, moderationComment } = require('./lib/comments');
+const { LANGUAGES: SUBTITLE_LANGUAGES, FORMATS: SUBTITLE_FORMATS, convertToVtt } = require('./lib/subtitles');
+const { MASTER_PLAYLIST, createTranscodeQueue } = require('./lib/transcode');
+const { VIDEO_TYPES, resolveMediaPath, sendMedia } = require('./lib/streaming');
+const { getSourceKey, createLinkChecker } = require('./lib/linkcheck');
+const { IMPORTERS, parseEpisodes, planImport, applyImport } = require('./lib/importers');
+const { DUPLICATE_ACTIONS, parseAnimeRows, planAnimeImport, applyAnimeImport, summarizeAnimeImport } = require('./lib/anime-import');
+const { isLocalSource, nextServerId, normalizeServer, normalizeServers, setServerUrl, sourcesToServers, migrateEpisode } = require('./lib/sources');
+const { parseEpisodeNumber, sortEpisodes, updateEpisodeCounts, normalizeEpisodeFields, publishEpisode, checkPublishing, setPublishing, planRenumber } = require('./lib/episodes');
+const { createPublisher } = require('./lib/publisher');
+const { MAX_CHUNK_SIZE, createSession: createUploadSession, writeChunk, completeSession: completeUploadSession, removeSession: removeUploadSession, pruneSessions: pruneUploadSessions, publicSession: publicUploadSession } = require('./lib/uploads');
+const { ANIME_SCHEMA, SCHEDULE_SCHEMA, SCHEDULE_OVERRIDE_SCHEMA, validate, validationError } = require('./lib/schema');
+const { DEFAULT_TIMEZONE, isValidTimezone, zonedTimeToDate, toLocalDate, isValidDate, addDays, getWeekStart, migrateEntry: migrateScheduleEntry, normalizeEntry: normalizeScheduleEntry, normalizeOverride: normalizeScheduleOverride, findConflict: findScheduleConflict, getAirings, getNextAiring, findEpisodeAiring, getSeasonEnd } = require('./lib/schedule');
+const { RELATION_TYPES, normalizeRelations, setRelations, normalizeFranchise, findFranchise, getNextEntry, removeAnime: removeAnimeRelations } = require('./lib/relations');
+const { ACTIONS: AUDIT_ACTIONS, ENTITIES: AUDIT_ENTITIES, getAuditKey, createAuditEntry, diffEpisodeLists, filterEntries: filterAuditEntries } = require('./lib/audit');
+const { buildCalendar, getLatestDate, buildRss, buildAtom } = require('./lib/feeds');
+const { readStoredCatalog, writeArchive, importArchive, isSnapshotName, listSnapshots, takeSnapshot } = require('./lib/backup');
+const { createTrashItem, getExpiredItems: getExpiredTrashItems, restoreScheduleItems } = require('./lib/trash');
+const { normalizeSettings: normalizeTrendingSettings, updateSettings: updateTrendingSettings, rankTrending } = require('./lib/trending');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Guests are told apart by IP address for view counts, favorites, ratings and rate limits
+// (see getVisitorKey). Behind a reverse proxy every request comes from the proxy, so set
+// TRUST_PROXY to have req.ip taken from X-Forwarded-For: the number of proxies in front of
+// the app (like 1), or the addresses and subnets to trust ("loopback", "10.0.0.0/8, ::1")
+const TRUST_PROXY = (process.env.TRUST_PROXY || '').trim();
+if (TRUST_PROXY && TRUST_PROXY !== 'false') {
+    app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY) : TRUST_PROXY);
+}
+
 // Set up middleware
 app.use(bodyParser.json());
-app.use(express.static(path.join(__dirname, 'public')));
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
+// Local media is only ever served from here, whatever an episode's stored paths say
+const UPLOADS_DIR = path.join(__dirname, 'uploads');
+// Uploads in progress, both multer's and chunked upload sessions, until they are moved into place
+const UPLOAD_TEMP_DIR = path.join(UPLOADS_DIR, '.partial');
+
+// Configure multer for file uploads. Files are saved under a temporary name, because the
+// episodeNumber field may come after the file in the form and isn't parsed yet at this point
+const uploadStorage = multer.diskStorage({
     destination: function (req, file, cb) {
-        const animeId = req.params.animeId;
-        const uploadDir = path.join(__dirname, 'uploads', animeId);
-        
         // Create directory if it doesn't exist
-        if (!fs.existsSync(uploadDir)) {
-            fs.mkdirSync(uploadDir, { recursive: true });
+        if (!fs.existsSync(UPLOAD_TEMP_DIR)) {
+            fs.mkdirSync(UPLOAD_TEMP_DIR, { recursive: true });
         }
         
-        cb(null, uploadDir);
+        cb(null, UPLOAD_TEMP_DIR);
     },
     filename: function (req, file, cb) {
-        const episodeNumber = req.body.episodeNumber;
-        const fileExt = path.extname(file.originalname);
-        cb(null, `episode_${episodeNumber}${fileExt}`);
+        const fileExt = path.extname(file.originalname).toLowerCase();
+        cb(null, `${crypto.randomBytes(16).toString('hex')}${fileExt}`);
     }
 });
 
 const upload = multer({
-    storage: storage,
+    storage: uploadStorage,
     limits: { fileSize: 500 * 1024 * 1024 }, // 500MB limit
     fileFilter: function (req, file, cb) {
         // Accept only video files
@@ -46,809 +83,3398 @@ const upload = multer({
     }
 });
 
-// Data storage paths
+// Subtitle files are small, so they are kept in memory until they have been converted to WebVTT
+const subtitleUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 2 * 1024 * 1024 }, // 2MB limit
+    fileFilter: function (req, file, cb) {
+        if (SUBTITLE_FORMATS[path.extname(file.originalname).toLowerCase()]) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only SRT, ASS/SSA and VTT subtitle files are allowed!'));
+        }
+    }
+});
+
+// Anime imports are parsed from memory. A file can be bigger than the JSON body limit
+const animeImportUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
+});
+
+// Data storage
 const DATA_DIR = path.join(__dirname, 'data');
-const ANIMES_FILE = path.join(DATA_DIR, 'animes.json');
-const EPISODES_DIR = path.join(DATA_DIR, 'episodes');
-const TRENDING_FILE = path.join(DATA_DIR, 'trending.json');
-const SCHEDULE_FILE = path.join(DATA_DIR, 'schedule.json');
+const storage = createStorage({
+    backend: process.env.STORAGE_BACKEND || 'json',
+    dataDir: DATA_DIR
+});
 
-// Ensure data directories exist
-if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+// Search index over the catalog, reloaded whenever the anime list changes
+const searchIndex = createSearchIndex({ load: () => readAnimes() });
 
-if (!fs.existsSync(EPISODES_DIR)) {
-    fs.mkdirSync(EPISODES_DIR, { recursive: true });
-}
+// Repeat plays of the same episode by the same client within this window count once
+const VIEW_DEDUP_WINDOW = 6 * 60 * 60 * 1000;
+const viewDeduper = createViewDeduper(VIEW_DEDUP_WINDOW);
 
-// Create empty files if they don't exist
-if (!fs.existsSync(ANIMES_FILE)) {
-    fs.writeFileSync(ANIMES_FILE, JSON.stringify([]), 'utf8');
-}
+// Anyone can create a viewer account unless ALLOW_REGISTRATION=false
+const REGISTRATION_OPEN = process.env.ALLOW_REGISTRATION !== 'false';
+const registrationLimiter = createRateLimiter({ limit: 5, windowMs: 60 * 60 * 1000 });
+const reviewLimiter = createRateLimiter({ limit: 10, windowMs: 60 * 60 * 1000 });
+const commentLimiter = createRateLimiter({ limit: 5, windowMs: 60 * 1000 });
+const reportLimiter = createRateLimiter({ limit: 20, windowMs: 60 * 60 * 1000 });
 
-if (!fs.existsSync(TRENDING_FILE)) {
-    fs.writeFileSync(TRENDING_FILE, JSON.stringify({
-        mode: 'auto',
-        maxItems: 10,
-        manualTrending: []
-    }), 'utf8');
-}
+// Uploaded videos are transcoded to HLS in the background. Set FFMPEG_PATH/FFPROBE_PATH
+// if the binaries aren't on the PATH
+const transcodeQueue = createTranscodeQueue({
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+    ffprobePath: process.env.FFPROBE_PATH || 'ffprobe',
+    rootDir: __dirname,
+    loadJobs: () => readData('transcodes', []),
+    saveJobs: jobs => writeData('transcodes', jobs),
+    onComplete: job => storage.transaction(() => {
+        const episodes = readEpisodes(job.animeId);
+        const episode = episodes.find(ep => ep.episodeNumber === job.episodeNumber);
+        if (!episode) return;
 
-if (!fs.existsSync(SCHEDULE_FILE)) {
-    fs.writeFileSync(SCHEDULE_FILE, JSON.stringify([]), 'utf8');
-}
+        episode.hls = {
+            source: job.input,
+            path: path.join(job.output, MASTER_PLAYLIST),
+            renditions: job.renditions,
+            dateAdded: new Date().toISOString()
+        };
+        writeEpisodes(job.animeId, episodes);
+    })
+});
 
-// Helper functions
-function readAnimes() {
+// Episode sources are checked for dead links every SOURCE_CHECK_INTERVAL_MINUTES (0 turns it off)
+const SOURCE_CHECK_INTERVAL = parseInt(process.env.SOURCE_CHECK_INTERVAL_MINUTES || '360') * 60 * 1000;
+
+// Deleted anime stay in the trash for TRASH_RETENTION_DAYS before they and their media are
+// purged. The trash is checked for expired items every hour
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30');
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000;
+
+// Snapshots of the catalog (without uploads) are saved to BACKUP_DIR every
+// SNAPSHOT_INTERVAL_HOURS (0 turns them off) and before every import, and the newest
+// SNAPSHOT_KEEP are kept. Whether one is due is checked every hour, so restarts don't put
+// them off
+const BACKUP_DIR = process.env.BACKUP_DIR ? path.resolve(process.env.BACKUP_DIR) : path.join(__dirname, 'backups');
+const SNAPSHOT_INTERVAL = parseFloat(process.env.SNAPSHOT_INTERVAL_HOURS || '24') * 60 * 60 * 1000;
+const SNAPSHOT_KEEP = parseInt(process.env.SNAPSHOT_KEEP || '14');
+const SNAPSHOT_CHECK_INTERVAL = 60 * 60 * 1000;
+
+// Release times are entered in SCHEDULE_TIMEZONE (Asia/Manila if unset or not a valid IANA
+// timezone) unless an entry says otherwise, and the dates of schedule queries are days in it.
+// Schedule ranges are limited to MAX_SCHEDULE_DAYS
+const SCHEDULE_TIMEZONE = isValidTimezone(process.env.SCHEDULE_TIMEZONE || '') ? process.env.SCHEDULE_TIMEZONE : DEFAULT_TIMEZONE;
+const MAX_SCHEDULE_DAYS = 62;
+
+// Feeds link back to the site at SITE_URL (like https://example.com), or at the host the
+// request came in on if it isn't set (see getSiteUrl). The calendar feed has the airings of
+// the last CALENDAR_PAST_DAYS and the next CALENDAR_FUTURE_DAYS days, and episode feeds the
+// latest FEED_ITEMS episodes
+const SITE_URL = /^https?:\/\/[^/]+/i.test(process.env.SITE_URL || '') ? process.env.SITE_URL.replace(/\/+$/, '') : null;
+const CALENDAR_PAST_DAYS = 28;
+const CALENDAR_FUTURE_DAYS = 182;
+// Airings have no length, so calendar events get one about as long as an episode
+const CALENDAR_EVENT_MINUTES = 30;
+const FEED_ITEMS = 50;
+
+// Draft episodes with a publishAt time are published by this, see publishScheduledEpisode
+const episodePublisher = createPublisher({
+    loadJobs: () => readData('publish-jobs', []),
+    saveJobs: jobs => writeData('publish-jobs', jobs),
+    publish: job => publishScheduledEpisode(job)
+});
+
+const linkChecker = createLinkChecker({
+    listSources: () => readAnimes().flatMap(anime => readEpisodes(anime.id).flatMap(episode =>
+        (episode.servers || [])
+            .filter(server => server.enabled)
+            .map(server => ({ animeId: anime.id, episodeNumber: episode.episodeNumber, server: server.id, url: server.url })))),
+    loadResults: readSourceHealth,
+    saveResults: writeSourceHealth,
+    checkLocal: storedPath => {
+        const localPath = resolveMediaPath(__dirname, storedPath, UPLOADS_DIR);
+        if (!localPath) return { ok: false, error: 'Path is outside the uploads directory' };
+        return fs.existsSync(localPath) ? { ok: true } : { ok: false, error: 'File not found' };
+    }
+});
+
+
+// Read a document, falling back to a default if it is missing or unreadable
+function readData(key, defaultValue) {
     try {
-        const data = fs.readFileSync(ANIMES_FILE, 'utf8');
-        return JSON.parse(data);
+        return storage.get(key, defaultValue);
     } catch (error) {
-        console.error('Error reading animes file:', error);
-        return [];
+        console.error(`Error reading ${key}:`, error);
+        return defaultValue;
     }
 }
 
-function writeAnimes(animes) {
+// Write a document. Inside a transaction the write is buffered until commit
+function writeData(key, value) {
     try {
-        fs.writeFileSync(ANIMES_FILE, JSON.stringify(animes, null, 2), 'utf8');
+        storage.set(key, value);
         return true;
     } catch (error) {
-        console.error('Error writing animes file:', error);
+        console.error(`Error writing ${key}:`, error);
         return false;
     }
 }
 
-function getEpisodesFile(animeId) {
-    return path.join(EPISODES_DIR, `${animeId}.json`);
+// Wrap a route handler so all of its reads and writes run in one storage transaction.
+// The JSON response is held back until the transaction has committed, so the client
+// never sees a success for changes that didn't make it to disk. Changes to files are
+// queued with afterCommit and only made once it has.
+function transactional(handler) {
+    return (req, res, next) => {
+        const sendJson = res.json.bind(res);
+        let pendingBody;
+        let hasPendingBody = false;
+
+        res.json = body => {
+            pendingBody = body;
+            hasPendingBody = true;
+            return res;
+        };
+        res.locals.afterCommit = [];
+
+        try {
+            storage.transaction(() => handler(req, res, next));
+        } catch (error) {
+            console.error(`Storage transaction failed for ${req.method} ${req.originalUrl}:`, error);
+            res.json = sendJson;
+            res.locals.afterCommit = null;
+            return res.status(500).json({ error: 'Failed to save changes' });
+        }
+
+        const actions = res.locals.afterCommit;
+        res.locals.afterCommit = null;
+        actions.forEach(action => {
+            try {
+                action();
+            } catch (error) {
+                console.error(`Error after saving ${req.method} ${req.originalUrl}:`, error);
+            }
+        });
+
+        res.json = sendJson;
+        if (hasPendingBody) {
+            sendJson(pendingBody);
+        }
+    };
 }
 
-function readEpisodes(animeId) {
-    const episodesFile = getEpisodesFile(animeId);
-    
-    if (!fs.existsSync(episodesFile)) {
-        fs.writeFileSync(episodesFile, JSON.stringify([]), 'utf8');
-        return [];
+// Run fn once the transaction of a transactional route has committed, for changes outside
+// storage (files) that must not happen if the data is rolled back. Outside a transactional
+// route it runs right away
+function afterCommit(res, fn) {
+    if (res.locals.afterCommit) {
+        res.locals.afterCommit.push(fn);
+    } else {
+        fn();
     }
+}
+
+// Helper functions
+function readAnimes() {
+    return readData('animes', []);
+}
+
+function writeAnimes(animes) {
+    const written = writeData('animes', animes);
     
-    try {
-        const data = fs.readFileSync(episodesFile, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.error(`Error reading episodes for anime ${animeId}:`, error);
-        return [];
-    }
+    // Rebuild the search index from committed data on the next search
+    searchIndex.markStale();
+    return written;
+}
+
+function getEpisodesKey(animeId) {
+    return `episodes/${animeId}`;
+}
+
+function readEpisodes(animeId) {
+    return readData(getEpisodesKey(animeId), []);
 }
 
+// Saving a series' episodes also updates the publishing jobs of its drafts
 function writeEpisodes(animeId, episodes) {
-    const episodesFile = getEpisodesFile(animeId);
+    if (!writeData(getEpisodesKey(animeId), episodes)) return false;
     
+    episodePublisher.syncAnime(animeId, episodes);
+    return true;
+}
+
+function deleteEpisodes(animeId) {
     try {
-        fs.writeFileSync(episodesFile, JSON.stringify(episodes, null, 2), 'utf8');
+        storage.remove(getEpisodesKey(animeId));
+        episodePublisher.syncAnime(animeId, []);
         return true;
     } catch (error) {
-        console.error(`Error writing episodes for anime ${animeId}:`, error);
+        console.error(`Error deleting episodes for anime ${animeId}:`, error);
         return false;
     }
 }
 
-function readTrending() {
-    try {
-        const data = fs.readFileSync(TRENDING_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.error('Error reading trending file:', error);
-        return { mode: 'auto', maxItems: 10, manualTrending: [] };
-    }
+// Series view counters, keyed by anime ID
+function readSeriesViews() {
+    return readData('views', {});
 }
 
-function writeTrending(trending) {
+function writeSeriesViews(views) {
+    return writeData('views', views);
+}
+
+// Episode view counters of one anime, keyed by episode number
+function getEpisodeViewsKey(animeId) {
+    return `views/${animeId}`;
+}
+
+function readEpisodeViews(animeId) {
+    return readData(getEpisodeViewsKey(animeId), {});
+}
+
+function writeEpisodeViews(animeId, views) {
+    return writeData(getEpisodeViewsKey(animeId), views);
+}
+
+function deleteViews(animeId) {
     try {
-        fs.writeFileSync(TRENDING_FILE, JSON.stringify(trending, null, 2), 'utf8');
+        const seriesViews = readSeriesViews();
+        delete seriesViews[animeId];
+        storage.set('views', seriesViews);
+        storage.remove(getEpisodeViewsKey(animeId));
         return true;
     } catch (error) {
-        console.error('Error writing trending file:', error);
+        console.error(`Error deleting views for anime ${animeId}:`, error);
         return false;
     }
 }
 
-function readSchedule() {
+// Favorites per anime, keyed by a hash of the client, with the date they were added
+function readFavorites() {
+    return readData('favorites', {});
+}
+
+function writeFavorites(favorites) {
+    return writeData('favorites', favorites);
+}
+
+// Reviews of one anime
+function getReviewsKey(animeId) {
+    return `reviews/${animeId}`;
+}
+
+function readReviews(animeId) {
+    return readData(getReviewsKey(animeId), []);
+}
+
+// Aggregate ratings per anime, kept up to date whenever reviews change
+function readRatings() {
+    return readData('ratings', {});
+}
+
+// Save the reviews of an anime and refresh its aggregate rating
+function writeReviews(animeId, reviews) {
+    const ratings = readRatings();
+    ratings[animeId] = summarizeRatings(reviews);
+    return writeData(getReviewsKey(animeId), reviews) && writeData('ratings', ratings);
+}
+
+function deleteReviews(animeId) {
     try {
-        const data = fs.readFileSync(SCHEDULE_FILE, 'utf8');
-        return JSON.parse(data);
+        const ratings = readRatings();
+        delete ratings[animeId];
+        storage.set('ratings', ratings);
+        storage.remove(getReviewsKey(animeId));
+        return true;
     } catch (error) {
-        console.error('Error reading schedule file:', error);
-        return [];
+        console.error(`Error deleting reviews for anime ${animeId}:`, error);
+        return false;
     }
 }
 
-function writeSchedule(schedule) {
+// Episode comments of one anime
+function getCommentsKey(animeId) {
+    return `comments/${animeId}`;
+}
+
+function readComments(animeId) {
+    return readData(getCommentsKey(animeId), []);
+}
+
+function writeComments(animeId, comments) {
+    return writeData(getCommentsKey(animeId), comments);
+}
+
+function deleteComments(animeId) {
     try {
-        fs.writeFileSync(SCHEDULE_FILE, JSON.stringify(schedule, null, 2), 'utf8');
+        storage.remove(getCommentsKey(animeId));
         return true;
     } catch (error) {
-        console.error('Error writing schedule file:', error);
+        console.error(`Error deleting comments for anime ${animeId}:`, error);
         return false;
     }
 }
 
-// Get trending animes based on current settings
-function getTrendingAnimes() {
-    const trending = readTrending();
-    const animes = readAnimes();
-    
-    if (trending.mode === 'manual') {
-        // Use manually selected trending animes
-        const trendingIds = trending.manualTrending;
-        return animes
-            .filter(anime => trendingIds.includes(anime.id))
-            .map(anime => ({
-                ...anime,
-                isTrending: true
-            }))
-            .slice(0, trending.maxItems);
-    } else {
-        // Auto mode - use views and rating
-        return animes
-            .map(anime => ({
-                ...anime,
-                trendingScore: (anime.views || 0) + (anime.rating || 0) * 100,
-                isTrending: Boolean(anime.isTrending)
-            }))
-            .sort((a, b) => b.trendingScore - a.trendingScore)
-            .slice(0, trending.maxItems);
-    }
+function readSourceHealth() {
+    return readData('source-health', {});
 }
 
-// Define API routes
-// Get all animes
-app.get('/api/animes', (req, res) => {
-    const animes = readAnimes();
-    // Add defaults for views and type if they don't exist
-    const animesWithDefaults = animes.map(anime => ({
-        ...anime,
-        views: anime.views || Math.floor(Math.random() * 1000),
-        type: anime.type || 'TV',
-        currentEpisode: anime.currentEpisode || anime.episodes || 0,
-        hasSubs: anime.hasSubs !== undefined ? anime.hasSubs : true,
-        hasAudio: anime.hasAudio !== undefined ? anime.hasAudio : true,
-        isTrending: anime.isTrending || false
-    }));
-    res.json(animesWithDefaults);
-});
+function writeSourceHealth(results) {
+    return writeData('source-health', results);
+}
 
-// Get anime by ID
-app.get('/api/animes/:id', (req, res) => {
-    const animeId = parseInt(req.params.id);
-    const animes = readAnimes();
-    const anime = animes.find(a => a.id === animeId);
+function readTrending() {
+    return normalizeTrendingSettings(readData('trending', {}));
+}
+
+function writeTrending(trending) {
+    return writeData('trending', trending);
+}
+
+function readSchedule() {
+    return readData('schedule', []).map(entry => migrateScheduleEntry(entry, SCHEDULE_TIMEZONE));
+}
+
+function writeSchedule(schedule) {
+    return writeData('schedule', schedule);
+}
+
+// Relations between entries, { [animeId]: [{ animeId, type }] }
+function readRelations() {
+    return readData('relations', {});
+}
+
+function writeRelations(relations) {
+    return writeData('relations', relations);
+}
+
+function readFranchises() {
+    return readData('franchises', []);
+}
+
+function writeFranchises(franchises) {
+    return writeData('franchises', franchises);
+}
+
+// Deleted anime waiting to be restored or purged
+function readTrash() {
+    return readData('trash', []);
+}
+
+function writeTrash(trash) {
+    return writeData('trash', trash);
+}
+
+// New anime never reuse the ID of one in the trash, since its episodes and other data are
+// still stored under that ID
+function nextAnimeId(animes) {
+    const ids = [...animes.map(a => a.id), ...readTrash().map(item => item.anime.id)];
+    return ids.length > 0 ? Math.max(...ids) + 1 : 1;
+}
+
+// Append an entry to the audit log. Called from inside a route's transaction, so the entry
+// is only kept if the change it records is saved too
+function recordAudit(user, change) {
+    const entry = createAuditEntry({ user, ...change });
+    const key = getAuditKey(new Date(entry.date));
+    const entries = readData(key, []);
     
-    if (!anime) {
-        return res.status(404).json({ error: 'Anime not found' });
+    entries.push(entry);
+    return writeData(key, entries);
+}
+
+// Record the episodes created, updated and deleted by a change, before it is written.
+// moves lists renumbered episodes, as planned by planRenumber
+function auditEpisodes(user, animeId, episodes, moves = []) {
+    diffEpisodeLists(readEpisodes(animeId), episodes, moves).forEach(change => {
+        recordAudit(user, {
+            action: change.action,
+            entity: 'episode',
+            entityId: change.episodeNumber,
+            animeId,
+            before: change.before,
+            after: change.after
+        });
+    });
+}
+
+function readUsers() {
+    return readData('users', []);
+}
+
+function writeUsers(users) {
+    return writeData('users', users);
+}
+
+// Viewer library (favorites, history, playback positions) of one user
+function getLibraryKey(userId) {
+    return `library/${userId}`;
+}
+
+function readLibrary(userId) {
+    return normalizeLibrary(readData(getLibraryKey(userId), null));
+}
+
+function writeLibrary(userId, library) {
+    return writeData(getLibraryKey(userId), library);
+}
+
+function readSessions() {
+    return readData('sessions', []);
+}
+
+function writeSessions(sessions) {
+    return writeData('sessions', sessions);
+}
+
+// Create the first admin account if there are no users yet
+function ensureAdminUser() {
+    const users = readUsers();
+    if (users.length > 0) return;
+
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    let password = process.env.ADMIN_PASSWORD;
+
+    if (!password) {
+        password = crypto.randomBytes(9).toString('base64url');
+        console.log(`Created admin account "${username}" with password: ${password}`);
+        console.log('Change it from the admin panel after logging in.');
     }
+
+    users.push({
+        id: 1,
+        username,
+        passwordHash: hashPassword(password),
+        role: 'admin',
+        dateAdded: new Date().toISOString()
+    });
+
+    writeUsers(users);
+}
+
+ensureAdminUser();
+
+// Episodes used to keep their sources as { server1: url, server2: url }. Convert any
+// still saved that way to the server list (see lib/sources.js)
+function migrateEpisodeServers() {
+    storage.transaction(() => {
+        let migrated = 0;
+        
+        storage.keys('episodes/').forEach(key => {
+            const episodes = readData(key, []);
+            let changed = false;
+            
+            episodes.forEach(episode => {
+                if (migrateEpisode(episode)) {
+                    changed = true;
+                    migrated++;
+                }
+            });
+            
+            if (changed) {
+                writeData(key, episodes);
+            }
+        });
+        
+        if (migrated > 0) {
+            console.log(`Migrated ${migrated} episodes to the server list format`);
+        }
+    });
+}
+
+migrateEpisodeServers();
+
+// View counters and ratings of every series, read once per request
+function readAnimeStats() {
+    return {
+        views: readSeriesViews(),
+        ratings: readRatings()
+    };
+}
+
+// Add defaults for fields older records may not have, the real view counts and the
+// viewers' rating (stats comes from readAnimeStats(), read once by the caller)
+function addAnimeDefaults(anime, stats) {
+    const viewStats = summarizeCounter(stats.views[anime.id]);
+    const rating = stats.ratings[anime.id] || { average: 0, count: 0 };
     
-    // Add defaults if they don't exist
-    const animeWithDefaults = {
+    return {
         ...anime,
-        views: anime.views || Math.floor(Math.random() * 1000),
+        views: viewStats.total,
+        viewStats,
+        rating: rating.average,
+        ratingCount: rating.count,
         type: anime.type || 'TV',
         currentEpisode: anime.currentEpisode || anime.episodes || 0,
         hasSubs: anime.hasSubs !== undefined ? anime.hasSubs : true,
         hasAudio: anime.hasAudio !== undefined ? anime.hasAudio : true,
         isTrending: anime.isTrending || false
     };
-    
-    res.json(animeWithDefaults);
-});
+}
 
-// Create new anime
-app.post('/api/animes', (req, res) => {
+// Get the most recently added or updated episodes across all series
+function getRecentEpisodes({ type, dub, sub, distinct } = {}) {
     const animes = readAnimes();
+    const stats = readAnimeStats();
+    const animesById = new Map(animes.map(anime => [anime.id, addAnimeDefaults(anime, stats)]));
+    const items = [];
     
-    // Generate new ID
-    const newId = animes.length > 0 ? Math.max(...animes.map(a => a.id)) + 1 : 1;
+    storage.keys('episodes/').forEach(key => {
+        const animeId = parseInt(key.split('/')[1]);
+        const anime = animesById.get(animeId);
+        if (!anime) return;
+        
+        if (type && anime.type.toLowerCase() !== type.toLowerCase()) return;
+        if (dub !== undefined && anime.hasAudio !== dub) return;
+        if (sub !== undefined && anime.hasSubs !== sub) return;
+        
+        readEpisodes(animeId).forEach(episode => {
+            const dateUpdated = episode.dateUpdated || episode.dateAdded;
+            if (!dateUpdated || episode.draft) return;
+            
+            items.push({
+                animeId,
+                episodeNumber: episode.episodeNumber,
+                title: episode.title || `Episode ${episode.episodeNumber}`,
+                dateAdded: episode.dateAdded,
+                dateUpdated,
+                isNew: !episode.dateUpdated || episode.dateUpdated === episode.dateAdded,
+                anime
+            });
+        });
+    });
     
-    const newAnime = {
-        id: newId,
-        ...req.body,
-        dateAdded: new Date().toISOString(),
-        views: req.body.views || Math.floor(Math.random() * 1000),
-        type: req.body.type || 'TV',
-        currentEpisode: 0
-    };
+    // Newest first; episodes added in the same batch show the highest number first
+    items.sort((a, b) => (new Date(b.dateUpdated) - new Date(a.dateUpdated)) || (b.episodeNumber - a.episodeNumber));
     
-    animes.push(newAnime);
+    if (!distinct) {
+        return items;
+    }
     
-    if (writeAnimes(animes)) {
-        // If anime is set as trending, update trending list
-        if (newAnime.isTrending) {
-            const trending = readTrending();
-            if (trending.mode === 'manual' && !trending.manualTrending.includes(newId)) {
-                trending.manualTrending.push(newId);
-                writeTrending(trending);
-            }
+    // Keep only the latest episode of each series
+    const seen = new Set();
+    return items.filter(item => {
+        if (seen.has(item.animeId)) return false;
+        seen.add(item.animeId);
+        return true;
+    });
+}
+
+// Get trending animes based on current settings. With includeBreakdown, each
+// anime also gets the weighted score of every signal
+function getTrendingAnimes({ includeBreakdown = false } = {}) {
+    const trending = readTrending();
+    const stats = readAnimeStats();
+    const favorites = readFavorites();
+    
+    const entries = readAnimes().map(anime => ({
+        anime: addAnimeDefaults(anime, stats),
+        viewCounter: stats.views[anime.id],
+        episodeDates: readEpisodes(anime.id).filter(episode => !episode.draft).map(episode => episode.dateUpdated || episode.dateAdded),
+        favoriteDates: Object.values(favorites[anime.id] || {}),
+        // Viewer rating on a 0-1 scale, damped for series with few votes
+        rating: stats.ratings[anime.id] && stats.ratings[anime.id].count > 0 ? stats.ratings[anime.id].weighted / MAX_RATING : 0
+    }));
+    
+    return rankTrending(entries, trending).map(({ anime, score, breakdown, pinned }) => {
+        const result = {
+            ...anime,
+            trendingScore: score,
+            isTrending: pinned || Boolean(anime.isTrending)
+        };
+        
+        if (includeBreakdown) {
+            result.trendingBreakdown = breakdown;
         }
         
-        res.status(201).json(newAnime);
-    } else {
-        res.status(500).json({ error: 'Failed to create anime' });
-    }
+        return result;
+    });
+}
+
+// Authentication
+const auth = createAuth({ readUsers, readSessions, writeSessions });
+const requireEditor = auth.requireRole('admin', 'editor');
+const requireAdmin = auth.requireRole('admin');
+const requireUser = auth.requireRole();
+
+// The admin page is registered before the static middleware so that
+// public/admin.html can't be fetched without logging in
+app.get(['/admin', '/admin.html'], auth.requirePageRole('admin', 'editor'), (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin.html'));
 });
 
-// Update anime
-app.put('/api/animes/:id', (req, res) => {
-    const animeId = parseInt(req.params.id);
-    const animes = readAnimes();
-    const animeIndex = animes.findIndex(a => a.id === animeId);
-    
-    if (animeIndex === -1) {
-        return res.status(404).json({ error: 'Anime not found' });
+app.use(express.static(path.join(__dirname, 'public')));
+
+// AUTH ENDPOINTS
+// Log in
+app.post('/api/auth/login', transactional((req, res) => {
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+        return res.status(400).json({ error: 'Username and password are required' });
     }
-    
-    // Keep the original dateAdded, views, and currentEpisode
-    const dateAdded = animes[animeIndex].dateAdded;
-    const views = animes[animeIndex].views || Math.floor(Math.random() * 1000);
-    const currentEpisode = animes[animeIndex].currentEpisode || 0;
-    
+
+    const result = auth.login(username, password, req.ip);
+
+    if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+    }
+
+    auth.setSessionCookie(req, res, result.token);
+    res.json({ success: true, token: result.token, user: publicUser(result.user) });
+}));
+
+// Log out
+app.post('/api/auth/logout', transactional((req, res) => {
+    auth.logout(req);
+    auth.clearSessionCookie(res);
+    res.json({ success: true, message: 'Logged out' });
+}));
+
+// Get the logged in user
+app.get('/api/auth/me', (req, res) => {
+    const user = auth.getSessionUser(req);
+
+    if (!user) {
+        return res.status(401).json({ error: 'Not logged in' });
+    }
+
+    res.json(publicUser(user));
+});
+
+// Create a viewer account and log in
+app.post('/api/auth/register', transactional((req, res) => {
+    if (!REGISTRATION_OPEN) {
+        return res.status(403).json({ error: 'Registration is closed' });
+    }
+
+    const { username, password } = req.body;
+
+    if (!username || !password) {
+        return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    if (!/^[A-Za-z0-9_.-]{3,32}$/.test(username)) {
+        return res.status(400).json({ error: 'Username must be 3-32 letters, numbers, dots, dashes or underscores' });
+    }
+
+    if (typeof password !== 'string') {
+        return res.status(400).json({ error: 'Password must be a string' });
+    }
+
+    if (password.length < 8) {
+        return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+
+    if (!registrationLimiter.hit(req.ip)) {
+        return res.status(429).json({ error: 'Too many accounts created. Please try again later.' });
+    }
+
+    const users = readUsers();
+
+    if (users.find(u => u.username.toLowerCase() === username.toLowerCase())) {
+        return res.status(400).json({ error: 'Username already exists' });
+    }
+
+    users.push({
+        id: users.length > 0 ? Math.max(...users.map(u => u.id)) + 1 : 1,
+        username,
+        passwordHash: hashPassword(password),
+        role: 'viewer',
+        dateAdded: new Date().toISOString()
+    });
+
+    if (!writeUsers(users)) {
+        return res.status(500).json({ error: 'Failed to create account' });
+    }
+
+    const result = auth.login(username, password, req.ip);
+
+    if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+    }
+
+    auth.setSessionCookie(req, res, result.token);
+    res.status(201).json({ success: true, token: result.token, user: publicUser(result.user) });
+}));
+
+// Change own password
+app.put('/api/auth/password', requireUser, transactional((req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    if (newPassword !== undefined && typeof newPassword !== 'string') {
+        return res.status(400).json({ error: 'New password must be a string' });
+    }
+
+    if (!newPassword || newPassword.length < 8) {
+        return res.status(400).json({ error: 'New password must be at least 8 characters' });
+    }
+
+    if (!verifyPassword(currentPassword, req.user.passwordHash)) {
+        return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const users = readUsers();
+    const userIndex = users.findIndex(u => u.id === req.user.id);
+
+    users[userIndex].passwordHash = hashPassword(newPassword);
+
+    if (!writeUsers(users)) {
+        return res.status(500).json({ error: 'Failed to update password' });
+    }
+
+    // Log out every other device, keep a fresh session for this one. The password was just
+    // checked, so the session is opened directly rather than through login and its lockout
+    auth.revokeUserSessions(req.user.id);
+    const result = auth.createSession(users[userIndex]);
+
+    if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+    }
+
+    auth.setSessionCookie(req, res, result.token);
+    res.json({ success: true, message: 'Password updated' });
+}));
+
+// USER ENDPOINTS
+// Get all users
+app.get('/api/users', requireAdmin, (req, res) => {
+    res.json(readUsers().map(publicUser));
+});
+
+// Create user
+app.post('/api/users', requireAdmin, transactional((req, res) => {
+    const { username, password, role } = req.body;
+
+    if (!username || !password) {
+        return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    if (typeof password !== 'string') {
+        return res.status(400).json({ error: 'Password must be a string' });
+    }
+
+    if (password.length < 8) {
+        return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+
+    if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const users = readUsers();
+
+    if (users.find(u => u.username.toLowerCase() === username.toLowerCase())) {
+        return res.status(400).json({ error: 'Username already exists' });
+    }
+
+    const newUser = {
+        id: users.length > 0 ? Math.max(...users.map(u => u.id)) + 1 : 1,
+        username,
+        passwordHash: hashPassword(password),
+        role,
+        dateAdded: new Date().toISOString()
+    };
+
+    users.push(newUser);
+
+    if (writeUsers(users)) {
+        res.status(201).json(publicUser(newUser));
+    } else {
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+}));
+
+// Update user role or reset password
+app.put('/api/users/:id', requireAdmin, transactional((req, res) => {
+    const userId = parseInt(req.params.id);
+    const users = readUsers();
+    const userIndex = users.findIndex(u => u.id === userId);
+
+    if (userIndex === -1) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { role, password } = req.body;
+
+    if (role !== undefined) {
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+        }
+
+        // Never leave the site without an admin
+        const otherAdmins = users.filter(u => u.role === 'admin' && u.id !== userId);
+        if (role !== 'admin' && otherAdmins.length === 0) {
+            return res.status(400).json({ error: 'Cannot remove the last admin' });
+        }
+
+        users[userIndex].role = role;
+    }
+
+    if (password !== undefined) {
+        if (typeof password !== 'string') {
+            return res.status(400).json({ error: 'Password must be a string' });
+        }
+        if (password.length < 8) {
+            return res.status(400).json({ error: 'Password must be at least 8 characters' });
+        }
+
+        users[userIndex].passwordHash = hashPassword(password);
+    }
+
+    if (writeUsers(users)) {
+        if (password !== undefined || role !== undefined) {
+            auth.revokeUserSessions(userId);
+        }
+
+        res.json(publicUser(users[userIndex]));
+    } else {
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+}));
+
+// Delete user
+app.delete('/api/users/:id', requireAdmin, transactional((req, res) => {
+    const userId = parseInt(req.params.id);
+    const users = readUsers();
+    const userIndex = users.findIndex(u => u.id === userId);
+
+    if (userIndex === -1) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (userId === req.user.id) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    const deletedUser = users.splice(userIndex, 1)[0];
+
+    if (writeUsers(users)) {
+        auth.revokeUserSessions(userId);
+        storage.remove(getLibraryKey(userId));
+        res.json(publicUser(deletedUser));
+    } else {
+        res.status(500).json({ error: 'Failed to delete user' });
+    }
+}));
+
+// LIBRARY ENDPOINTS
+// Everything under /api/me belongs to the logged in user, whatever their role
+
+// Library summary sent to the client after every change
+function libraryResponse(library) {
+    return {
+        favorites: library.favorites,
+        history: library.history,
+        continueWatching: getContinueWatching(library),
+        preferences: library.preferences
+    };
+}
+
+// Get the logged in user's favorites, history and preferences
+app.get('/api/me/library', requireUser, (req, res) => {
+    res.json(libraryResponse(readLibrary(req.user.id)));
+});
+
+// Merge favorites, history and preferences kept in the browser into the account
+app.post('/api/me/merge', requireUser, transactional((req, res) => {
+    const { favorites, recentlyWatched, preferences } = req.body;
+
+    if ((favorites !== undefined && !Array.isArray(favorites)) ||
+        (recentlyWatched !== undefined && !Array.isArray(recentlyWatched))) {
+        return res.status(400).json({ error: 'favorites and recentlyWatched must be arrays of anime IDs' });
+    }
+
+    const animeIds = new Set(readAnimes().map(a => a.id));
+    const library = mergeLocalData(readLibrary(req.user.id), {
+        favorites: (favorites || []).filter(id => animeIds.has(parseInt(id))),
+        recentlyWatched: (recentlyWatched || []).filter(id => animeIds.has(parseInt(id))),
+        preferences: preferences || {}
+    });
+
+    // Favorites that came from the browser count towards trending under the account now
+    library.favorites.forEach(favorite => setClientFavorite(favorite.animeId, `user:${req.user.id}`, true));
+
+    if (writeLibrary(req.user.id, library)) {
+        res.json(libraryResponse(library));
+    } else {
+        res.status(500).json({ error: 'Failed to merge library' });
+    }
+}));
+
+// Add an anime to favorites
+app.put('/api/me/favorites/:animeId', requireUser, transactional((req, res) => {
+    const animeId = parseInt(req.params.animeId);
+
+    if (!readAnimes().some(a => a.id === animeId)) {
+        return res.status(404).json({ error: 'Anime not found' });
+    }
+
+    const library = addFavorite(readLibrary(req.user.id), animeId);
+
+    if (writeLibrary(req.user.id, library) && setClientFavorite(animeId, `user:${req.user.id}`, true) !== null) {
+        res.json(libraryResponse(library));
+    } else {
+        res.status(500).json({ error: 'Failed to update favorites' });
+    }
+}));
+
+// Remove an anime from favorites
+app.delete('/api/me/favorites/:animeId', requireUser, transactional((req, res) => {
+    const animeId = parseInt(req.params.animeId);
+    const library = removeFavorite(readLibrary(req.user.id), animeId);
+
+    if (writeLibrary(req.user.id, library) && setClientFavorite(animeId, `user:${req.user.id}`, false) !== null) {
+        res.json(libraryResponse(library));
+    } else {
+        res.status(500).json({ error: 'Failed to update favorites' });
+    }
+}));
+
+// Clear watch history and playback positions
+app.delete('/api/me/history', requireUser, transactional((req, res) => {
+    const library = readLibrary(req.user.id);
+    library.history = [];
+    library.progress = {};
+
+    if (writeLibrary(req.user.id, library)) {
+        res.json(libraryResponse(library));
+    } else {
+        res.status(500).json({ error: 'Failed to clear history' });
+    }
+}));
+
+// Get the series the user stopped watching midway, with the anime attached
+app.get('/api/me/continue-watching', requireUser, (req, res) => {
+    const stats = readAnimeStats();
+    const animesById = new Map(readAnimes().map(anime => [anime.id, anime]));
+
+    const items = getContinueWatching(readLibrary(req.user.id))
+        .filter(entry => animesById.has(entry.animeId))
+        .map(entry => ({
+            ...entry,
+            anime: addAnimeDefaults(animesById.get(entry.animeId), stats)
+        }));
+
+    res.json(items);
+});
+
+// Get playback positions for every episode of an anime the user has started
+app.get('/api/me/progress/:animeId', requireUser, (req, res) => {
+    const animeId = parseInt(req.params.animeId);
+    const library = readLibrary(req.user.id);
+
+    res.json(Object.values(library.progress).filter(entry => entry.animeId === animeId));
+});
+
+// Save the playback position of an episode
+app.put('/api/me/progress/:animeId/:episode', requireUser, transactional((req, res) => {
+    const animeId = parseInt(req.params.animeId);
+    const episodeNumber = parseEpisodeNumber(req.params.episode);
+    const position = Number(req.body.position);
+    const duration = Number(req.body.duration);
+
+    if (!isFinite(position) || position < 0) {
+        return res.status(400).json({ error: 'Position must be a number of seconds' });
+    }
+
+    if (!findVisibleEpisode(req, animeId, episodeNumber)) {
+        return res.status(404).json({ error: 'Episode not found' });
+    }
+
+    const library = readLibrary(req.user.id);
+    const entry = recordProgress(library, {
+        animeId,
+        episodeNumber,
+        position,
+        duration: isFinite(duration) ? duration : null
+    });
+
+    if (writeLibrary(req.user.id, library)) {
+        res.json(entry);
+    } else {
+        res.status(500).json({ error: 'Failed to save progress' });
+    }
+}));
+
+// Update player and display preferences
+app.put('/api/me/preferences', requireUser, transactional((req, res) => {
+    const library = updatePreferences(readLibrary(req.user.id), req.body);
+
+    if (writeLibrary(req.user.id, library)) {
+        res.json(library.preferences);
+    } else {
+        res.status(500).json({ error: 'Failed to update preferences' });
+    }
+}));
+
+// Define API routes
+// Get all animes
+app.get('/api/animes', (req, res) => {
+    const animes = readAnimes();
+    const stats = readAnimeStats();
+    res.json(animes.map(anime => addAnimeDefaults(anime, stats)));
+});
+
+// Parse an optional true/false query parameter
+function parseBooleanParam(value) {
+    if (value === undefined || value === '') return undefined;
+    return value === 'true' || value === '1';
+}
+
+// Get recently added or updated episodes (declared before /api/animes/:id so it isn't shadowed)
+app.get('/api/animes/recent', (req, res) => {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 100);
+    
+    const items = getRecentEpisodes({
+        type: req.query.type,
+        dub: parseBooleanParam(req.query.dub),
+        sub: parseBooleanParam(req.query.sub),
+        distinct: parseBooleanParam(req.query.distinct)
+    });
+    
+    res.json({
+        page,
+        limit,
+        total: items.length,
+        totalPages: Math.ceil(items.length / limit),
+        items: items.slice((page - 1) * limit, page * limit)
+    });
+});
+
+// Search animes (declared before /api/animes/:id so it isn't shadowed)
+app.get('/api/animes/search', (req, res) => {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 24, 1), 100);
+    
+    const { total, results, facets } = searchIndex.search(req.query.q || '', {
+        genre: req.query.genre,
+        status: req.query.status,
+        type: req.query.type,
+        year: req.query.year
+    }, { page, limit });
+    const stats = readAnimeStats();
+    
+    res.json({
+        query: req.query.q || '',
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        results: results.map(result => ({
+            ...addAnimeDefaults(result.anime, stats),
+            searchScore: result.score
+        })),
+        facets
+    });
+});
+
+// Get anime by ID
+app.get('/api/animes/:id', (req, res) => {
+    const animeId = parseInt(req.params.id);
+    const animes = readAnimes();
+    const anime = animes.find(a => a.id === animeId);
+    
+    if (!anime) {
+        return res.status(404).json({ error: 'Anime not found' });
+    }
+    
+    res.json(addAnimeDefaults(anime, readAnimeStats()));
+});
+
+// Create new anime
+app.post('/api/animes', requireEditor, transactional((req, res) => {
+    const { value, errors } = validate(ANIME_SCHEMA, req.body);
+    
+    if (errors) {
+        return res.status(400).json(validationError(errors));
+    }
+    
+    const animes = readAnimes();
+    
+    // Generate new ID
+    const newId = nextAnimeId(animes);
+    
+    const newAnime = {
+        id: newId,
+        ...value,
+        dateAdded: new Date().toISOString(),
+        currentEpisode: 0
+    };
+    
+    animes.push(newAnime);
+    recordAudit(req.user, { action: 'create', entity: 'anime', entityId: newId, animeId: newId, after: newAnime });
+    
+    if (writeAnimes(animes)) {
+        // If anime is set as trending, update trending list
+        if (newAnime.isTrending) {
+            const trending = readTrending();
+            if ((trending.mode === 'manual' || trending.blendManual) && !trending.manualTrending.includes(newId)) {
+                trending.manualTrending.push(newId);
+                writeTrending(trending);
+            }
+        }
+        
+        res.status(201).json(newAnime);
+    } else {
+        res.status(500).json({ error: 'Failed to create anime' });
+    }
+}));
+
+// BULK ANIME IMPORT
+// Create anime from the rows of CSV or JSON content (see lib/anime-import). With dryRun
+// nothing is saved and the response shows what each row would do. Rows that fail are
+// reported and the others are still imported. Returns { status, body } for the route to send
+function importAnimes({ format, content, mapping, duplicates = 'skip', dryRun, user }) {
+    if (!DUPLICATE_ACTIONS.includes(duplicates)) {
+        return { status: 400, body: { error: `Duplicates must be one of: ${DUPLICATE_ACTIONS.join(', ')}` } };
+    }
+    
+    const parsed = parseAnimeRows(format, content, { mapping });
+    
+    if (parsed.error) {
+        return { status: 400, body: parsed };
+    }
+    
+    const animes = readAnimes();
+    const plan = planAnimeImport(animes, parsed.rows, { duplicates });
+    const summary = summarizeAnimeImport(plan);
+    const report = () => ({
+        columns: parsed.columns,
+        mapping: parsed.mapping,
+        summary,
+        rows: plan.map(({ value, ...item }) => item)
+    });
+    
+    if (dryRun) {
+        return { status: 200, body: { dryRun: true, ...report() } };
+    }
+    if (summary.failed === summary.rows) {
+        return { status: 400, body: { error: 'None of the rows could be imported', ...report() } };
+    }
+    
+    const changes = applyAnimeImport(animes, plan, { firstId: nextAnimeId(animes) });
+    
+    changes.forEach(change => recordAudit(user, {
+        action: change.action,
+        entity: 'anime',
+        entityId: change.after.id,
+        animeId: change.after.id,
+        before: change.before,
+        after: change.after
+    }));
+    
+    if (changes.length > 0 && !writeAnimes(animes)) {
+        return { status: 500, body: { error: 'Failed to save imported anime' } };
+    }
+    
+    return {
+        status: changes.length > 0 ? 201 : 200,
+        body: {
+            success: true,
+            message: `Added ${summary.created} and updated ${summary.updated} anime`,
+            ...report()
+        }
+    };
+}
+
+// Import anime (body: format, content, mapping: { field: column }, duplicates: skip or update,
+// dryRun). The content can also be sent as the "file" field of a form, when format may be
+// left out to take it from the file name, and mapping is sent as JSON text
+app.post('/api/animes/import', requireEditor, (req, res, next) => {
+    animeImportUpload.single('file')(req, res, error => {
+        if (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        next();
+    });
+}, transactional((req, res) => {
+    let mapping = req.body.mapping;
+    
+    if (typeof mapping === 'string') {
+        try {
+            mapping = mapping.trim() ? JSON.parse(mapping) : undefined;
+        } catch (error) {
+            return res.status(400).json({ error: 'Mapping must be a JSON object of field: column' });
+        }
+    }
+    
+    const result = importAnimes({
+        format: req.body.format || (req.file ? path.extname(req.file.originalname).slice(1).toLowerCase() : undefined),
+        content: req.file ? req.file.buffer.toString('utf8') : req.body.content,
+        mapping,
+        duplicates: req.body.duplicates || 'skip',
+        dryRun: req.body.dryRun === true || parseBooleanParam(req.body.dryRun) === true,
+        user: req.user
+    });
+    
+    res.status(result.status).json(result.body);
+}));
+
+// Update anime. A full update (PUT) replaces every editable field, missing ones getting their
+// default; a partial one (PATCH) only changes the fields that were sent
+function updateAnime(req, res, partial) {
+    const animeId = parseInt(req.params.id);
+    const animes = readAnimes();
+    const animeIndex = animes.findIndex(a => a.id === animeId);
+    
+    if (animeIndex === -1) {
+        return res.status(404).json({ error: 'Anime not found' });
+    }
+    
+    const { value, errors } = validate(ANIME_SCHEMA, req.body, { partial });
+    
+    if (errors) {
+        return res.status(400).json(validationError(errors));
+    }
+    
+    // Keep the original dateAdded and currentEpisode
+    const previous = animes[animeIndex];
+    const dateAdded = previous.dateAdded;
+    const currentEpisode = previous.currentEpisode || 0;
+    
     animes[animeIndex] = {
+        ...(partial ? previous : {}),
+        ...value,
+        id: animeId,
+        dateAdded: dateAdded,
+        currentEpisode: currentEpisode
+    };
+    recordAudit(req.user, { action: 'update', entity: 'anime', entityId: animeId, animeId, before: previous, after: animes[animeIndex] });
+    
+    if (writeAnimes(animes)) {
+        // Update trending status
+        const trending = readTrending();
+        if (trending.mode === 'manual' || trending.blendManual) {
+            const trendingIndex = trending.manualTrending.indexOf(animeId);
+            
+            if (animes[animeIndex].isTrending && trendingIndex === -1) {
+                trending.manualTrending.push(animeId);
+                writeTrending(trending);
+            } else if (!animes[animeIndex].isTrending && trendingIndex !== -1) {
+                trending.manualTrending.splice(trendingIndex, 1);
+                writeTrending(trending);
+            }
+        }
+        
+        res.json(animes[animeIndex]);
+    } else {
+        res.status(500).json({ error: 'Failed to update anime' });
+    }
+}
+
+app.put('/api/animes/:id', requireEditor, transactional((req, res) => updateAnime(req, res, false)));
+
+app.patch('/api/animes/:id', requireEditor, transactional((req, res) => updateAnime(req, res, true)));
+
+// Delete anime. It is moved to the trash, where it can be restored until it is purged
+app.delete('/api/animes/:id', requireAdmin, transactional((req, res) => {
+    const animeId = parseInt(req.params.id);
+    const animes = readAnimes();
+    const animeIndex = animes.findIndex(a => a.id === animeId);
+    
+    if (animeIndex === -1) {
+        return res.status(404).json({ error: 'Anime not found' });
+    }
+    
+    const deletedAnime = animes.splice(animeIndex, 1)[0];
+    
+    // Take it out of the schedule and trending while it is in the trash
+    const schedule = readSchedule();
+    const trending = readTrending();
+    const trendingIndex = trending.manualTrending.indexOf(animeId);
+    if (trendingIndex !== -1) {
+        trending.manualTrending.splice(trendingIndex, 1);
+    }
+    
+    const trash = readTrash();
+    const item = createTrashItem(trash, {
+        anime: deletedAnime,
+        schedule: schedule.filter(entry => entry.animeId === animeId),
+        trendingIndex,
+        user: req.user,
+        retentionDays: TRASH_RETENTION_DAYS
+    });
+    trash.push(item);
+    recordAudit(req.user, { action: 'delete', entity: 'anime', entityId: animeId, animeId, before: deletedAnime });
+    
+    if (writeAnimes(animes) && writeTrash(trash) && writeSchedule(schedule.filter(entry => entry.animeId !== animeId)) && writeTrending(trending)) {
+        res.json({ ...deletedAnime, trashId: item.id, purgeAfter: item.purgeAfter });
+    } else {
+        res.status(500).json({ error: 'Failed to delete anime' });
+    }
+}));
+
+// Remove an anime in the trash for good: its episodes and their media in uploads/, views,
+// reviews, comments, favorites, relations and source health results. Returns { removeFiles }
+// or { error, status }. The files are left for the caller to remove with removeFiles once
+// the transaction has committed
+function purgeAnime(item, user) {
+    const animeId = item.anime.id;
+    const episodes = readEpisodes(animeId);
+    
+    if (episodes.some(episode => transcodeQueue.isRunning(animeId, episode.episodeNumber))) {
+        return { error: 'An episode of this anime is being transcoded. Try again once it has finished', status: 409 };
+    }
+    
+    const favorites = readFavorites();
+    delete favorites[animeId];
+    
+    const relations = readRelations();
+    const franchises = readFranchises();
+    removeAnimeRelations(relations, franchises, animeId);
+    
+    const sourceHealth = readSourceHealth();
+    Object.keys(sourceHealth)
+        .filter(key => key.startsWith(`${animeId}:`))
+        .forEach(key => delete sourceHealth[key]);
+    
+    const trash = readTrash().filter(entry => entry.id !== item.id);
+    recordAudit(user, { action: 'purge', entity: 'anime', entityId: animeId, animeId, before: item.anime });
+    
+    if (!(deleteEpisodes(animeId) && deleteViews(animeId) && deleteReviews(animeId) && deleteComments(animeId) &&
+        writeFavorites(favorites) && writeRelations(relations) && writeFranchises(franchises) &&
+        writeSourceHealth(sourceHealth) && writeTrash(trash))) {
+        return { error: 'Failed to purge anime', status: 500 };
+    }
+    
+    episodes.forEach(episode => transcodeQueue.cancel(animeId, episode.episodeNumber));
+    
+    return {
+        removeFiles: () => {
+            episodes.forEach(episode => removeEpisodeMedia(episode, []));
+            fs.rm(path.join(UPLOADS_DIR, String(animeId)), { recursive: true, force: true }, error => {
+                if (error) console.error(`Error removing uploads of anime ${animeId}:`, error);
+            });
+        }
+    };
+}
+
+// Purge the trash items whose retention period is over. Items that can't be purged yet
+// are tried again on the next run
+function purgeExpiredTrash() {
+    getExpiredTrashItems(readTrash()).forEach(item => {
+        try {
+            const { error, removeFiles } = storage.transaction(() => purgeAnime(item, null));
+            if (error) {
+                console.error(`Could not purge anime ${item.anime.id} from the trash: ${error}`);
+            } else {
+                removeFiles();
+            }
+        } catch (error) {
+            console.error(`Error purging anime ${item.anime.id} from the trash:`, error);
+        }
+    });
+}
+
+// Episode as sent to clients: subtitle tracks and the HLS stream are listed with the URL to load them from
+function publicEpisode(animeId, episode, sourceHealth = readSourceHealth()) {
+    const hlsServer = episode.hls && (episode.servers || []).find(server => server.url === episode.hls.source);
+    
+    return {
+        ...episode,
+        // Enabled servers in the order players should try them, each with the last check
+        // of its link so players can skip broken ones
+        servers: (episode.servers || [])
+            .filter(server => server.enabled)
+            .map(server => {
+                const result = sourceHealth[getSourceKey(animeId, episode.episodeNumber, server.id)];
+                return {
+                    ...server,
+                    health: result && result.url === server.url ? { ok: result.ok, lastChecked: result.lastChecked } : null
+                };
+            }),
+        hls: episode.hls ? {
+            src: `/api/animes/${animeId}/episodes/${episode.episodeNumber}/hls/${MASTER_PLAYLIST}`,
+            // The server whose uploaded video the stream was made from
+            server: hlsServer ? hlsServer.id : null,
+            renditions: episode.hls.renditions
+        } : null,
+        subtitles: (episode.subtitles || []).map(track => ({
+            language: track.language,
+            label: track.label,
+            src: `/api/animes/${animeId}/episodes/${episode.episodeNumber}/subtitles/${track.language}.vtt`,
+            dateAdded: track.dateAdded
+        }))
+    };
+}
+
+// Draft episodes are only shown to editors and admins until they are published
+function canSeeDrafts(req) {
+    const user = auth.getSessionUser(req);
+    return Boolean(user && (user.role === 'admin' || user.role === 'editor'));
+}
+
+// Episodes, their media and their counters are only public while the anime is in the
+// catalog, not while it is in the trash
+function isInCatalog(animeId) {
+    return readAnimes().some(anime => anime.id === animeId);
+}
+
+// An episode the client of a request may see, or null
+function findVisibleEpisode(req, animeId, episodeNumber) {
+    if (!isInCatalog(animeId)) return null;
+    
+    const episode = readEpisodes(animeId).find(ep => ep.episodeNumber === episodeNumber);
+    return episode && (!episode.draft || canSeeDrafts(req)) ? episode : null;
+}
+
+// The publishing fields of a request for an episode, with publishAt "schedule" turned into
+// the time the episode airs according to the release schedule. Returns { draft, publishAt }
+// or { errors }
+function resolvePublishing(anime, episodeNumber, { draft, publishAt }) {
+    if (publishAt !== 'schedule') {
+        return { draft, publishAt };
+    }
+    
+    const now = new Date();
+    const entries = readSchedule().filter(entry => entry.animeId === anime.id);
+    const airing = findEpisodeAiring(entries, episodeNumber, now) ||
+        [withNextEpisodeNumber(getNextAiring(entries, now), anime)].find(next => next && next.episodeNumber === episodeNumber);
+    
+    if (!airing) {
+        return { errors: { publishAt: `can't be "schedule", episode ${episodeNumber} has no upcoming airing in the schedule` } };
+    }
+    return { draft, publishAt: airing.airsAt };
+}
+
+// Publish a draft whose publishAt time has come, as the server rather than a user. Drafts of
+// anime in the trash are left alone
+function publishScheduledEpisode(job) {
+    storage.transaction(() => {
+        const animes = readAnimes();
+        const anime = animes.find(a => a.id === job.animeId);
+        const episodes = readEpisodes(job.animeId);
+        const episode = episodes.find(ep => ep.episodeNumber === job.episodeNumber);
+        
+        if (!anime || !episode || !episode.draft) return;
+        
+        publishEpisode(episode);
+        updateEpisodeCounts(anime, episodes);
+        auditEpisodes(null, job.animeId, episodes);
+        
+        if (writeEpisodes(job.animeId, episodes) && writeAnimes(animes)) {
+            console.log(`Published episode ${job.episodeNumber} of ${anime.title}`);
+        }
+    });
+}
+
+// Get all episodes for an anime. Drafts are left out unless the user is an editor
+app.get('/api/animes/:id/episodes', (req, res) => {
+    const animeId = parseInt(req.params.id);
+    
+    if (!isInCatalog(animeId)) {
+        return res.status(404).json({ error: 'Anime not found' });
+    }
+    
+    const showDrafts = canSeeDrafts(req);
+    const episodes = readEpisodes(animeId).filter(episode => showDrafts || !episode.draft);
+    const sourceHealth = readSourceHealth();
+    
+    res.json(episodes.map(episode => publicEpisode(animeId, episode, sourceHealth)));
+});
+
+// Get specific episode for an anime
+app.get('/api/animes/:id/episodes/:episode', (req, res) => {
+    const animeId = parseInt(req.params.id);
+    const episode = findVisibleEpisode(req, animeId, parseEpisodeNumber(req.params.episode));
+    
+    if (!episode) {
+        return res.status(404).json({ error: 'Episode not found' });
+    }
+    
+    res.json(publicEpisode(animeId, episode));
+});
+
+// Draft episodes waiting for their publishAt time, soonest first
+app.get('/api/publish-jobs', requireEditor, (req, res) => {
+    const animes = readAnimes();
+    
+    res.json(episodePublisher.pending().map(job => {
+        const anime = animes.find(a => a.id === job.animeId);
+        return { ...job, anime: anime ? { id: anime.id, title: anime.title } : null };
+    }));
+});
+
+// Identify the visitor behind a request for anything that is counted or limited: the logged
+// in user if there is one, otherwise the IP address (see TRUST_PROXY). The browser's
+// clientId is chosen by the client, so a new one can be made up for every request and it
+// can't tell visitors apart
+function getVisitorKey(req) {
+    const user = auth.getSessionUser(req);
+    return user ? `user:${user.id}` : `ip:${req.ip}`;
+}
+
+// Record that an episode started playing. Plays by the same visitor (see getVisitorKey) are
+// counted once per VIEW_DEDUP_WINDOW
+app.post('/api/animes/:id/episodes/:episode/play', transactional((req, res) => {
+    const animeId = parseInt(req.params.id);
+    const episodeNumber = parseEpisodeNumber(req.params.episode);
+
+    if (!findVisibleEpisode(req, animeId, episodeNumber)) {
+        return res.status(404).json({ error: 'Episode not found' });
+    }
+
+    const dedupKey = crypto.createHash('sha256').update(`${getVisitorKey(req)}|${animeId}|${episodeNumber}`).digest('hex');
+
+    const seriesViews = readSeriesViews();
+    const episodeViews = readEpisodeViews(animeId);
+    const counted = viewDeduper.shouldCount(dedupKey);
+
+    if (counted) {
+        const now = new Date();
+        seriesViews[animeId] = recordView(seriesViews[animeId] || createCounter(), now);
+        episodeViews[episodeNumber] = recordView(episodeViews[episodeNumber] || createCounter(), now);
+
+        if (!writeSeriesViews(seriesViews) || !writeEpisodeViews(animeId, episodeViews)) {
+            return res.status(500).json({ error: 'Failed to record view' });
+        }
+    }
+
+    res.json({
+        counted,
+        seriesViews: summarizeCounter(seriesViews[animeId]),
+        episodeViews: summarizeCounter(episodeViews[episodeNumber])
+    });
+}));
+
+// Get view counts of a series and each of its episodes
+app.get('/api/animes/:id/views', (req, res) => {
+    const animeId = parseInt(req.params.id);
+
+    if (!readAnimes().some(a => a.id === animeId)) {
+        return res.status(404).json({ error: 'Anime not found' });
+    }
+
+    const episodeViews = readEpisodeViews(animeId);
+    const episodes = readEpisodes(animeId).filter(episode => !episode.draft).map(episode => ({
+        episodeNumber: episode.episodeNumber,
+        ...summarizeCounter(episodeViews[episode.episodeNumber])
+    }));
+
+    res.json({
+        animeId,
+        ...summarizeCounter(readSeriesViews()[animeId]),
+        episodes
+    });
+});
+
+// Get video source for an episode
+app.get('/api/animes/:id/episodes/:episode/server/:server', (req, res) => {
+    const animeId = parseInt(req.params.id);
+    const episodeNumber = parseEpisodeNumber(req.params.episode);
+    const serverNumber = parseInt(req.params.server);
+    
+    const episode = findVisibleEpisode(req, animeId, episodeNumber);
+    
+    if (!episode) {
+        return res.status(404).json({ error: 'Episode not found' });
+    }
+    
+    const server = (episode.servers || []).find(s => s.id === serverNumber && s.enabled);
+    
+    if (!server) {
+        return res.status(404).json({ error: 'Video source not found' });
+    }
+    
+    // Check if it's a local file or external URL
+    const videoPath = server.url;
+    
+    if (!isLocalSource(videoPath)) {
+        // Redirect to external URL
+        return res.redirect(videoPath);
+    } else if (episode.hls && episode.hls.source === videoPath) {
+        // The upload has been transcoded, so hand out the adaptive stream instead
+        return res.redirect(`/api/animes/${animeId}/episodes/${episodeNumber}/hls/${MASTER_PLAYLIST}`);
+    } else {
+        // Serve local file, but only from the uploads directory
+        const localPath = resolveMediaPath(__dirname, videoPath, UPLOADS_DIR);
+        
+        if (!localPath || !fs.existsSync(localPath)) {
+            return res.status(404).json({ error: 'Video file not found' });
+        }
+        
+        sendMedia(req, res, localPath);
+    }
+});
+
+// Add new episode. It is public right away unless it is sent with draft: true or a publishAt
+// time to publish it at
+app.post('/api/animes/:id/episodes', requireEditor, transactional((req, res) => {
+    const animeId = parseInt(req.params.id);
+    const animes = readAnimes();
+    
+    // Check if anime exists
+    const animeIndex = animes.findIndex(a => a.id === animeId);
+    if (animeIndex === -1) {
+        return res.status(404).json({ error: 'Anime not found' });
+    }
+    
+    const episodes = readEpisodes(animeId);
+    
+    const episodeNumber = parseEpisodeNumber(req.body.episodeNumber);
+    if (isNaN(episodeNumber)) {
+        return res.status(400).json(validationError({ episodeNumber: 'must be a number from 0 up, with at most two decimals' }));
+    }
+    
+    // Check if episode already exists
+    if (episodes.find(ep => ep.episodeNumber === episodeNumber)) {
+        return res.status(400).json({ error: 'Episode number already exists' });
+    }
+    
+    const checked = normalizeEpisodeFields(req.body, { partial: false });
+    
+    if (checked.errors) {
+        return res.status(400).json(validationError(checked.errors));
+    }
+    
+    // Older clients still send a sources object ({ server1: url, ... }). Its servers are
+    // checked like any others, keeping N as their id
+    const legacyServers = req.body.sources && !req.body.servers ? sourcesToServers(req.body.sources) : null;
+    const { servers, error } = legacyServers
+        ? normalizeServers(legacyServers, legacyServers)
+        : normalizeServers(req.body.servers || []);
+    
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    
+    const { draft, publishAt, ...fields } = checked.fields;
+    const publishing = resolvePublishing(animes[animeIndex], episodeNumber, { draft, publishAt });
+    
+    if (publishing.errors) {
+        return res.status(400).json(validationError(publishing.errors));
+    }
+    
+    const newEpisode = {
+        ...fields,
+        title: fields.title || `Episode ${episodeNumber}`,
+        episodeNumber: episodeNumber,
+        servers,
+        dateAdded: new Date().toISOString()
+    };
+    
+    const publishErrors = setPublishing(newEpisode, publishing);
+    if (publishErrors) {
+        return res.status(400).json(validationError(publishErrors));
+    }
+    
+    episodes.push(newEpisode);
+    sortEpisodes(episodes);
+    auditEpisodes(req.user, animeId, episodes);
+    
+    if (writeEpisodes(animeId, episodes)) {
+        // Update the episodes count and current episode in the anime record
+        updateEpisodeCounts(animes[animeIndex], episodes);
+        writeAnimes(animes);
+        
+        res.status(201).json(newEpisode);
+    } else {
+        res.status(500).json({ error: 'Failed to add episode' });
+    }
+}));
+
+// Get every server of an episode, including disabled ones
+app.get('/api/animes/:id/episodes/:episode/servers', requireEditor, (req, res) => {
+    const episode = readEpisodes(parseInt(req.params.id)).find(ep => ep.episodeNumber === parseEpisodeNumber(req.params.episode));
+    
+    if (!episode) {
+        return res.status(404).json({ error: 'Episode not found' });
+    }
+    
+    res.json(episode.servers || []);
+});
+
+// Replace the server list of an episode. Servers sent with the id of an existing one keep it
+app.put('/api/animes/:id/episodes/:episode/servers', requireEditor, transactional((req, res) => {
+    const animeId = parseInt(req.params.id);
+    const episodes = readEpisodes(animeId);
+    const episode = episodes.find(ep => ep.episodeNumber === parseEpisodeNumber(req.params.episode));
+    
+    if (!episode) {
+        return res.status(404).json({ error: 'Episode not found' });
+    }
+    
+    const { servers, error } = normalizeServers(req.body.servers, episode.servers || []);
+    
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    
+    episode.servers = servers;
+    episode.dateUpdated = new Date().toISOString();
+    auditEpisodes(req.user, animeId, episodes);
+    
+    if (writeEpisodes(animeId, episodes)) {
+        res.json(servers);
+    } else {
+        res.status(500).json({ error: 'Failed to save servers' });
+    }
+}));
+
+// Files of an episode in uploads/: its uploaded videos, HLS stream directory and subtitles
+function getEpisodeMediaPaths(episode) {
+    return [
+        ...(episode.servers || []).filter(server => isLocalSource(server.url)).map(server => server.url),
+        ...(episode.hls ? [path.dirname(episode.hls.path)] : []),
+        ...(episode.subtitles || []).map(track => track.path)
+    ];
+}
+
+// Remove the files of a deleted episode, except any another episode still uses
+function removeEpisodeMedia(episode, remaining) {
+    const inUse = new Set(remaining.flatMap(getEpisodeMediaPaths));
+    
+    getEpisodeMediaPaths(episode)
+        .filter(storedPath => !inUse.has(storedPath))
+        .forEach(storedPath => {
+            const localPath = resolveMediaPath(__dirname, storedPath, UPLOADS_DIR);
+            if (!localPath) return;
+            
+            fs.rm(localPath, { recursive: true, force: true }, error => {
+                if (error) console.error(`Error removing ${storedPath}:`, error);
+            });
+        });
+}
+
+// Move episodes to new numbers along with everything kept by episode number: their files in
+// uploads/ (episode_<n>.mp4, hls/episode_<n>, subtitles/episode_<n>.<language>.vtt), view
+// counts, comments, source health results and transcode jobs still waiting.
+// moves: [{ from, to }] as planned by planRenumber. Returns { finish } or { error, status }.
+// The files and transcode jobs aren't touched here: the caller runs finish() once the changes
+// have been saved (see finishRenumber)
+function renumberEpisodes(animeId, episodes, moves) {
+    if (moves.some(move => transcodeQueue.isRunning(animeId, move.from))) {
+        return { error: 'One of these episodes is being transcoded. Try again once it has finished', status: 409 };
+    }
+    
+    const newNumbers = new Map(moves.map(move => [move.from, move.to]));
+    const moved = moves.map(move => ({ ...move, episode: episodes.find(ep => ep.episodeNumber === move.from) }));
+    const renames = [];
+    const requeue = [];
+    
+    moved.forEach(({ from, to, episode }) => {
+        const renamed = new Map();
+        const prefix = `episode_${from}`;
+        
+        // The path a file gets for the new number, queueing the rename. Files that don't
+        // follow the naming scheme or no longer exist are left where they are
+        const rename = storedPath => {
+            if (renamed.has(storedPath)) return renamed.get(storedPath);
+            
+            const name = path.basename(storedPath);
+            const newPath = path.join(path.dirname(storedPath), `episode_${to}${name.slice(prefix.length)}`);
+            const localPath = resolveMediaPath(__dirname, storedPath, UPLOADS_DIR);
+            const target = resolveMediaPath(__dirname, newPath, UPLOADS_DIR);
+            
+            if ((name !== prefix && !name.startsWith(`${prefix}.`)) || !localPath || !target || !fs.existsSync(localPath)) {
+                renamed.set(storedPath, storedPath);
+            } else {
+                renames.push({ storedPath, newPath, localPath, target, temp: `${localPath}.renumber-${crypto.randomBytes(4).toString('hex')}` });
+                renamed.set(storedPath, newPath);
+            }
+            return renamed.get(storedPath);
+        };
+        
+        mapEpisodePaths(episode, rename);
+        
+        if (transcodeQueue.list().some(job => job.status === 'queued' && job.animeId === animeId && job.episodeNumber === from)) {
+            requeue.push({ from, to });
+        }
+    });
+    
+    moved.forEach(({ to, episode }) => {
+        episode.episodeNumber = to;
+        episode.dateUpdated = new Date().toISOString();
+    });
+    sortEpisodes(episodes);
+    
+    const views = {};
+    Object.entries(readEpisodeViews(animeId)).forEach(([number, counter]) => {
+        views[newNumbers.has(Number(number)) ? newNumbers.get(Number(number)) : number] = counter;
+    });
+    
+    const comments = readComments(animeId);
+    comments.forEach(comment => {
+        if (newNumbers.has(comment.episodeNumber)) {
+            comment.episodeNumber = newNumbers.get(comment.episodeNumber);
+        }
+    });
+    
+    const sourceHealth = {};
+    Object.entries(readSourceHealth()).forEach(([key, result]) => {
+        const [id, number, server] = key.split(':');
+        const renumbered = parseInt(id) === animeId && newNumbers.has(Number(number));
+        sourceHealth[renumbered ? getSourceKey(animeId, newNumbers.get(Number(number)), server) : key] = result;
+    });
+    
+    if (!writeEpisodeViews(animeId, views) || !writeComments(animeId, comments) || !writeSourceHealth(sourceHealth)) {
+        return { error: 'Failed to save renumbered episodes', status: 500 };
+    }
+    
+    return { finish: () => finishRenumber(animeId, renames, requeue) };
+}
+
+// Change the stored paths of an episode's files in uploads/ with fn(storedPath)
+function mapEpisodePaths(episode, fn) {
+    (episode.servers || [])
+        .filter(server => isLocalSource(server.url))
+        .forEach(server => { server.url = fn(server.url); });
+    if (episode.hls) {
+        episode.hls.path = path.join(fn(path.dirname(episode.hls.path)), MASTER_PLAYLIST);
+        episode.hls.source = fn(episode.hls.source);
+    }
+    (episode.subtitles || []).forEach(track => { track.path = fn(track.path); });
+}
+
+// Once renumbered episodes have been saved: move their files to the new names and move the
+// transcode jobs that were waiting for them to their new numbers. If the files couldn't be
+// moved, the saved episodes are pointed back at the names the files still have
+function finishRenumber(animeId, renames, requeue) {
+    if (!moveRenumberedFiles(renames)) {
+        const oldPaths = new Map(renames.map(rename => [rename.newPath, rename.storedPath]));
+        
+        storage.transaction(() => {
+            const episodes = readEpisodes(animeId);
+            episodes.forEach(episode => mapEpisodePaths(episode, storedPath => oldPaths.get(storedPath) || storedPath));
+            auditEpisodes(null, animeId, episodes);
+            
+            if (!writeEpisodes(animeId, episodes)) {
+                console.error(`The episodes of anime ${animeId} point at files that weren't renamed; renumber them again to fix this`);
+            }
+        });
+    }
+    
+    // Every job is dropped before any is added, since episodes may swap numbers
+    requeue.forEach(({ from }) => transcodeQueue.cancel(animeId, from));
+    requeue.forEach(({ to }) => {
+        const episode = readEpisodes(animeId).find(ep => ep.episodeNumber === to);
+        const upload = episode && (episode.servers || []).find(server => isLocalSource(server.url));
+        if (upload) enqueueTranscode(animeId, to, upload.url);
+    });
+}
+
+// Move the files of renumbered episodes to their new names. Everything is moved aside first,
+// since episodes may swap numbers. If a move fails, the files moved so far are put back.
+// Returns whether the files were moved
+function moveRenumberedFiles(renames) {
+    const done = [];
+    
+    try {
+        renames.forEach(rename => {
+            fs.renameSync(rename.localPath, rename.temp);
+            done.push({ from: rename.temp, to: rename.localPath });
+        });
+        renames.forEach(rename => {
+            fs.rmSync(rename.target, { recursive: true, force: true });
+            fs.renameSync(rename.temp, rename.target);
+            done.find(move => move.from === rename.temp).from = rename.target;
+        });
+        return true;
+    } catch (error) {
+        console.error('Error moving the files of renumbered episodes, putting them back:', error);
+        done.reverse().forEach(move => {
+            try {
+                fs.renameSync(move.from, move.to);
+            } catch (undoError) {
+                console.error(`Error moving ${move.from} back to ${move.to}:`, undoError);
+            }
+        });
+        return false;
+    }
+}
+
+// Update an episode's title, description, type and label. Only the fields that are sent
+// change, so PUT and PATCH do the same. A new episodeNumber renumbers it (see the renumber
+// endpoint), servers replace its server list, and draft and publishAt hide or publish it
+function updateEpisode(req, res) {
+    const animeId = parseInt(req.params.id);
+    const episodeNumber = parseEpisodeNumber(req.params.episode);
+    const animes = readAnimes();
+    const anime = animes.find(a => a.id === animeId);
+    const episodes = readEpisodes(animeId);
+    const episode = episodes.find(ep => ep.episodeNumber === episodeNumber);
+    
+    if (!anime || !episode) {
+        return res.status(404).json({ error: 'Episode not found' });
+    }
+    
+    const { fields: checkedFields, errors } = normalizeEpisodeFields(req.body);
+    
+    if (errors) {
+        return res.status(400).json(validationError(errors));
+    }
+    
+    const { draft, publishAt, ...fields } = checkedFields;
+    const now = new Date();
+    const newNumber = req.body.episodeNumber !== undefined ? parseEpisodeNumber(req.body.episodeNumber) : episodeNumber;
+    const publishing = resolvePublishing(anime, isNaN(newNumber) ? episodeNumber : newNumber, { draft, publishAt });
+    const publishErrors = publishing.errors || setPublishing(episode, publishing, now);
+    
+    if (publishErrors) {
+        return res.status(400).json(validationError(publishErrors));
+    }
+    
+    let servers = null;
+    if (req.body.servers !== undefined) {
+        const result = normalizeServers(req.body.servers, episode.servers || []);
+        
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        servers = result.servers;
+    }
+    
+    let moves = [];
+    if (req.body.episodeNumber !== undefined && parseEpisodeNumber(req.body.episodeNumber) !== episodeNumber) {
+        const plan = planRenumber(episodes, { moves: [{ from: episodeNumber, to: req.body.episodeNumber }] });
+        
+        if (plan.error) {
+            return res.status(400).json({ error: plan.error });
+        }
+        
+        const result = renumberEpisodes(animeId, episodes, plan.moves);
+        
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        afterCommit(res, result.finish);
+        moves = plan.moves;
+    }
+    
+    Object.assign(episode, fields);
+    if (servers) {
+        episode.servers = servers;
+    }
+    episode.dateUpdated = now.toISOString();
+    updateEpisodeCounts(anime, episodes);
+    auditEpisodes(req.user, animeId, episodes, moves);
+    
+    if (writeEpisodes(animeId, episodes) && writeAnimes(animes)) {
+        res.json(episode);
+    } else {
+        res.status(500).json({ error: 'Failed to update episode' });
+    }
+}
+
+app.put('/api/animes/:id/episodes/:episode', requireEditor, transactional(updateEpisode));
+
+app.patch('/api/animes/:id/episodes/:episode', requireEditor, transactional(updateEpisode));
+
+// Delete an episode along with its uploaded files, view counts, comments and source health results
+app.delete('/api/animes/:id/episodes/:episode', requireAdmin, transactional((req, res) => {
+    const animeId = parseInt(req.params.id);
+    const episodeNumber = parseEpisodeNumber(req.params.episode);
+    const animes = readAnimes();
+    const anime = animes.find(a => a.id === animeId);
+    const episodes = readEpisodes(animeId);
+    const episodeIndex = episodes.findIndex(ep => ep.episodeNumber === episodeNumber);
+    
+    if (!anime || episodeIndex === -1) {
+        return res.status(404).json({ error: 'Episode not found' });
+    }
+    
+    if (transcodeQueue.isRunning(animeId, episodeNumber)) {
+        return res.status(409).json({ error: 'The episode is being transcoded. Try again once it has finished' });
+    }
+    
+    const deletedEpisode = episodes.splice(episodeIndex, 1)[0];
+    updateEpisodeCounts(anime, episodes);
+    auditEpisodes(req.user, animeId, episodes);
+    
+    const views = readEpisodeViews(animeId);
+    delete views[episodeNumber];
+    
+    const comments = readComments(animeId).filter(comment => comment.episodeNumber !== episodeNumber);
+    
+    const sourceHealth = readSourceHealth();
+    (deletedEpisode.servers || []).forEach(server => {
+        delete sourceHealth[getSourceKey(animeId, episodeNumber, server.id)];
+    });
+    
+    if (writeEpisodes(animeId, episodes) && writeAnimes(animes) && writeEpisodeViews(animeId, views) &&
+        writeComments(animeId, comments) && writeSourceHealth(sourceHealth)) {
+        afterCommit(res, () => {
+            transcodeQueue.cancel(animeId, episodeNumber);
+            removeEpisodeMedia(deletedEpisode, episodes);
+        });
+        res.json(deletedEpisode);
+    } else {
+        res.status(500).json({ error: 'Failed to delete episode' });
+    }
+}));
+
+// Renumber episodes, either moving single episodes ({ moves: [{ from, to }] }) or shifting a
+// range ({ shift: { from, to, by } }, e.g. { shift: { from: 13, by: 1 } } to make room for
+// a new episode 13). Episodes may swap numbers but never end up sharing one
+app.post('/api/animes/:id/episodes/renumber', requireEditor, transactional((req, res) => {
+    const animeId = parseInt(req.params.id);
+    const animes = readAnimes();
+    const anime = animes.find(a => a.id === animeId);
+    
+    if (!anime) {
+        return res.status(404).json({ error: 'Anime not found' });
+    }
+    
+    const episodes = readEpisodes(animeId);
+    const plan = planRenumber(episodes, req.body);
+    
+    if (plan.error) {
+        return res.status(400).json({ error: plan.error });
+    }
+    
+    const result = renumberEpisodes(animeId, episodes, plan.moves);
+    
+    if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+    }
+    afterCommit(res, result.finish);
+    
+    updateEpisodeCounts(anime, episodes);
+    auditEpisodes(req.user, animeId, episodes, plan.moves);
+    
+    if (writeEpisodes(animeId, episodes) && writeAnimes(animes)) {
+        res.json({ success: true, moves: plan.moves, episodes });
+    } else {
+        res.status(500).json({ error: 'Failed to save renumbered episodes' });
+    }
+}));
+
+// TRANSCODING ENDPOINTS
+// Queue an uploaded video for HLS transcoding into uploads/<animeId>/hls/episode_<n>
+function enqueueTranscode(animeId, episodeNumber, videoPath) {
+    return transcodeQueue.enqueue({
+        animeId,
+        episodeNumber,
+        input: videoPath,
+        output: path.join('uploads', String(animeId), 'hls', `episode_${episodeNumber}`)
+    });
+}
+
+// SOURCE HEALTH ENDPOINTS
+// Get the latest check of every episode source. ?broken=true lists only the ones that failed
+app.get('/api/sources/health', requireEditor, (req, res) => {
+    const sourceHealth = readSourceHealth();
+    const onlyBroken = parseBooleanParam(req.query.broken) === true;
+    const sources = [];
+    
+    readAnimes().forEach(anime => {
+        readEpisodes(anime.id).forEach(episode => {
+            (episode.servers || []).forEach(server => {
+                if (!server.enabled) return;
+                
+                const result = sourceHealth[getSourceKey(anime.id, episode.episodeNumber, server.id)];
+                const current = result && result.url === server.url ? result : null;
+                
+                if (onlyBroken && (!current || current.ok)) return;
+                
+                sources.push({
+                    animeId: anime.id,
+                    animeTitle: anime.title,
+                    episodeNumber: episode.episodeNumber,
+                    server: server.id,
+                    label: server.label,
+                    url: server.url,
+                    status: current ? (current.ok ? 'ok' : 'broken') : 'unchecked',
+                    statusCode: current ? current.statusCode : null,
+                    latency: current ? current.latency : null,
+                    error: current ? current.error : null,
+                    failures: current ? current.failures : 0,
+                    lastChecked: current ? current.lastChecked : null,
+                    lastOk: current ? current.lastOk : null
+                });
+            });
+        });
+    });
+    
+    res.json({
+        ...linkChecker.status(),
+        total: sources.length,
+        sources
+    });
+});
+
+// Start checking every source now, in the background
+app.post('/api/sources/health/check', requireEditor, (req, res) => {
+    linkChecker.checkAll();
+    res.status(202).json(linkChecker.status());
+});
+
+// Check the sources of one episode and wait for the results
+app.post('/api/animes/:id/episodes/:episode/sources/check', requireEditor, (req, res) => {
+    const animeId = parseInt(req.params.id);
+    const episodeNumber = parseEpisodeNumber(req.params.episode);
+    
+    if (!readEpisodes(animeId).some(ep => ep.episodeNumber === episodeNumber)) {
+        return res.status(404).json({ error: 'Episode not found' });
+    }
+    
+    linkChecker.checkEpisode(animeId, episodeNumber)
+        .then(results => res.json(results))
+        .catch(error => {
+            console.error('Error checking sources:', error);
+            res.status(500).json({ error: 'Failed to check sources' });
+        });
+});
+
+// Get transcoding jobs, newest first
+app.get('/api/transcodes', requireEditor, (req, res) => {
+    const titles = new Map(readAnimes().map(anime => [anime.id, anime.title]));
+    
+    res.json(transcodeQueue.list().map(job => ({
+        ...job,
+        animeTitle: titles.get(job.animeId) || null
+    })));
+});
+
+// Retry a failed transcoding job
+app.post('/api/transcodes/:id/retry', requireEditor, (req, res) => {
+    const job = transcodeQueue.retry(parseInt(req.params.id));
+    
+    if (!job) {
+        return res.status(404).json({ error: 'No failed job with that ID' });
+    }
+    
+    res.json(job);
+});
+
+// Transcode an episode's uploaded video again, e.g. after changing the ffmpeg setup
+app.post('/api/animes/:id/episodes/:episode/transcode', requireEditor, (req, res) => {
+    const animeId = parseInt(req.params.id);
+    const episodeNumber = parseEpisodeNumber(req.params.episode);
+    const episode = readEpisodes(animeId).find(ep => ep.episodeNumber === episodeNumber);
+    
+    if (!episode) {
+        return res.status(404).json({ error: 'Episode not found' });
+    }
+    
+    const uploaded = (episode.servers || []).find(server => isLocalSource(server.url));
+    const videoPath = uploaded && uploaded.url;
+    
+    if (!videoPath) {
+        return res.status(400).json({ error: 'This episode has no uploaded video to transcode' });
+    }
+    
+    res.status(202).json(enqueueTranscode(animeId, episodeNumber, videoPath));
+});
+
+// Serve the HLS playlists and segments of a transcoded episode
+app.get('/api/animes/:id/episodes/:episode/hls/:file', (req, res) => {
+    const animeId = parseInt(req.params.id);
+    const episodeNumber = parseEpisodeNumber(req.params.episode);
+    const episode = findVisibleEpisode(req, animeId, episodeNumber);
+    const file = req.params.file;
+    
+    // Only plain playlist and segment names, so requests can't leave the stream's directory
+    if (!episode || !episode.hls || !/^[\w-]+\.(m3u8|ts)$/.test(file)) {
+        return res.status(404).json({ error: 'Stream not found' });
+    }
+    
+    const localPath = resolveMediaPath(__dirname, path.join(path.dirname(episode.hls.path), file), UPLOADS_DIR);
+    
+    if (!localPath || !fs.existsSync(localPath)) {
+        return res.status(404).json({ error: 'Stream file not found' });
+    }
+    
+    sendMedia(req, res, localPath);
+});
+
+// Make an uploaded video the episode's first server, as uploads/<animeId>/episode_<n><ext>,
+// creating the episode if needed. The file is left where it is: once the transaction has
+// committed, finish() moves it into place and queues it for transcoding (see
+// finishEpisodeVideo). Returns { episode, finish } or { error, status }
+function attachEpisodeVideo(animeId, episodeNumber, uploadedPath, { title, description, draft, publishAt, user } = {}) {
+    const animes = readAnimes();
+    const animeIndex = animes.findIndex(a => a.id === animeId);
+    
+    if (animeIndex === -1) {
+        return { error: 'Anime not found', status: 404 };
+    }
+    
+    if (isNaN(episodeNumber)) {
+        return { error: 'Invalid episode number', status: 400 };
+    }
+    
+    const publishing = resolvePublishing(animes[animeIndex], episodeNumber, { draft, publishAt });
+    const publishErrors = publishing.errors || checkPublishing(publishing);
+    
+    if (publishErrors) {
+        return { error: validationError(publishErrors).error, status: 400 };
+    }
+    
+    // Relative path the uploaded file is moved to
+    const videoPath = path.join('uploads', String(animeId), `episode_${episodeNumber}${path.extname(uploadedPath).toLowerCase()}`);
+    
+    const episodes = readEpisodes(animeId);
+    let episode = episodes.find(ep => ep.episodeNumber === episodeNumber);
+    
+    // Create or update episode
+    if (!episode) {
+        episode = {
+            episodeNumber: episodeNumber,
+            title: title || `Episode ${episodeNumber}`,
+            description: description || '',
+            servers: [],
+            dateAdded: new Date().toISOString()
+        };
+        
+        episodes.push(episode);
+    } else {
+        // The old stream is stale until the new upload has been transcoded
+        delete episode.hls;
+        episode.dateUpdated = new Date().toISOString();
+    }
+    
+    // The upload replaces an earlier one, and is tried before external servers
+    episode.servers = episode.servers || [];
+    const uploaded = episode.servers.find(server => isLocalSource(server.url));
+    const replacedPath = uploaded && uploaded.url !== videoPath ? uploaded.url : null;
+    setServerUrl(episode.servers, uploaded ? uploaded.id : nextServerId(episode.servers), videoPath, {
+        label: 'Upload',
+        kind: 'file',
+        priority: 0
+    });
+    setPublishing(episode, publishing);
+    auditEpisodes(user, animeId, episodes);
+    
+    if (!writeEpisodes(animeId, episodes)) {
+        return { error: 'Failed to save episode data', status: 500 };
+    }
+    
+    // Update the episodes count and current episode in the anime record
+    updateEpisodeCounts(animes[animeIndex], episodes);
+    writeAnimes(animes);
+    
+    return { episode, finish: () => finishEpisodeVideo(animeId, episodeNumber, uploadedPath, videoPath, replacedPath) };
+}
+
+// Once an attached video has been saved: move it into place, remove the earlier upload it
+// replaces if that had another name, and queue it for transcoding. Returns the transcode
+// job, or null if the file couldn't be moved
+function finishEpisodeVideo(animeId, episodeNumber, uploadedPath, videoPath, replacedPath) {
+    try {
+        fs.mkdirSync(path.join(__dirname, 'uploads', String(animeId)), { recursive: true });
+        fs.renameSync(uploadedPath, path.join(__dirname, videoPath));
+    } catch (error) {
+        console.error(`Error moving the video of anime ${animeId} episode ${episodeNumber} to ${videoPath}:`, error);
+        fs.rmSync(uploadedPath, { force: true });
+        return null;
+    }
+    
+    const replaced = replacedPath && resolveMediaPath(__dirname, replacedPath, UPLOADS_DIR);
+    if (replaced) {
+        fs.rm(replaced, { force: true }, error => {
+            if (error) console.error(`Error removing ${replacedPath}:`, error);
+        });
+    }
+    
+    return enqueueTranscode(animeId, episodeNumber, videoPath);
+}
+
+// Upload episode video in a single request (see the UPLOAD SESSION ENDPOINTS for large files)
+app.post('/api/animes/:id/episodes/upload', requireEditor, upload.single('video'), transactional((req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No video file uploaded' });
+    }
+    
+    // Form fields are text, so draft comes as "true" or "false"
+    const result = attachEpisodeVideo(parseInt(req.params.id), parseEpisodeNumber(req.body.episodeNumber), req.file.path, {
         ...req.body,
-        id: animeId,
-        dateAdded: dateAdded,
-        views: views,
-        currentEpisode: currentEpisode
-    };
+        draft: req.body.draft === undefined ? undefined : req.body.draft === 'true',
+        publishAt: req.body.publishAt || undefined,
+        user: req.user
+    });
+    
+    if (result.error) {
+        fs.rmSync(req.file.path, { force: true });
+        return res.status(result.status).json({ error: result.error });
+    }
+    
+    // The file is moved and queued once the episode is saved, which is before the response goes out
+    const body = { success: true, message: 'Episode video uploaded', transcodeJob: null };
+    afterCommit(res, () => { body.transcodeJob = result.finish(); });
+    res.status(201).json(body);
+}));
+
+// UPLOAD SESSION ENDPOINTS
+// Resumable uploads: open a session, PUT each chunk with its SHA-256 in X-Chunk-Checksum,
+// GET the session to see which chunks are missing after an interruption, then complete it
+function readUploadSessions() {
+    return readData('upload-sessions', {});
+}
+
+function writeUploadSessions(sessions) {
+    return writeData('upload-sessions', sessions);
+}
+
+// Only the editor who opened a session (or an admin) may touch it
+function findUploadSession(req, res) {
+    const session = readUploadSessions()[req.params.id];
+    
+    if (!session || (session.userId !== req.user.id && req.user.role !== 'admin')) {
+        res.status(404).json({ error: 'Upload session not found' });
+        return null;
+    }
+    
+    return session;
+}
+
+// Open an upload session for an episode video
+app.post('/api/uploads', requireEditor, transactional((req, res) => {
+    const animeId = parseInt(req.body.animeId);
+    const anime = readAnimes().find(a => a.id === animeId);
+    
+    if (!anime) {
+        return res.status(404).json({ error: 'Anime not found' });
+    }
+    
+    // Publishing fields are applied on completion, but are checked now so a mistake in them
+    // doesn't turn up only after the whole file has been sent
+    const checked = normalizeEpisodeFields({ draft: req.body.draft, publishAt: req.body.publishAt });
+    const publishing = checked.errors ? checked : resolvePublishing(anime, parseEpisodeNumber(req.body.episodeNumber), checked.fields);
+    const publishErrors = publishing.errors || checkPublishing(publishing);
+    
+    if (publishErrors) {
+        return res.status(400).json(validationError(publishErrors));
+    }
+    
+    const sessions = pruneUploadSessions(UPLOAD_TEMP_DIR, readUploadSessions());
+    const { session, error } = createUploadSession(UPLOAD_TEMP_DIR, {
+        animeId,
+        episodeNumber: parseEpisodeNumber(req.body.episodeNumber),
+        filename: req.body.filename,
+        size: req.body.size,
+        chunkSize: req.body.chunkSize,
+        title: req.body.title,
+        description: req.body.description,
+        draft: checked.fields.draft,
+        publishAt: checked.fields.publishAt,
+        userId: req.user.id
+    }, Object.keys(VIDEO_TYPES));
+    
+    if (error) {
+        writeUploadSessions(sessions);
+        return res.status(400).json({ error });
+    }
+    
+    sessions[session.id] = session;
+    
+    if (writeUploadSessions(sessions)) {
+        res.status(201).json(publicUploadSession(session));
+    } else {
+        removeUploadSession(UPLOAD_TEMP_DIR, session);
+        res.status(500).json({ error: 'Failed to create upload session' });
+    }
+}));
+
+// Get an upload session, including the chunks still missing
+app.get('/api/uploads/:id', requireEditor, (req, res) => {
+    const session = findUploadSession(req, res);
+    
+    if (session) {
+        res.json(publicUploadSession(session));
+    }
+});
+
+// Upload one chunk as the raw request body
+app.put('/api/uploads/:id/chunks/:index', requireEditor, express.raw({ type: () => true, limit: MAX_CHUNK_SIZE }), transactional((req, res) => {
+    const session = findUploadSession(req, res);
+    if (!session) return;
+    
+    const sessions = readUploadSessions();
+    const result = writeChunk(UPLOAD_TEMP_DIR, sessions[session.id], parseInt(req.params.index), req.body, req.get('X-Chunk-Checksum'));
+    
+    if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+    }
+    
+    if (writeUploadSessions(sessions)) {
+        res.json(publicUploadSession(result.session));
+    } else {
+        res.status(500).json({ error: 'Failed to save upload progress' });
+    }
+}));
+
+// Assemble a finished upload and attach it to the episode
+app.post('/api/uploads/:id/complete', requireEditor, transactional((req, res) => {
+    const session = findUploadSession(req, res);
+    if (!session) return;
+    
+    const tempPath = path.join(UPLOAD_TEMP_DIR, `${session.id}${session.extension}`);
+    const assembled = completeUploadSession(UPLOAD_TEMP_DIR, session, tempPath);
+    
+    if (assembled.error) {
+        return res.status(409).json({ error: assembled.error, missing: assembled.missing });
+    }
+    
+    const result = attachEpisodeVideo(session.animeId, session.episodeNumber, tempPath, { ...session, user: req.user });
+    
+    // The .part file is gone either way, so the session can't be completed again
+    const sessions = readUploadSessions();
+    delete sessions[session.id];
+    writeUploadSessions(sessions);
+    
+    if (result.error) {
+        fs.rmSync(tempPath, { force: true });
+        return res.status(result.status).json({ error: result.error });
+    }
+    
+    // The file is moved and queued once the episode is saved, which is before the response goes out
+    const body = { success: true, message: 'Episode video uploaded', transcodeJob: null };
+    afterCommit(res, () => { body.transcodeJob = result.finish(); });
+    res.status(201).json(body);
+}));
+
+// Abandon an upload session
+app.delete('/api/uploads/:id', requireEditor, transactional((req, res) => {
+    const session = findUploadSession(req, res);
+    if (!session) return;
+    
+    const sessions = readUploadSessions();
+    delete sessions[session.id];
+    
+    if (writeUploadSessions(sessions)) {
+        removeUploadSession(UPLOAD_TEMP_DIR, session);
+        res.json({ success: true });
+    } else {
+        res.status(500).json({ error: 'Failed to cancel upload' });
+    }
+}));
+
+// SUBTITLE ENDPOINTS
+// Where the WebVTT file of an episode's subtitles is kept, relative to the app directory
+function getSubtitlePath(animeId, episodeNumber, language) {
+    return path.join('uploads', String(animeId), 'subtitles', `episode_${episodeNumber}.${language}.vtt`);
+}
+
+// Serve the subtitles of an episode as WebVTT
+app.get('/api/animes/:id/episodes/:episode/subtitles/:language.vtt', (req, res) => {
+    const animeId = parseInt(req.params.id);
+    const episodeNumber = parseEpisodeNumber(req.params.episode);
+    const episode = findVisibleEpisode(req, animeId, episodeNumber);
+    const track = episode && (episode.subtitles || []).find(t => t.language === req.params.language);
     
-    if (writeAnimes(animes)) {
-        // Update trending status
-        const trending = readTrending();
-        if (trending.mode === 'manual') {
-            const trendingIndex = trending.manualTrending.indexOf(animeId);
-            
-            if (animes[animeIndex].isTrending && trendingIndex === -1) {
-                trending.manualTrending.push(animeId);
-                writeTrending(trending);
-            } else if (!animes[animeIndex].isTrending && trendingIndex !== -1) {
-                trending.manualTrending.splice(trendingIndex, 1);
-                writeTrending(trending);
-            }
+    if (!track) {
+        return res.status(404).json({ error: 'Subtitles not found' });
+    }
+    
+    const localPath = resolveMediaPath(__dirname, track.path, UPLOADS_DIR);
+    
+    if (!localPath || !fs.existsSync(localPath)) {
+        return res.status(404).json({ error: 'Subtitle file not found' });
+    }
+    
+    sendMedia(req, res, localPath);
+});
+
+// Upload subtitles for an episode in one language (form fields: subtitle, language).
+// SRT and ASS/SSA files are converted to WebVTT; an existing track in the same language is replaced.
+app.post('/api/animes/:id/episodes/:episode/subtitles', requireEditor, (req, res, next) => {
+    subtitleUpload.single('subtitle')(req, res, error => {
+        if (error) {
+            return res.status(400).json({ error: error.message });
         }
-        
-        res.json(animes[animeIndex]);
+        next();
+    });
+}, transactional((req, res) => {
+    const animeId = parseInt(req.params.id);
+    const episodeNumber = parseEpisodeNumber(req.params.episode);
+    const episodes = readEpisodes(animeId);
+    const episode = episodes.find(ep => ep.episodeNumber === episodeNumber);
+    
+    if (!episode) {
+        return res.status(404).json({ error: 'Episode not found' });
+    }
+    
+    const language = req.body.language;
+    
+    if (!SUBTITLE_LANGUAGES[language]) {
+        return res.status(400).json({ error: `Language must be one of: ${Object.keys(SUBTITLE_LANGUAGES).join(', ')}` });
+    }
+    
+    if (!req.file) {
+        return res.status(400).json({ error: 'No subtitle file uploaded' });
+    }
+    
+    const { vtt, format, error } = convertToVtt(req.file.buffer, req.file.originalname);
+    
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    
+    const subtitlePath = getSubtitlePath(animeId, episodeNumber, language);
+    const localPath = path.join(__dirname, subtitlePath);
+    // Written next to the track it replaces, and only put in its place once the episode is saved
+    const tempPath = `${localPath}.upload-${crypto.randomBytes(4).toString('hex')}`;
+    
+    try {
+        fs.mkdirSync(path.dirname(localPath), { recursive: true });
+        fs.writeFileSync(tempPath, vtt);
+    } catch (writeError) {
+        console.error(`Error writing subtitles for anime ${animeId} episode ${episodeNumber}:`, writeError);
+        return res.status(500).json({ error: 'Failed to save subtitle file' });
+    }
+    
+    const track = {
+        language,
+        label: SUBTITLE_LANGUAGES[language],
+        path: subtitlePath,
+        originalFormat: format,
+        dateAdded: new Date().toISOString()
+    };
+    const existing = (episode.subtitles || []).some(t => t.language === language);
+    episode.subtitles = (episode.subtitles || []).filter(t => t.language !== language).concat(track);
+    auditEpisodes(req.user, animeId, episodes);
+    
+    if (writeEpisodes(animeId, episodes)) {
+        afterCommit(res, () => fs.renameSync(tempPath, localPath));
+        res.status(existing ? 200 : 201).json(publicEpisode(animeId, episode).subtitles.find(t => t.language === language));
     } else {
-        res.status(500).json({ error: 'Failed to update anime' });
+        fs.rmSync(tempPath, { force: true });
+        res.status(500).json({ error: 'Failed to save episode data' });
     }
-});
+}));
+
+// Remove the subtitles of an episode in one language
+app.delete('/api/animes/:id/episodes/:episode/subtitles/:language', requireEditor, transactional((req, res) => {
+    const animeId = parseInt(req.params.id);
+    const episodeNumber = parseEpisodeNumber(req.params.episode);
+    const episodes = readEpisodes(animeId);
+    const episode = episodes.find(ep => ep.episodeNumber === episodeNumber);
+    const track = episode && (episode.subtitles || []).find(t => t.language === req.params.language);
+    
+    if (!track) {
+        return res.status(404).json({ error: 'Subtitles not found' });
+    }
+    
+    episode.subtitles = episode.subtitles.filter(t => t !== track);
+    auditEpisodes(req.user, animeId, episodes);
+    
+    if (writeEpisodes(animeId, episodes)) {
+        afterCommit(res, () => fs.rm(path.join(__dirname, track.path), { force: true }, error => {
+            if (error) console.error(`Error removing subtitle file ${track.path}:`, error);
+        }));
+        res.json({ success: true });
+    } else {
+        res.status(500).json({ error: 'Failed to save episode data' });
+    }
+}));
 
-// Delete anime
-app.delete('/api/animes/:id', (req, res) => {
+// Batch add episodes
+app.post('/api/animes/:id/episodes/batch', requireEditor, transactional((req, res) => {
     const animeId = parseInt(req.params.id);
     const animes = readAnimes();
-    const animeIndex = animes.findIndex(a => a.id === animeId);
     
+    // Check if anime exists
+    const animeIndex = animes.findIndex(a => a.id === animeId);
     if (animeIndex === -1) {
         return res.status(404).json({ error: 'Anime not found' });
     }
     
-    const deletedAnime = animes.splice(animeIndex, 1)[0];
+    const episodes = readEpisodes(animeId);
+    const { episodeLinks, basePattern, startEpisode, totalEpisodes, server } = req.body;
+    const addedEpisodes = [];
+    // Servers are chosen by id; "server2" is accepted as well as 2
+    const serverId = parseInt(String(server || '1').replace(/^server/, '')) || 1;
     
-    // Delete episodes file
-    const episodesFile = getEpisodesFile(animeId);
-    if (fs.existsSync(episodesFile)) {
-        fs.unlinkSync(episodesFile);
+    let links;
+    if (episodeLinks && episodeLinks.trim()) {
+        // Process a list of links
+        links = episodeLinks.split('\n')
+            .map(link => link.trim())
+            .filter(link => link);
+    } else if (basePattern && totalEpisodes) {
+        // Process a pattern-based batch
+        links = Array.from({ length: totalEpisodes }, (_, i) => basePattern.replace('{episode}', startEpisode + i));
+    } else {
+        return res.status(400).json({ error: 'Invalid input for batch episode addition' });
     }
     
-    if (writeAnimes(animes)) {
-        // Remove from trending if present
-        const trending = readTrending();
-        const trendingIndex = trending.manualTrending.indexOf(animeId);
-        if (trendingIndex !== -1) {
-            trending.manualTrending.splice(trendingIndex, 1);
-            writeTrending(trending);
+    // Every link is checked like a server sent on its own, before anything is changed
+    for (let i = 0; i < links.length; i++) {
+        const { error } = normalizeServer({ url: links[i] }, serverId);
+        
+        if (error) {
+            return res.status(400).json({ error: `Episode ${startEpisode + i}: ${error}` });
         }
+    }
+    
+    for (let i = 0; i < links.length; i++) {
+        const episodeNumber = startEpisode + i;
+        
+        // Check if episode already exists
+        const existingEpisodeIndex = episodes.findIndex(ep => ep.episodeNumber === episodeNumber);
         
-        // Remove from schedule if present
-        const schedule = readSchedule();
-        const updatedSchedule = schedule.filter(item => item.animeId !== animeId);
-        if (updatedSchedule.length !== schedule.length) {
-            writeSchedule(updatedSchedule);
+        if (existingEpisodeIndex !== -1) {
+            // Update existing episode
+            episodes[existingEpisodeIndex].servers = episodes[existingEpisodeIndex].servers || [];
+            setServerUrl(episodes[existingEpisodeIndex].servers, serverId, links[i]);
+            episodes[existingEpisodeIndex].dateUpdated = new Date().toISOString();
+            addedEpisodes.push(episodes[existingEpisodeIndex]);
+        } else {
+            // Create new episode
+            const newEpisode = {
+                episodeNumber: episodeNumber,
+                title: `Episode ${episodeNumber}`,
+                description: '',
+                servers: [],
+                dateAdded: new Date().toISOString()
+            };
+            setServerUrl(newEpisode.servers, serverId, links[i]);
+            
+            episodes.push(newEpisode);
+            addedEpisodes.push(newEpisode);
         }
+    }
+    
+    // Sort episodes by episodeNumber
+    episodes.sort((a, b) => a.episodeNumber - b.episodeNumber);
+    auditEpisodes(req.user, animeId, episodes);
+    
+    if (writeEpisodes(animeId, episodes)) {
+        // Update the episodes count and current episode in the anime record
+        updateEpisodeCounts(animes[animeIndex], episodes);
+        writeAnimes(animes);
         
-        res.json(deletedAnime);
+        res.status(201).json({ 
+            success: true, 
+            message: `Added/updated ${addedEpisodes.length} episodes`,
+            episodes: addedEpisodes
+        });
     } else {
-        res.status(500).json({ error: 'Failed to delete anime' });
+        res.status(500).json({ error: 'Failed to add batch episodes' });
     }
-});
+}));
 
-// Search animes
-app.get('/api/animes/search', (req, res) => {
-    const searchTerm = req.query.q?.toLowerCase() || '';
+// EPISODE IMPORT ENDPOINTS
+// Import episode sources from pasted content in one of the IMPORTERS formats.
+// With dryRun nothing is saved and the response shows what would change.
+// Returns { status, body } for the route to send
+function importEpisodes(animeId, { format, content, options, dryRun, user }) {
     const animes = readAnimes();
+    const animeIndex = animes.findIndex(a => a.id === animeId);
     
-    const results = animes.filter(anime => 
-        anime.title?.toLowerCase().includes(searchTerm) ||
-        (anime.synopsis && anime.synopsis.toLowerCase().includes(searchTerm)) ||
-        (anime.genres && anime.genres.some(genre => genre.toLowerCase().includes(searchTerm)))
-    );
+    if (animeIndex === -1) {
+        return { status: 404, body: { error: 'Anime not found' } };
+    }
     
-    // Add defaults for views and type if they don't exist
-    const resultsWithDefaults = results.map(anime => ({
-        ...anime,
-        views: anime.views || Math.floor(Math.random() * 1000),
-        type: anime.type || 'TV',
-        currentEpisode: anime.currentEpisode || anime.episodes || 0,
-        hasSubs: anime.hasSubs !== undefined ? anime.hasSubs : true,
-        hasAudio: anime.hasAudio !== undefined ? anime.hasAudio : true,
-        isTrending: anime.isTrending || false
-    }));
+    const parsed = parseEpisodes(format, content, options && typeof options === 'object' ? {
+        server: options.server,
+        startEpisode: parseInt(options.startEpisode) || 1,
+        baseUrl: options.baseUrl || undefined,
+        match: options.match || undefined
+    } : {});
+    
+    if (parsed.error) {
+        return { status: 400, body: { error: parsed.error } };
+    }
+    if (parsed.entries.length === 0) {
+        return { status: 400, body: { error: 'No valid episodes found in the provided content', errors: parsed.errors } };
+    }
+    
+    const episodes = readEpisodes(animeId);
+    const plan = planImport(episodes, parsed.entries);
+    const summary = {
+        created: plan.filter(item => item.action === 'create').length,
+        updated: plan.filter(item => item.action === 'update').length,
+        unchanged: plan.filter(item => item.action === 'unchanged').length
+    };
+    
+    if (dryRun) {
+        return { status: 200, body: { dryRun: true, summary, plan, errors: parsed.errors } };
+    }
+    
+    const changed = applyImport(episodes, plan);
+    auditEpisodes(user, animeId, episodes);
+    
+    if (!writeEpisodes(animeId, episodes)) {
+        return { status: 500, body: { error: 'Failed to save imported episodes' } };
+    }
     
-    res.json(resultsWithDefaults);
+    // Update the episodes count and current episode in the anime record
+    updateEpisodeCounts(animes[animeIndex], episodes);
+    writeAnimes(animes);
+    
+    return {
+        status: 201,
+        body: {
+            success: true,
+            message: `Added/updated ${changed.length} episodes`,
+            summary,
+            episodes: changed,
+            errors: parsed.errors
+        }
+    };
+}
+
+// List the import formats
+app.get('/api/importers', requireEditor, (req, res) => {
+    res.json(Object.entries(IMPORTERS).map(([format, importer]) => ({ format, label: importer.label })));
+});
+
+// Import episodes (body: format, content, options: { server, startEpisode, baseUrl, match }, dryRun)
+app.post('/api/animes/:id/episodes/import', requireEditor, transactional((req, res) => {
+    const result = importEpisodes(parseInt(req.params.id), {
+        ...req.body,
+        dryRun: req.body.dryRun === true,
+        user: req.user
+    });
+    
+    res.status(result.status).json(result.body);
+}));
+
+// Parse and add episodes from HTML select (kept for older clients, same as importing with format "select")
+app.post('/api/animes/:id/episodes/parse-select', requireEditor, transactional((req, res) => {
+    const { selectHtml } = req.body;
+    
+    if (!selectHtml || !selectHtml.trim()) {
+        return res.status(400).json({ error: 'Select HTML content is required' });
+    }
+    
+    const result = importEpisodes(parseInt(req.params.id), { format: 'select', content: selectHtml, user: req.user });
+    res.status(result.status).json(result.body);
+}));
+
+// Count or uncount a client's favorite for trending. Returns the new favorite count, or null on failure
+function setClientFavorite(animeId, clientKey, favorite) {
+    const clientHash = crypto.createHash('sha256').update(clientKey).digest('hex');
+    const favorites = readFavorites();
+    const animeFavorites = favorites[animeId] || {};
+
+    if (!favorite) {
+        delete animeFavorites[clientHash];
+    } else if (!animeFavorites[clientHash]) {
+        animeFavorites[clientHash] = new Date().toISOString();
+    }
+
+    favorites[animeId] = animeFavorites;
+    return writeFavorites(favorites) ? Object.keys(animeFavorites).length : null;
+}
+
+// Add or remove an anime from the visitor's favorites. Guests count once per IP address (see
+// getVisitorKey), since favorites feed the trending score
+app.put('/api/animes/:id/favorite', transactional((req, res) => {
+    const animeId = parseInt(req.params.id);
+
+    if (!readAnimes().some(a => a.id === animeId)) {
+        return res.status(404).json({ error: 'Anime not found' });
+    }
+
+    const count = setClientFavorite(animeId, getVisitorKey(req), req.body.favorite !== false);
+
+    if (count !== null) {
+        res.json({ success: true, favorite: req.body.favorite !== false, favorites: count });
+    } else {
+        res.status(500).json({ error: 'Failed to update favorite' });
+    }
+}));
+
+// REVIEW ENDPOINTS
+// Get the rating and visible reviews of an anime, with the review the visitor wrote, if any
+app.get('/api/animes/:id/reviews', (req, res) => {
+    const animeId = parseInt(req.params.id);
+
+    if (!readAnimes().some(a => a.id === animeId)) {
+        return res.status(404).json({ error: 'Anime not found' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const reviews = readReviews(animeId);
+    const clientHash = crypto.createHash('sha256').update(getVisitorKey(req)).digest('hex');
+    const mine = reviews.find(review => review.clientHash === clientHash);
+
+    // Newest first; reviews without text only count towards the rating
+    const visible = reviews
+        .filter(review => review.status === 'visible' && review.text)
+        .sort((a, b) => new Date(b.dateUpdated) - new Date(a.dateUpdated));
+    const { average, count } = summarizeRatings(reviews);
+
+    res.json({
+        rating: average,
+        ratingCount: count,
+        myReview: mine ? publicReview(mine) : null,
+        page,
+        limit,
+        total: visible.length,
+        totalPages: Math.ceil(visible.length / limit),
+        reviews: visible.slice((page - 1) * limit, page * limit).map(publicReview)
+    });
+});
+
+// Rate and optionally review an anime. Each account has one review, and so does each guest
+// IP address (see getVisitorKey), which is replaced when they submit again
+app.put('/api/animes/:id/reviews', transactional((req, res) => {
+    const animeId = parseInt(req.params.id);
+
+    if (!readAnimes().some(a => a.id === animeId)) {
+        return res.status(404).json({ error: 'Anime not found' });
+    }
+
+    const { rating, text, error } = validateReview(req.body);
+
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const clientKey = getVisitorKey(req);
+
+    if (!reviewLimiter.hit(clientKey)) {
+        return res.status(429).json({ error: 'Too many reviews. Please try again later.' });
+    }
+
+    const user = auth.getSessionUser(req);
+    const reviews = readReviews(animeId);
+    const { review, created } = upsertReview(reviews, {
+        clientHash: crypto.createHash('sha256').update(clientKey).digest('hex'),
+        userId: user ? user.id : null,
+        username: user ? user.username : null,
+        rating,
+        text
+    });
+
+    if (writeReviews(animeId, reviews)) {
+        res.status(created ? 201 : 200).json({
+            review: publicReview(review),
+            ...summarizeRatings(reviews)
+        });
+    } else {
+        res.status(500).json({ error: 'Failed to save review' });
+    }
+}));
+
+// Get reviews for moderation across all anime, optionally filtered by status
+app.get('/api/reviews', requireEditor, (req, res) => {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const titles = new Map(readAnimes().map(anime => [anime.id, anime.title]));
+    const items = [];
+
+    storage.keys('reviews/').forEach(key => {
+        const animeId = parseInt(key.split('/')[1]);
+
+        readReviews(animeId).forEach(review => {
+            if (req.query.status && review.status !== req.query.status) return;
+            items.push({ ...publicReview(review), animeId, animeTitle: titles.get(animeId) || null });
+        });
+    });
+
+    items.sort((a, b) => new Date(b.dateUpdated) - new Date(a.dateUpdated));
+
+    res.json({
+        page,
+        limit,
+        total: items.length,
+        totalPages: Math.ceil(items.length / limit),
+        items: items.slice((page - 1) * limit, page * limit)
+    });
+});
+
+// Hide or show a review
+app.put('/api/animes/:id/reviews/:reviewId', requireEditor, transactional((req, res) => {
+    const animeId = parseInt(req.params.id);
+    const reviewId = parseInt(req.params.reviewId);
+    const reviews = readReviews(animeId);
+    const review = reviews.find(r => r.id === reviewId);
+
+    if (!review) {
+        return res.status(404).json({ error: 'Review not found' });
+    }
+
+    if (!REVIEW_STATUSES.includes(req.body.status)) {
+        return res.status(400).json({ error: `Status must be one of: ${REVIEW_STATUSES.join(', ')}` });
+    }
+
+    review.status = req.body.status;
+
+    if (writeReviews(animeId, reviews)) {
+        res.json(publicReview(review));
+    } else {
+        res.status(500).json({ error: 'Failed to update review' });
+    }
+}));
+
+// Delete a review
+app.delete('/api/animes/:id/reviews/:reviewId', requireAdmin, transactional((req, res) => {
+    const animeId = parseInt(req.params.id);
+    const reviewId = parseInt(req.params.reviewId);
+    const reviews = readReviews(animeId);
+    const reviewIndex = reviews.findIndex(r => r.id === reviewId);
+
+    if (reviewIndex === -1) {
+        return res.status(404).json({ error: 'Review not found' });
+    }
+
+    const deletedReview = reviews.splice(reviewIndex, 1)[0];
+
+    if (writeReviews(animeId, reviews)) {
+        res.json(publicReview(deletedReview));
+    } else {
+        res.status(500).json({ error: 'Failed to delete review' });
+    }
+}));
+
+// COMMENT ENDPOINTS
+// Get the comment threads of an episode, newest first, paginated by top-level comment
+app.get('/api/animes/:id/episodes/:episode/comments', (req, res) => {
+    const animeId = parseInt(req.params.id);
+    const episodeNumber = parseEpisodeNumber(req.params.episode);
+
+    if (!findVisibleEpisode(req, animeId, episodeNumber)) {
+        return res.status(404).json({ error: 'Episode not found' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const threads = getThreads(readComments(animeId), episodeNumber);
+
+    res.json({
+        page,
+        limit,
+        total: threads.length,
+        totalPages: Math.ceil(threads.length / limit),
+        threads: threads.slice((page - 1) * limit, page * limit).map(({ comment, replies }) => ({
+            ...publicComment(comment),
+            replies: replies.map(publicComment)
+        }))
+    });
 });
 
-// Get all episodes for an anime
-app.get('/api/animes/:id/episodes', (req, res) => {
-    const animeId = parseInt(req.params.id);
-    const episodes = readEpisodes(animeId);
-    
-    res.json(episodes);
+// Post a comment or a reply (with parentId) on an episode. Logged in users post under
+// their username; guests may give a name. Only episodes the poster can see take comments
+app.post('/api/animes/:id/episodes/:episode/comments', transactional((req, res) => {
+    const animeId = parseInt(req.params.id);
+    const episodeNumber = parseEpisodeNumber(req.params.episode);
+
+    if (!findVisibleEpisode(req, animeId, episodeNumber)) {
+        return res.status(404).json({ error: 'Episode not found' });
+    }
+
+    const { text, spoiler, name, error } = validateComment(req.body);
+
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const clientKey = getVisitorKey(req);
+
+    if (!commentLimiter.hit(clientKey)) {
+        return res.status(429).json({ error: 'You are commenting too fast. Please wait a moment.' });
+    }
+
+    const user = auth.getSessionUser(req);
+    const comments = readComments(animeId);
+    const result = addComment(comments, {
+        episodeNumber,
+        parentId: req.body.parentId,
+        clientHash: crypto.createHash('sha256').update(clientKey).digest('hex'),
+        userId: user ? user.id : null,
+        author: user ? user.username : (name || 'Guest'),
+        guest: !user,
+        text,
+        spoiler
+    });
+
+    if (result.error) {
+        return res.status(404).json({ error: result.error });
+    }
+
+    if (writeComments(animeId, comments)) {
+        res.status(201).json(publicComment(result.comment));
+    } else {
+        res.status(500).json({ error: 'Failed to save comment' });
+    }
+}));
+
+// Report a comment to the moderators
+app.post('/api/animes/:id/comments/:commentId/report', transactional((req, res) => {
+    const animeId = parseInt(req.params.id);
+    const commentId = parseInt(req.params.commentId);
+    const comments = readComments(animeId);
+    const comment = comments.find(c => c.id === commentId);
+
+    if (!comment) {
+        return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const clientKey = getVisitorKey(req);
+
+    if (!reportLimiter.hit(clientKey)) {
+        return res.status(429).json({ error: 'Too many reports. Please try again later.' });
+    }
+
+    const { added } = reportComment(comment, {
+        clientHash: crypto.createHash('sha256').update(clientKey).digest('hex'),
+        ipHash: crypto.createHash('sha256').update(`ip:${req.ip}`).digest('hex'),
+        reason: req.body.reason
+    });
+
+    if (!added || writeComments(animeId, comments)) {
+        res.json({ reported: true });
+    } else {
+        res.status(500).json({ error: 'Failed to report comment' });
+    }
+}));
+
+// Get comments for moderation across all anime. ?status=reported (the default) lists
+// reported comments no moderator has looked at yet; visible, hidden or all list those
+app.get('/api/comments', requireEditor, (req, res) => {
+    const status = req.query.status || 'reported';
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const titles = new Map(readAnimes().map(anime => [anime.id, anime.title]));
+    const items = [];
+
+    storage.keys('comments/').forEach(key => {
+        const animeId = parseInt(key.split('/')[1]);
+
+        readComments(animeId).forEach(comment => {
+            if (status === 'reported' && !needsReview(comment)) return;
+            if (COMMENT_STATUSES.includes(status) && comment.status !== status) return;
+            items.push({ ...moderationComment(comment), animeId, animeTitle: titles.get(animeId) || null });
+        });
+    });
+
+    // Most reported first in the queue, otherwise newest first
+    items.sort((a, b) => (status === 'reported' ? b.reportCount - a.reportCount : 0) ||
+        new Date(b.dateAdded) - new Date(a.dateAdded));
+
+    res.json({
+        page,
+        limit,
+        total: items.length,
+        totalPages: Math.ceil(items.length / limit),
+        items: items.slice((page - 1) * limit, page * limit)
+    });
 });
 
-// Get specific episode for an anime
-app.get('/api/animes/:id/episodes/:episode', (req, res) => {
+// Hide or show a comment, which also clears it from the moderation queue
+app.put('/api/animes/:id/comments/:commentId', requireEditor, transactional((req, res) => {
     const animeId = parseInt(req.params.id);
-    const episodeNumber = parseInt(req.params.episode);
-    const episodes = readEpisodes(animeId);
-    
-    const episode = episodes.find(ep => ep.episodeNumber === episodeNumber);
-    
-    if (!episode) {
-        return res.status(404).json({ error: 'Episode not found' });
+    const commentId = parseInt(req.params.commentId);
+    const comments = readComments(animeId);
+    const comment = comments.find(c => c.id === commentId);
+
+    if (!comment) {
+        return res.status(404).json({ error: 'Comment not found' });
     }
-    
-    res.json(episode);
-});
 
-// Get video source for an episode
-app.get('/api/animes/:id/episodes/:episode/server/:server', (req, res) => {
-    const animeId = parseInt(req.params.id);
-    const episodeNumber = parseInt(req.params.episode);
-    const serverNumber = parseInt(req.params.server);
-    
-    const episodes = readEpisodes(animeId);
-    const episode = episodes.find(ep => ep.episodeNumber === episodeNumber);
-    
-    if (!episode) {
-        return res.status(404).json({ error: 'Episode not found' });
+    if (!COMMENT_STATUSES.includes(req.body.status)) {
+        return res.status(400).json({ error: `Status must be one of: ${COMMENT_STATUSES.join(', ')}` });
     }
-    
-    const serverKey = `server${serverNumber}`;
-    
-    if (!episode.sources || !episode.sources[serverKey]) {
-        return res.status(404).json({ error: 'Video source not found' });
+
+    moderateComment(comment, req.body.status);
+
+    if (writeComments(animeId, comments)) {
+        res.json(moderationComment(comment));
+    } else {
+        res.status(500).json({ error: 'Failed to update comment' });
     }
-    
-    // Check if it's a local file or external URL
-    const videoPath = episode.sources[serverKey];
-    
-    if (videoPath.startsWith('http')) {
-        // Redirect to external URL
-        return res.redirect(videoPath);
+}));
+
+// Delete a comment along with its replies
+app.delete('/api/animes/:id/comments/:commentId', requireAdmin, transactional((req, res) => {
+    const animeId = parseInt(req.params.id);
+    const commentId = parseInt(req.params.commentId);
+    const comments = readComments(animeId);
+
+    if (!comments.some(c => c.id === commentId)) {
+        return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const removed = removeComment(comments, commentId);
+
+    if (writeComments(animeId, comments)) {
+        res.json({ deleted: removed.length });
     } else {
-        // Serve local file
-        const localPath = path.join(__dirname, videoPath);
-        
-        if (!fs.existsSync(localPath)) {
-            return res.status(404).json({ error: 'Video file not found' });
-        }
-        
-        // Stream the video file
-        const stat = fs.statSync(localPath);
-        const fileSize = stat.size;
-        const range = req.headers.range;
-        
-        if (range) {
-            const parts = range.replace(/bytes=/, '').split('-');
-            const start = parseInt(parts[0], 10);
-            const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-            const chunksize = (end - start) + 1;
-            const file = fs.createReadStream(localPath, { start, end });
-            
-            res.writeHead(206, {
-                'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-                'Accept-Ranges': 'bytes',
-                'Content-Length': chunksize,
-                'Content-Type': 'video/mp4'
-            });
-            
-            file.pipe(res);
-        } else {
-            res.writeHead(200, {
-                'Content-Length': fileSize,
-                'Content-Type': 'video/mp4'
-            });
-            
-            fs.createReadStream(localPath).pipe(res);
-        }
+        res.status(500).json({ error: 'Failed to delete comment' });
     }
-});
+}));
 
-// Add new episode
-app.post('/api/animes/:id/episodes', (req, res) => {
+// Get related anime: the other entries of its franchise in watching order, then entries
+// related to it in other ways, then up to 5 anime sharing the most genres. Each comes with
+// the relation it has to this anime, or null for genre matches
+app.get('/api/animes/:id/related', (req, res) => {
     const animeId = parseInt(req.params.id);
     const animes = readAnimes();
     
-    // Check if anime exists
-    const animeIndex = animes.findIndex(a => a.id === animeId);
-    if (animeIndex === -1) {
+    const currentAnime = animes.find(a => a.id === animeId);
+    
+    if (!currentAnime) {
         return res.status(404).json({ error: 'Anime not found' });
     }
     
-    const episodes = readEpisodes(animeId);
-    
-    // Check if episode already exists
-    const episodeNumber = parseInt(req.body.episodeNumber);
-    if (episodes.find(ep => ep.episodeNumber === episodeNumber)) {
-        return res.status(400).json({ error: 'Episode number already exists' });
-    }
+    const relations = readRelations()[animeId] || [];
+    const franchise = findFranchise(readFranchises(), animeId);
+    const related = [];
     
-    const newEpisode = {
-        ...req.body,
-        episodeNumber: episodeNumber,
-        dateAdded: new Date().toISOString()
+    const addRelated = (id, relation) => {
+        const anime = animes.find(a => a.id === id);
+        if (anime && !related.some(item => item.anime.id === id)) {
+            related.push({ anime, relation });
+        }
     };
     
-    episodes.push(newEpisode);
+    if (franchise) {
+        franchise.entries.forEach((id, index) => {
+            if (id === animeId) return;
+            const explicit = relations.find(relation => relation.animeId === id);
+            addRelated(id, {
+                type: explicit ? explicit.type : 'franchise',
+                label: explicit ? RELATION_TYPES[explicit.type].label : franchise.name,
+                franchise: { id: franchise.id, name: franchise.name, position: index + 1 }
+            });
+        });
+    }
     
-    if (writeEpisodes(animeId, episodes)) {
-        // Update the episodes count and current episode in the anime record
-        animes[animeIndex].episodes = Math.max(animes[animeIndex].episodes || 0, episodes.length);
-        animes[animeIndex].currentEpisode = episodes.length;
-        writeAnimes(animes);
-        
-        res.status(201).json(newEpisode);
-    } else {
-        res.status(500).json({ error: 'Failed to add episode' });
+    relations.forEach(relation => {
+        addRelated(relation.animeId, { type: relation.type, label: RELATION_TYPES[relation.type].label, franchise: null });
+    });
+    
+    // Fill up with anime based on genres
+    if (currentAnime.genres && currentAnime.genres.length > 0) {
+        animes
+            .filter(anime => 
+                anime.id !== animeId && // Exclude current anime
+                !related.some(item => item.anime.id === anime.id) &&
+                anime.genres && 
+                anime.genres.some(genre => currentAnime.genres.includes(genre))
+            )
+            .sort((a, b) => {
+                // Count matching genres
+                const aMatches = a.genres.filter(genre => currentAnime.genres.includes(genre)).length;
+                const bMatches = b.genres.filter(genre => currentAnime.genres.includes(genre)).length;
+                
+                return bMatches - aMatches;
+            })
+            .slice(0, 5) // Get top 5 related
+            .forEach(anime => related.push({ anime, relation: null }));
     }
+    
+    const stats = readAnimeStats();
+    res.json(related.map(item => ({ ...addAnimeDefaults(item.anime, stats), relation: item.relation })));
 });
 
-// Upload episode video
-app.post('/api/animes/:id/episodes/upload', upload.single('video'), (req, res) => {
+// RELATION ENDPOINTS
+// Short form of an anime for relation and franchise listings
+function relatedAnimeSummary(anime) {
+    return {
+        id: anime.id,
+        title: anime.title,
+        poster: anime.poster,
+        type: anime.type || 'TV',
+        status: anime.status,
+        currentEpisode: anime.currentEpisode || 0,
+        episodes: anime.episodes || 0
+    };
+}
+
+// Franchise with its entries in watching order. Entries of deleted anime are left out
+function publicFranchise(franchise, animes) {
+    return {
+        ...franchise,
+        entries: franchise.entries
+            .map(id => animes.find(a => a.id === id))
+            .filter(Boolean)
+            .map(relatedAnimeSummary)
+    };
+}
+
+// Get the relations of an anime, its franchise and what to watch after it
+app.get('/api/animes/:id/relations', (req, res) => {
     const animeId = parseInt(req.params.id);
     const animes = readAnimes();
     
-    // Check if anime exists
-    const animeIndex = animes.findIndex(a => a.id === animeId);
-    if (animeIndex === -1) {
+    if (!animes.some(a => a.id === animeId)) {
         return res.status(404).json({ error: 'Anime not found' });
     }
     
-    if (!req.file) {
-        return res.status(400).json({ error: 'No video file uploaded' });
-    }
-    
-    const episodes = readEpisodes(animeId);
-    
-    // Check if episode already exists
-    const episodeNumber = parseInt(req.body.episodeNumber);
-    const episodeIndex = episodes.findIndex(ep => ep.episodeNumber === episodeNumber);
-    
-    // Relative path to the uploaded file
-    const videoPath = path.relative(__dirname, req.file.path);
-    
-    // Create or update episode
-    if (episodeIndex === -1) {
-        // Create new episode
-        const newEpisode = {
-            episodeNumber: episodeNumber,
-            title: req.body.title || `Episode ${episodeNumber}`,
-            description: req.body.description || '',
-            sources: {
-                server1: videoPath
-            },
-            dateAdded: new Date().toISOString()
-        };
-        
-        episodes.push(newEpisode);
-    } else {
-        // Update existing episode
-        episodes[episodeIndex].sources = {
-            ...episodes[episodeIndex].sources,
-            server1: videoPath
-        };
-    }
+    const allRelations = readRelations();
+    const franchises = readFranchises();
+    const franchise = findFranchise(franchises, animeId);
+    const next = animes.find(a => a.id === getNextEntry(allRelations, franchises, animeId));
     
-    if (writeEpisodes(animeId, episodes)) {
-        // Update the episodes count and current episode in the anime record
-        animes[animeIndex].episodes = Math.max(animes[animeIndex].episodes || 0, episodes.length);
-        animes[animeIndex].currentEpisode = episodes.length;
-        writeAnimes(animes);
-        
-        res.status(201).json({ success: true, message: 'Episode video uploaded' });
-    } else {
-        res.status(500).json({ error: 'Failed to save episode data' });
-    }
+    res.json({
+        franchise: franchise ? publicFranchise(franchise, animes) : null,
+        relations: (allRelations[animeId] || [])
+            .map(relation => ({
+                type: relation.type,
+                label: RELATION_TYPES[relation.type].label,
+                anime: animes.find(a => a.id === relation.animeId)
+            }))
+            .filter(relation => relation.anime)
+            .map(relation => ({ ...relation, anime: relatedAnimeSummary(relation.anime) })),
+        next: next ? relatedAnimeSummary(next) : null
+    });
 });
 
-// Batch add episodes
-app.post('/api/animes/:id/episodes/batch', (req, res) => {
+// Replace the relations of an anime. The related entries get the inverse relation
+// (a sequel's prequel, a spin-off's parent story, ...)
+app.put('/api/animes/:id/relations', requireEditor, transactional((req, res) => {
     const animeId = parseInt(req.params.id);
-    const animes = readAnimes();
+    const animeIds = readAnimes().map(a => a.id);
     
-    // Check if anime exists
-    const animeIndex = animes.findIndex(a => a.id === animeId);
-    if (animeIndex === -1) {
+    if (!animeIds.includes(animeId)) {
         return res.status(404).json({ error: 'Anime not found' });
     }
     
-    const episodes = readEpisodes(animeId);
-    const { episodeLinks, basePattern, startEpisode, totalEpisodes, server } = req.body;
-    const addedEpisodes = [];
-    const serverKey = server || 'server1';
+    const { relations, error } = normalizeRelations(req.body.relations, animeId, animeIds);
     
-    if (episodeLinks && episodeLinks.trim()) {
-        // Process a list of links
-        const links = episodeLinks.split('\n')
-            .map(link => link.trim())
-            .filter(link => link);
-        
-        for (let i = 0; i < links.length; i++) {
-            const episodeNumber = startEpisode + i;
-            
-            // Check if episode already exists
-            const existingEpisodeIndex = episodes.findIndex(ep => ep.episodeNumber === episodeNumber);
-            
-            if (existingEpisodeIndex !== -1) {
-                // Update existing episode
-                episodes[existingEpisodeIndex].sources = {
-                    ...episodes[existingEpisodeIndex].sources,
-                    [serverKey]: links[i]
-                };
-                addedEpisodes.push(episodes[existingEpisodeIndex]);
-            } else {
-                // Create new episode
-                const newEpisode = {
-                    episodeNumber: episodeNumber,
-                    title: `Episode ${episodeNumber}`,
-                    description: '',
-                    sources: {
-                        [serverKey]: links[i]
-                    },
-                    dateAdded: new Date().toISOString()
-                };
-                
-                episodes.push(newEpisode);
-                addedEpisodes.push(newEpisode);
-            }
-        }
-    } else if (basePattern && totalEpisodes) {
-        // Process a pattern-based batch
-        for (let i = 0; i < totalEpisodes; i++) {
-            const episodeNumber = startEpisode + i;
-            const episodeLink = basePattern.replace('{episode}', episodeNumber);
-            
-            // Check if episode already exists
-            const existingEpisodeIndex = episodes.findIndex(ep => ep.episodeNumber === episodeNumber);
-            
-            if (existingEpisodeIndex !== -1) {
-                // Update existing episode
-                episodes[existingEpisodeIndex].sources = {
-                    ...episodes[existingEpisodeIndex].sources,
-                    [serverKey]: episodeLink
-                };
-                addedEpisodes.push(episodes[existingEpisodeIndex]);
-            } else {
-                // Create new episode
-                const newEpisode = {
-                    episodeNumber: episodeNumber,
-                    title: `Episode ${episodeNumber}`,
-                    description: '',
-                    sources: {
-                        [serverKey]: episodeLink
-                    },
-                    dateAdded: new Date().toISOString()
-                };
-                
-                episodes.push(newEpisode);
-                addedEpisodes.push(newEpisode);
-            }
-        }
-    } else {
-        return res.status(400).json({ error: 'Invalid input for batch episode addition' });
+    if (error) {
+        return res.status(400).json({ error });
     }
     
-    // Sort episodes by episodeNumber
-    episodes.sort((a, b) => a.episodeNumber - b.episodeNumber);
+    const allRelations = setRelations(readRelations(), animeId, relations);
     
-    if (writeEpisodes(animeId, episodes)) {
-        // Update the episodes count and current episode in the anime record
-        animes[animeIndex].episodes = Math.max(animes[animeIndex].episodes || 0, episodes.length);
-        animes[animeIndex].currentEpisode = episodes.length;
-        writeAnimes(animes);
-        
-        res.status(201).json({ 
-            success: true, 
-            message: `Added/updated ${addedEpisodes.length} episodes`,
-            episodes: addedEpisodes
-        });
+    if (writeRelations(allRelations)) {
+        res.json({ relations: allRelations[animeId] || [] });
     } else {
-        res.status(500).json({ error: 'Failed to add batch episodes' });
+        res.status(500).json({ error: 'Failed to update relations' });
     }
-});
+}));
 
-// Parse and add episodes from HTML select
-app.post('/api/animes/:id/episodes/parse-select', (req, res) => {
-    const animeId = parseInt(req.params.id);
+// Get all franchises
+app.get('/api/franchises', (req, res) => {
     const animes = readAnimes();
+    res.json(readFranchises().map(franchise => publicFranchise(franchise, animes)));
+});
+
+// Get a franchise
+app.get('/api/franchises/:id', (req, res) => {
+    const franchise = readFranchises().find(f => f.id === parseInt(req.params.id));
     
-    // Check if anime exists
-    const animeIndex = animes.findIndex(a => a.id === animeId);
-    if (animeIndex === -1) {
-        return res.status(404).json({ error: 'Anime not found' });
+    if (!franchise) {
+        return res.status(404).json({ error: 'Franchise not found' });
     }
     
-    const episodes = readEpisodes(animeId);
-    const { selectHtml } = req.body;
+    res.json(publicFranchise(franchise, readAnimes()));
+});
+
+// Create a franchise from a name and its entries in watching order
+app.post('/api/franchises', requireEditor, transactional((req, res) => {
+    const animes = readAnimes();
+    const franchises = readFranchises();
+    const { name, entries, error } = normalizeFranchise(req.body, animes.map(a => a.id), franchises);
     
-    if (!selectHtml || !selectHtml.trim()) {
-        return res.status(400).json({ error: 'Select HTML content is required' });
+    if (error) {
+        return res.status(400).json({ error });
     }
     
-    try {
-        // Basic parsing of the select HTML to extract options
-        const optionRegex = /<option[^>]*value="(\d+)"[^>]*data-server1="([^"]*)"[^>]*data-server2="([^"]*)"[^>]*>[^<]*<\/option>/g;
-        const parsedEpisodes = [];
-        let match;
-        
-        while ((match = optionRegex.exec(selectHtml)) !== null) {
-            const episodeNumber = parseInt(match[1]);
-            const server1Url = match[2] === "LINK1" ? "" : match[2];
-            const server2Url = match[3].replace(/\*\*/g, ""); // Remove ** if present
-            
-            parsedEpisodes.push({
-                episodeNumber,
-                server1: server1Url,
-                server2: server2Url
-            });
-        }
-        
-        if (parsedEpisodes.length === 0) {
-            return res.status(400).json({ error: 'No valid episodes found in the provided HTML' });
-        }
-        
-        // Add or update episodes
-        const addedEpisodes = [];
-        
-        for (const parsedEp of parsedEpisodes) {
-            const existingEpisodeIndex = episodes.findIndex(ep => ep.episodeNumber === parsedEp.episodeNumber);
-            
-            if (existingEpisodeIndex !== -1) {
-                // Update existing episode
-                episodes[existingEpisodeIndex].sources = {
-                    ...episodes[existingEpisodeIndex].sources
-                };
-                if (parsedEp.server1) {
-                    episodes[existingEpisodeIndex].sources.server1 = parsedEp.server1;
-                }
-                if (parsedEp.server2) {
-                    episodes[existingEpisodeIndex].sources.server2 = parsedEp.server2;
-                }
-                addedEpisodes.push(episodes[existingEpisodeIndex]);
-            } else {
-                // Create new episode
-                const sources = {};
-                if (parsedEp.server1) sources.server1 = parsedEp.server1;
-                if (parsedEp.server2) sources.server2 = parsedEp.server2;
-                
-                const newEpisode = {
-                    episodeNumber: parsedEp.episodeNumber,
-                    title: `Episode ${parsedEp.episodeNumber}`,
-                    description: '',
-                    sources,
-                    dateAdded: new Date().toISOString()
-                };
-                
-                episodes.push(newEpisode);
-                addedEpisodes.push(newEpisode);
-            }
-        }
-        
-        // Sort episodes by episodeNumber
-        episodes.sort((a, b) => a.episodeNumber - b.episodeNumber);
-        
-        if (writeEpisodes(animeId, episodes)) {
-            // Update the episodes count and current episode in the anime record
-            animes[animeIndex].episodes = Math.max(animes[animeIndex].episodes || 0, episodes.length);
-            animes[animeIndex].currentEpisode = episodes.length;
-            writeAnimes(animes);
-            
-            res.status(201).json({ 
-                success: true, 
-                message: `Added/updated ${addedEpisodes.length} episodes`,
-                episodes: addedEpisodes
-            });
-        } else {
-            res.status(500).json({ error: 'Failed to add parsed episodes' });
-        }
-    } catch (error) {
-        console.error('Error parsing select HTML:', error);
-        res.status(500).json({ error: 'Failed to parse select HTML' });
+    const franchise = {
+        id: franchises.length > 0 ? Math.max(...franchises.map(f => f.id)) + 1 : 1,
+        name,
+        entries,
+        dateAdded: new Date().toISOString()
+    };
+    
+    franchises.push(franchise);
+    
+    if (writeFranchises(franchises)) {
+        res.status(201).json(publicFranchise(franchise, animes));
+    } else {
+        res.status(500).json({ error: 'Failed to create franchise' });
     }
-});
+}));
 
-// Get related anime
-app.get('/api/animes/:id/related', (req, res) => {
-    const animeId = parseInt(req.params.id);
+// Rename a franchise or change its entries and their order
+app.put('/api/franchises/:id', requireEditor, transactional((req, res) => {
+    const franchiseId = parseInt(req.params.id);
     const animes = readAnimes();
+    const franchises = readFranchises();
+    const franchise = franchises.find(f => f.id === franchiseId);
     
-    const currentAnime = animes.find(a => a.id === animeId);
+    if (!franchise) {
+        return res.status(404).json({ error: 'Franchise not found' });
+    }
     
-    if (!currentAnime) {
-        return res.status(404).json({ error: 'Anime not found' });
+    const { name, entries, error } = normalizeFranchise({
+        name: req.body.name !== undefined ? req.body.name : franchise.name,
+        entries: req.body.entries !== undefined ? req.body.entries : franchise.entries
+    }, animes.map(a => a.id), franchises, franchiseId);
+    
+    if (error) {
+        return res.status(400).json({ error });
     }
     
-    // Find related anime based on genres
-    let relatedAnime = [];
+    Object.assign(franchise, { name, entries, dateUpdated: new Date().toISOString() });
     
-    if (currentAnime.genres && currentAnime.genres.length > 0) {
-        relatedAnime = animes
-            .filter(anime => 
-                anime.id !== animeId && // Exclude current anime
-                anime.genres && 
-                anime.genres.some(genre => currentAnime.genres.includes(genre))
-            )
-            .sort((a, b) => {
-    // Count matching genres
-    const aMatches = a.genres.filter(genre => currentAnime.genres.includes(genre)).length;
-    const bMatches = b.genres.filter(genre => currentAnime.genres.includes(genre)).length;
+    if (writeFranchises(franchises)) {
+        res.json(publicFranchise(franchise, animes));
+    } else {
+        res.status(500).json({ error: 'Failed to update franchise' });
+    }
+}));
+
+// Delete a franchise. Its entries and their relations are kept
+app.delete('/api/franchises/:id', requireAdmin, transactional((req, res) => {
+    const franchiseId = parseInt(req.params.id);
+    const franchises = readFranchises();
+    const franchiseIndex = franchises.findIndex(f => f.id === franchiseId);
     
-    return bMatches - aMatches;
-})
-.slice(0, 5); // Get top 5 related
+    if (franchiseIndex === -1) {
+        return res.status(404).json({ error: 'Franchise not found' });
     }
     
-    // Add defaults for views and type if they don't exist
-    const relatedWithDefaults = relatedAnime.map(anime => ({
-        ...anime,
-        views: anime.views || Math.floor(Math.random() * 1000),
-        type: anime.type || 'TV',
-        currentEpisode: anime.currentEpisode || anime.episodes || 0,
-        hasSubs: anime.hasSubs !== undefined ? anime.hasSubs : true,
-        hasAudio: anime.hasAudio !== undefined ? anime.hasAudio : true,
-        isTrending: anime.isTrending || false
-    }));
+    const deletedFranchise = franchises.splice(franchiseIndex, 1)[0];
     
-    res.json(relatedWithDefaults);
-});
+    if (writeFranchises(franchises)) {
+        res.json(deletedFranchise);
+    } else {
+        res.status(500).json({ error: 'Failed to delete franchise' });
+    }
+}));
 
 // TRENDING ENDPOINTS
-// Get trending anime
+// Get trending anime. Admins can add ?breakdown=true to see how each score was made up,
+// along with the engine settings
 app.get('/api/trending', (req, res) => {
     const trending = readTrending();
-    const trendingAnimes = getTrendingAnimes();
+    const user = auth.getSessionUser(req);
+    const includeBreakdown = parseBooleanParam(req.query.breakdown) === true && user && user.role === 'admin';
+    const trendingAnimes = getTrendingAnimes({ includeBreakdown });
     
-    res.json({
+    const response = {
         mode: trending.mode,
         maxItems: trending.maxItems,
+        blendManual: trending.blendManual,
         animes: trendingAnimes
-    });
+    };
+    
+    if (includeBreakdown) {
+        response.settings = {
+            windowDays: trending.windowDays,
+            halfLifeDays: trending.halfLifeDays,
+            weights: trending.weights
+        };
+    }
+    
+    res.json(response);
 });
 
 // Update trending settings
-app.post('/api/trending/settings', (req, res) => {
-    const trending = readTrending();
+app.post('/api/trending/settings', requireAdmin, transactional((req, res) => {
+    const previous = readTrending();
+    const { settings, error } = updateTrendingSettings(previous, req.body);
+    
+    if (error) {
+        return res.status(400).json({ error });
+    }
     
-    trending.mode = req.body.mode || trending.mode;
-    trending.maxItems = parseInt(req.body.maxItems) || trending.maxItems;
+    recordAudit(req.user, { action: 'update', entity: 'trending', before: previous, after: settings });
     
-    if (writeTrending(trending)) {
+    if (writeTrending(settings)) {
         res.json({ success: true, message: 'Trending settings updated' });
     } else {
         res.status(500).json({ error: 'Failed to update trending settings' });
     }
-});
+}));
 
 // Toggle anime trending status
-app.put('/api/trending/:id', (req, res) => {
+app.put('/api/trending/:id', requireEditor, transactional((req, res) => {
     const animeId = parseInt(req.params.id);
     const isTrending = req.body.isTrending === true;
     
@@ -860,6 +3486,14 @@ app.put('/api/trending/:id', (req, res) => {
         return res.status(404).json({ error: 'Anime not found' });
     }
     
+    recordAudit(req.user, {
+        action: 'update',
+        entity: 'trending',
+        entityId: animeId,
+        animeId,
+        before: { isTrending: animes[animeIndex].isTrending || false },
+        after: { isTrending }
+    });
     animes[animeIndex].isTrending = isTrending;
     
     // Update manual trending list
@@ -877,54 +3511,149 @@ app.put('/api/trending/:id', (req, res) => {
     } else {
         res.status(500).json({ error: 'Failed to update trending status' });
     }
-});
+}));
 
 // SCHEDULE ENDPOINTS
-// Get schedule
+function scheduleAnimeSummary(anime) {
+    return anime ? {
+        id: anime.id,
+        title: anime.title,
+        poster: anime.poster,
+        status: anime.status,
+        type: anime.type,
+        currentEpisode: anime.currentEpisode || 0,
+        episodes: anime.episodes || 0
+    } : null;
+}
+
+// Airings of entries saved without an episode range aren't numbered; the next one of those
+// is taken to be the episode after the latest one
+function withNextEpisodeNumber(airing, anime) {
+    if (!airing || airing.episodeNumber !== null) return airing;
+    return { ...airing, episodeNumber: ((anime && anime.currentEpisode) || 0) + 1 };
+}
+
+// A schedule entry as the API returns it, with its anime and its next airing
+function publicScheduleEntry(entry, animes, now = new Date()) {
+    const anime = animes.find(a => a.id === entry.animeId);
+
+    return {
+        ...entry,
+        next: withNextEpisodeNumber(getNextAiring([entry], now), anime),
+        anime: scheduleAnimeSummary(anime)
+    };
+}
+
+function scheduleConflictMessage(entry) {
+    return entry.kind === 'once'
+        ? 'This anime already has a one-off entry at that date and time'
+        : `This anime already has a weekly entry on ${entry.dayOfWeek} for these dates`;
+}
+
+// The dates a schedule query asks for, as days in SCHEDULE_TIMEZONE: a week (any date in it,
+// this week if empty) or from and to, both included. Returns { from, to }, null if the query
+// has no range, or { error }
+function parseScheduleRange(query, now = new Date()) {
+    if (query.week !== undefined) {
+        const date = query.week || toLocalDate(now, SCHEDULE_TIMEZONE);
+
+        if (!isValidDate(date)) {
+            return { error: 'week must be a date as YYYY-MM-DD' };
+        }
+
+        const from = getWeekStart(date);
+        return { from, to: addDays(from, 6) };
+    }
+
+    if (query.from === undefined && query.to === undefined) {
+        return null;
+    }
+    if (!isValidDate(query.from || '') || !isValidDate(query.to || '')) {
+        return { error: 'from and to must both be dates as YYYY-MM-DD' };
+    }
+    if (query.to < query.from) {
+        return { error: 'to must be on or after from' };
+    }
+    if (addDays(query.from, MAX_SCHEDULE_DAYS) <= query.to) {
+        return { error: `A schedule range can be at most ${MAX_SCHEDULE_DAYS} days` };
+    }
+
+    return { from: query.from, to: query.to };
+}
+
+// Get schedule. Without a range, every entry with its next airing. With week=YYYY-MM-DD or
+// from=YYYY-MM-DD&to=YYYY-MM-DD, every airing in those days, skipped ones included:
+//   { timezone, from, to, airings: [{ entryId, animeId, episodeNumber, airsAt, status, ... }] }
 app.get('/api/schedule', (req, res) => {
+    const now = new Date();
+    const range = parseScheduleRange(req.query, now);
+    
+    if (range && range.error) {
+        return res.status(400).json({ error: range.error });
+    }
+    
     const schedule = readSchedule();
     const animes = readAnimes();
     
-    // Attach anime data to schedule items
-    const scheduleWithAnimeData = schedule.map(item => {
-        const anime = animes.find(a => a.id === item.animeId);
-        return {
-            ...item,
-            anime: anime ? {
-                id: anime.id,
-                title: anime.title,
-                poster: anime.poster,
-                status: anime.status,
-                currentEpisode: anime.currentEpisode || 0,
-                episodes: anime.episodes || 0
-            } : null
-        };
-    });
+    if (!range) {
+        return res.json(schedule.map(entry => publicScheduleEntry(entry, animes, now)));
+    }
     
-    res.json(scheduleWithAnimeData);
+    const start = zonedTimeToDate(range.from, '00:00', SCHEDULE_TIMEZONE);
+    const end = zonedTimeToDate(addDays(range.to, 1), '00:00', SCHEDULE_TIMEZONE);
+    const airings = schedule
+        .flatMap(entry => getAirings(entry, start, end))
+        .sort((a, b) => new Date(a.airsAt) - new Date(b.airsAt))
+        .map(airing => ({ ...airing, anime: scheduleAnimeSummary(animes.find(a => a.id === airing.animeId)) }));
+    
+    res.json({ timezone: SCHEDULE_TIMEZONE, from: range.from, to: range.to, airings });
 });
 
-// Add schedule
-app.post('/api/schedule', (req, res) => {
-    const animeId = parseInt(req.body.animeId);
-    const dayOfWeek = req.body.dayOfWeek;
-    const releaseTime = req.body.releaseTime;
+// Get the schedule of one anime, with when its next episode airs and when its season ends
+// (null while any of its weekly rules has no end)
+app.get('/api/animes/:id/schedule', (req, res) => {
+    const animeId = parseInt(req.params.id);
+    const animes = readAnimes();
+    const anime = animes.find(a => a.id === animeId);
+    
+    if (!anime) {
+        return res.status(404).json({ error: 'Anime not found' });
+    }
+    
+    const now = new Date();
+    const entries = readSchedule().filter(entry => entry.animeId === animeId);
+    
+    res.json({
+        timezone: SCHEDULE_TIMEZONE,
+        entries: entries.map(entry => publicScheduleEntry(entry, animes, now)),
+        next: withNextEpisodeNumber(getNextAiring(entries, now), anime),
+        seasonEnd: getSeasonEnd(entries)
+    });
+});
+
+// Add schedule entry: a weekly rule or a one-off airing
+app.post('/api/schedule', requireEditor, transactional((req, res) => {
+    const { value, errors } = validate(SCHEDULE_SCHEMA, req.body);
     
-    // Validate inputs
-    if (!animeId || !dayOfWeek || !releaseTime) {
-        return res.status(400).json({ error: 'Missing required fields' });
+    if (errors) {
+        return res.status(400).json(validationError(errors));
     }
     
     // Check if anime exists
     const animes = readAnimes();
-    if (!animes.find(a => a.id === animeId)) {
+    if (!animes.find(a => a.id === value.animeId)) {
         return res.status(404).json({ error: 'Anime not found' });
     }
     
-    // Check if schedule already exists for this anime on this day
+    const { entry, errors: entryErrors } = normalizeScheduleEntry(value, { timezone: SCHEDULE_TIMEZONE });
+    
+    if (entryErrors) {
+        return res.status(400).json(validationError(entryErrors));
+    }
+    
     const schedule = readSchedule();
-    if (schedule.find(item => item.animeId === animeId && item.dayOfWeek === dayOfWeek)) {
-        return res.status(400).json({ error: 'Schedule already exists for this anime on this day' });
+    if (findScheduleConflict(schedule, entry)) {
+        return res.status(400).json({ error: scheduleConflictMessage(entry) });
     }
     
     // Generate ID for the schedule
@@ -932,35 +3661,79 @@ app.post('/api/schedule', (req, res) => {
     
     const newSchedule = {
         id: scheduleId,
-        animeId,
-        dayOfWeek,
-        releaseTime
+        ...entry,
+        overrides: [],
+        dateAdded: new Date().toISOString()
     };
     
     schedule.push(newSchedule);
+    recordAudit(req.user, { action: 'create', entity: 'schedule', entityId: scheduleId, animeId: entry.animeId, after: newSchedule });
     
     if (writeSchedule(schedule)) {
-        // Get anime data for response
-        const anime = animes.find(a => a.id === animeId);
-        
-        res.status(201).json({
-            ...newSchedule,
-            anime: anime ? {
-                id: anime.id,
-                title: anime.title,
-                poster: anime.poster,
-                status: anime.status,
-                currentEpisode: anime.currentEpisode || 0,
-                episodes: anime.episodes || 0
-            } : null
-        });
+        res.status(201).json(publicScheduleEntry(newSchedule, animes));
     } else {
         res.status(500).json({ error: 'Failed to add schedule' });
     }
-});
+}));
+
+// Update schedule entry. Like anime, PUT replaces every field and PATCH only the ones that
+// were sent. Its overrides are kept
+function updateScheduleEntry(req, res, partial) {
+    const scheduleId = parseInt(req.params.id);
+    const schedule = readSchedule();
+    const scheduleIndex = schedule.findIndex(s => s.id === scheduleId);
+    
+    if (scheduleIndex === -1) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+    
+    const { value, errors } = validate(SCHEDULE_SCHEMA, req.body, { partial });
+    
+    if (errors) {
+        return res.status(400).json(validationError(errors));
+    }
+    
+    const previous = schedule[scheduleIndex];
+    const fields = partial
+        ? Object.fromEntries(Object.keys(SCHEDULE_SCHEMA).map(field => [field, field in value ? value[field] : previous[field]]))
+        : value;
+    
+    const animes = readAnimes();
+    if (!animes.find(a => a.id === fields.animeId)) {
+        return res.status(404).json({ error: 'Anime not found' });
+    }
+    
+    const { entry, errors: entryErrors } = normalizeScheduleEntry(fields, { timezone: SCHEDULE_TIMEZONE });
+    
+    if (entryErrors) {
+        return res.status(400).json(validationError(entryErrors));
+    }
+    if (findScheduleConflict(schedule, { ...entry, id: scheduleId })) {
+        return res.status(400).json({ error: scheduleConflictMessage(entry) });
+    }
+    
+    schedule[scheduleIndex] = {
+        id: scheduleId,
+        ...entry,
+        overrides: previous.overrides,
+        dateAdded: previous.dateAdded,
+        dateUpdated: new Date().toISOString()
+    };
+    recordAudit(req.user, { action: 'update', entity: 'schedule', entityId: scheduleId, animeId: entry.animeId, before: previous, after: schedule[scheduleIndex] });
+    
+    if (writeSchedule(schedule)) {
+        res.json(publicScheduleEntry(schedule[scheduleIndex], animes));
+    } else {
+        res.status(500).json({ error: 'Failed to update schedule' });
+    }
+}
+
+app.put('/api/schedule/:id', requireEditor, transactional((req, res) => updateScheduleEntry(req, res, false)));
+
+app.patch('/api/schedule/:id', requireEditor, transactional((req, res) => updateScheduleEntry(req, res, true)));
 
 // Delete schedule
-app.delete('/api/schedule/:id', (req, res) => {
+app.delete('/api/schedule/:id', requireEditor, transactional((req, res) => {
     const scheduleId = parseInt(req.params.id);
     const schedule = readSchedule();
     const scheduleIndex = schedule.findIndex(s => s.id === scheduleId);
@@ -970,12 +3743,450 @@ app.delete('/api/schedule/:id', (req, res) => {
     }
     
     const deletedSchedule = schedule.splice(scheduleIndex, 1)[0];
+    recordAudit(req.user, { action: 'delete', entity: 'schedule', entityId: scheduleId, animeId: deletedSchedule.animeId, before: deletedSchedule });
     
     if (writeSchedule(schedule)) {
         res.json(deletedSchedule);
     } else {
         res.status(500).json({ error: 'Failed to delete schedule' });
     }
+}));
+
+// Add an override to a schedule entry: skip or delay one airing, or a hiatus
+app.post('/api/schedule/:id/overrides', requireEditor, transactional((req, res) => {
+    const scheduleId = parseInt(req.params.id);
+    const schedule = readSchedule();
+    const scheduleIndex = schedule.findIndex(s => s.id === scheduleId);
+    
+    if (scheduleIndex === -1) {
+        return res.status(404).json({ error: 'Schedule not found' });
+    }
+    
+    const { value, errors } = validate(SCHEDULE_OVERRIDE_SCHEMA, req.body);
+    
+    if (errors) {
+        return res.status(400).json(validationError(errors));
+    }
+    
+    const previous = schedule[scheduleIndex];
+    const { override, errors: overrideErrors } = normalizeScheduleOverride(value, previous);
+    
+    if (overrideErrors) {
+        return res.status(400).json(validationError(overrideErrors));
+    }
+    
+    schedule[scheduleIndex] = {
+        ...previous,
+        overrides: [...previous.overrides, override].sort((a, b) => a.date.localeCompare(b.date)),
+        dateUpdated: new Date().toISOString()
+    };
+    recordAudit(req.user, { action: 'update', entity: 'schedule', entityId: scheduleId, animeId: previous.animeId, before: previous, after: schedule[scheduleIndex] });
+    
+    if (writeSchedule(schedule)) {
+        res.status(201).json(publicScheduleEntry(schedule[scheduleIndex], readAnimes()));
+    } else {
+        res.status(500).json({ error: 'Failed to add override' });
+    }
+}));
+
+// Remove an override from a schedule entry
+app.delete('/api/schedule/:id/overrides/:overrideId', requireEditor, transactional((req, res) => {
+    const scheduleId = parseInt(req.params.id);
+    const overrideId = parseInt(req.params.overrideId);
+    const schedule = readSchedule();
+    const scheduleIndex = schedule.findIndex(s => s.id === scheduleId);
+    
+    if (scheduleIndex === -1 || !schedule[scheduleIndex].overrides.some(o => o.id === overrideId)) {
+        return res.status(404).json({ error: 'Override not found' });
+    }
+    
+    const previous = schedule[scheduleIndex];
+    schedule[scheduleIndex] = {
+        ...previous,
+        overrides: previous.overrides.filter(o => o.id !== overrideId),
+        dateUpdated: new Date().toISOString()
+    };
+    recordAudit(req.user, { action: 'update', entity: 'schedule', entityId: scheduleId, animeId: previous.animeId, before: previous, after: schedule[scheduleIndex] });
+    
+    if (writeSchedule(schedule)) {
+        res.json(publicScheduleEntry(schedule[scheduleIndex], readAnimes()));
+    } else {
+        res.status(500).json({ error: 'Failed to remove override' });
+    }
+}));
+
+// FEED ENDPOINTS
+// A host name or IP address with an optional port, as a Host header should be
+const HOST_HEADER_PATTERN = /^(?:[a-z0-9-]+(?:\.[a-z0-9-]+)*|\[[0-9a-f:.]+\])(?::\d{1,5})?$/i;
+
+// The URL feed links start with. Without SITE_URL it comes from the Host header, so feeds
+// then vary by host for shared caches, and a header that isn't a plain host gives null
+function getSiteUrl(req, res) {
+    if (SITE_URL) return SITE_URL;
+    
+    res.vary('Host');
+    const host = req.get('host') || '';
+    return HOST_HEADER_PATTERN.test(host) ? `${req.protocol}://${host}` : null;
+}
+
+// The anime of a feed's ?animeId=, undefined for a feed of every series, or null if there
+// is no such anime
+function findFeedAnime(req, animes) {
+    if (req.query.animeId === undefined) return undefined;
+    return animes.find(a => a.id === parseInt(req.query.animeId)) || null;
+}
+
+// Send a feed so calendar apps and feed readers can poll it cheaply. Express adds an ETag of
+// the body and answers a matching If-None-Match (or an If-Modified-Since no older than
+// lastModified) with 304 Not Modified
+function sendFeed(res, type, body, { maxAge, lastModified = null }) {
+    res.set('Cache-Control', `public, max-age=${maxAge}`);
+    if (lastModified) {
+        res.set('Last-Modified', lastModified.toUTCString());
+    }
+    res.type(type).send(body);
+}
+
+// Release schedule as an iCalendar feed, of every series or of one with ?animeId=. Delayed
+// airings keep the UID of the date they were moved from, so subscribed calendars move the
+// event instead of adding another, and skipped ones are left out. It has no Last-Modified,
+// since removing an entry doesn't leave a date behind, so clients go by the ETag
+app.get('/api/feeds/schedule.ics', (req, res) => {
+    const animes = readAnimes();
+    const anime = findFeedAnime(req, animes);
+    
+    if (anime === null) {
+        return res.status(404).json({ error: 'Anime not found' });
+    }
+    
+    const siteUrl = getSiteUrl(req, res);
+    
+    if (!siteUrl) {
+        return res.status(400).json({ error: 'Invalid Host header' });
+    }
+    const host = new URL(siteUrl).host;
+    // Whole days in the schedule's timezone, so the feed only changes once a day when the
+    // schedule isn't edited
+    const today = toLocalDate(new Date(), SCHEDULE_TIMEZONE);
+    const start = zonedTimeToDate(addDays(today, -CALENDAR_PAST_DAYS), '00:00', SCHEDULE_TIMEZONE);
+    const end = zonedTimeToDate(addDays(today, CALENDAR_FUTURE_DAYS), '00:00', SCHEDULE_TIMEZONE);
+    
+    const events = readSchedule()
+        .filter(entry => !anime || entry.animeId === anime.id)
+        .flatMap(entry => getAirings(entry, start, end)
+            .filter(airing => airing.status === 'scheduled' || airing.status === 'delayed')
+            .map(airing => ({ entry, airing, series: animes.find(a => a.id === entry.animeId) })))
+        .filter(({ series }) => series)
+        .sort((a, b) => (new Date(a.airing.airsAt) - new Date(b.airing.airsAt)) || (a.entry.id - b.entry.id))
+        .map(({ entry, airing, series }) => {
+            const episode = airing.label || (airing.episodeNumber !== null ? `Episode ${airing.episodeNumber}` : null);
+            
+            return {
+                uid: `schedule-${entry.id}-${airing.originalDate}@${host}`,
+                start: airing.airsAt,
+                end: new Date(new Date(airing.airsAt).getTime() + CALENDAR_EVENT_MINUTES * 60 * 1000),
+                stamp: entry.dateUpdated || entry.dateAdded || start,
+                summary: episode ? `${series.title} - ${episode}` : series.title,
+                description: [airing.status === 'delayed' ? 'Delayed' : '', airing.note].filter(Boolean).join(': '),
+                url: `${siteUrl}/watch.html?id=${series.id}`
+            };
+        });
+    
+    const calendar = buildCalendar({
+        name: anime ? `${anime.title} - Anime Tagalog` : 'Anime Tagalog Release Schedule',
+        description: anime ? `When new episodes of ${anime.title} air` : 'When new episodes air on Anime Tagalog',
+        events
+    });
+    
+    sendFeed(res, 'text/calendar; charset=utf-8', calendar, { maxAge: 60 * 60 });
+});
+
+// Newly added episodes as an RSS or Atom feed, of every series or of one with ?animeId=.
+// Drafts are left out until they are published, which gives them their dateAdded
+app.get(['/api/feeds/episodes.rss', '/api/feeds/episodes.atom'], (req, res) => {
+    const anime = findFeedAnime(req, readAnimes());
+    
+    if (anime === null) {
+        return res.status(404).json({ error: 'Anime not found' });
+    }
+    
+    const siteUrl = getSiteUrl(req, res);
+    
+    if (!siteUrl) {
+        return res.status(400).json({ error: 'Invalid Host header' });
+    }
+    const items = getRecentEpisodes()
+        .filter(item => item.dateAdded && (!anime || item.animeId === anime.id))
+        .sort((a, b) => (new Date(b.dateAdded) - new Date(a.dateAdded)) || (b.episodeNumber - a.episodeNumber))
+        .slice(0, FEED_ITEMS)
+        .map(item => {
+            const url = `${siteUrl}/watch.html?id=${item.animeId}&ep=${item.episodeNumber}`;
+            
+            return {
+                id: url,
+                title: `${item.anime.title} - Episode ${item.episodeNumber}`,
+                summary: item.title !== `Episode ${item.episodeNumber}` ? item.title : '',
+                url,
+                date: item.dateAdded
+            };
+        });
+    
+    const isAtom = req.path.endsWith('.atom');
+    const feed = {
+        title: anime ? `${anime.title} - Anime Tagalog` : 'Anime Tagalog - New Episodes',
+        description: anime ? `New episodes of ${anime.title}` : 'The latest Tagalog dubbed and subbed episodes',
+        url: anime ? `${siteUrl}/watch.html?id=${anime.id}` : `${siteUrl}/`,
+        selfUrl: siteUrl + req.originalUrl,
+        items
+    };
+    
+    sendFeed(res, isAtom ? 'application/atom+xml; charset=utf-8' : 'application/rss+xml; charset=utf-8',
+        isAtom ? buildAtom(feed) : buildRss(feed),
+        { maxAge: 15 * 60, lastModified: getLatestDate(items) });
+});
+
+// TRASH ENDPOINTS
+// Get the anime in the trash, most recently deleted first
+app.get('/api/trash', requireAdmin, (req, res) => {
+    const trash = readTrash().sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+    
+    res.json(trash.map(item => ({
+        ...item,
+        episodeCount: readEpisodes(item.anime.id).length
+    })));
+});
+
+// Restore an anime from the trash, along with its schedule entries and trending position
+app.post('/api/trash/:id/restore', requireAdmin, transactional((req, res) => {
+    const itemId = parseInt(req.params.id);
+    const trash = readTrash();
+    const item = trash.find(entry => entry.id === itemId);
+    
+    if (!item) {
+        return res.status(404).json({ error: 'Trash item not found' });
+    }
+    
+    const animes = readAnimes();
+    
+    if (animes.some(a => a.id === item.anime.id)) {
+        return res.status(409).json({ error: `An anime with ID ${item.anime.id} already exists` });
+    }
+    
+    animes.push(item.anime);
+    animes.sort((a, b) => a.id - b.id);
+    
+    const schedule = readSchedule();
+    schedule.push(...restoreScheduleItems(schedule, item.schedule || []));
+    
+    const trending = readTrending();
+    if (item.trendingIndex !== -1 && !trending.manualTrending.includes(item.anime.id)) {
+        trending.manualTrending.splice(Math.min(item.trendingIndex, trending.manualTrending.length), 0, item.anime.id);
+    }
+    
+    recordAudit(req.user, { action: 'restore', entity: 'anime', entityId: item.anime.id, animeId: item.anime.id, after: item.anime });
+    
+    // Drafts due while it was in the trash weren't published, their jobs come back with it
+    episodePublisher.syncAnime(item.anime.id, readEpisodes(item.anime.id));
+    
+    if (writeAnimes(animes) && writeSchedule(schedule) && writeTrending(trending) && writeTrash(trash.filter(entry => entry.id !== itemId))) {
+        res.json(item.anime);
+    } else {
+        res.status(500).json({ error: 'Failed to restore anime' });
+    }
+}));
+
+// Purge an anime from the trash now instead of waiting for its retention period to end
+app.delete('/api/trash/:id', requireAdmin, transactional((req, res) => {
+    const itemId = parseInt(req.params.id);
+    const item = readTrash().find(entry => entry.id === itemId);
+    
+    if (!item) {
+        return res.status(404).json({ error: 'Trash item not found' });
+    }
+    
+    const { error, status, removeFiles } = purgeAnime(item, req.user);
+    
+    if (error) {
+        return res.status(status).json({ error });
+    }
+    
+    afterCommit(res, removeFiles);
+    res.json({ success: true, purged: item.anime.id });
+}));
+
+// CATALOG BACKUP ENDPOINTS
+// Catalog archives can hold every uploaded video, so they are only limited by the disk
+const archiveUpload = multer({ dest: UPLOAD_TEMP_DIR });
+
+// anime-tagalog-catalog-20240501T120000Z.tar.gz
+function getArchiveName(now = new Date()) {
+    return `anime-tagalog-catalog-${now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}.tar.gz`;
+}
+
+// Save a snapshot and delete the oldest ones past SNAPSHOT_KEEP
+function saveSnapshot(reason) {
+    return takeSnapshot(storage, BACKUP_DIR, reason, SNAPSHOT_KEEP);
+}
+
+function takeScheduledSnapshot() {
+    const last = listSnapshots(BACKUP_DIR).find(snapshot => snapshot.reason === 'scheduled');
+    if (last && Date.now() - new Date(last.date) < SNAPSHOT_INTERVAL) return;
+    
+    saveSnapshot('scheduled').catch(error => console.error('Error taking a catalog snapshot:', error));
+}
+
+// Import a catalog archive (see importArchive in lib/backup). A snapshot is taken first, so
+// an import can be undone by restoring it. Episodes the import removes have their waiting
+// transcode jobs cancelled, as when they are deleted. Returns { status, body }
+async function importCatalog(filePath, { mode = 'merge', existing = 'overwrite', dryRun = false, includeUploads = true, user = null }) {
+    const result = await importArchive(filePath, {
+        storage,
+        uploadsDir: UPLOADS_DIR,
+        // Next to the uploads directory, so they can be moved into place without copying
+        stageDir: path.join(UPLOAD_TEMP_DIR, `import-${crypto.randomBytes(8).toString('hex')}`),
+        mode,
+        existing,
+        dryRun,
+        includeUploads,
+        user,
+        beforeSave: () => saveSnapshot('pre-import').then(snapshot => snapshot.name),
+        onSave: plan => {
+            Object.keys(plan.diff.episodes).forEach(id => {
+                const episodes = plan.catalog.episodes[id] || [];
+                
+                episodePublisher.syncAnime(Number(id), episodes);
+                readEpisodes(Number(id))
+                    .filter(episode => !episodes.some(ep => ep.episodeNumber === episode.episodeNumber))
+                    .forEach(episode => transcodeQueue.cancel(Number(id), episode.episodeNumber));
+            });
+        }
+    });
+
+    if (result.status === 200 && !dryRun) {
+        searchIndex.markStale();
+    }
+    return result;
+}
+
+// Download the catalog as an archive, with ?uploads=true to include the uploaded media
+app.get('/api/catalog/export', requireAdmin, (req, res) => {
+    const catalog = readStoredCatalog(storage);
+    
+    res.attachment(getArchiveName());
+    res.type('application/gzip');
+    writeArchive(res, { catalog, uploadsDir: parseBooleanParam(req.query.uploads) ? UPLOADS_DIR : null }).catch(error => {
+        // The download has started, so all that can be done is to cut it short
+        console.error('Error exporting the catalog:', error.message);
+        res.destroy();
+    });
+});
+
+// Import a catalog archive sent as the "archive" field of a form, with the fields mode
+// (merge or replace), existing (overwrite or skip), dryRun and uploads ("false" to leave
+// the archive's uploads out)
+app.post('/api/catalog/import', requireAdmin, archiveUpload.single('archive'), (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No archive uploaded' });
+    }
+    
+    importCatalog(req.file.path, {
+        mode: req.body.mode || 'merge',
+        existing: req.body.existing || 'overwrite',
+        dryRun: parseBooleanParam(req.body.dryRun) === true,
+        includeUploads: parseBooleanParam(req.body.uploads) !== false,
+        user: req.user
+    })
+    .then(result => res.status(result.status).json(result.body))
+    .catch(error => {
+        console.error('Error importing the catalog:', error);
+        res.status(500).json({ error: 'Failed to import the catalog' });
+    })
+    .finally(() => fs.rmSync(req.file.path, { force: true }));
+});
+
+// List the snapshots, newest first
+app.get('/api/catalog/snapshots', requireAdmin, (req, res) => {
+    res.json({
+        intervalHours: SNAPSHOT_INTERVAL / (60 * 60 * 1000),
+        keep: SNAPSHOT_KEEP,
+        snapshots: listSnapshots(BACKUP_DIR)
+    });
+});
+
+// Take a snapshot now
+app.post('/api/catalog/snapshots', requireAdmin, (req, res) => {
+    saveSnapshot('manual')
+        .then(snapshot => res.status(201).json(snapshot))
+        .catch(error => {
+            console.error('Error taking a catalog snapshot:', error);
+            res.status(500).json({ error: 'Failed to take snapshot' });
+        });
+});
+
+function findSnapshot(req, res) {
+    const name = req.params.name;
+    
+    if (!isSnapshotName(name) || !fs.existsSync(path.join(BACKUP_DIR, name))) {
+        res.status(404).json({ error: 'Snapshot not found' });
+        return null;
+    }
+    return path.join(BACKUP_DIR, name);
+}
+
+// Download a snapshot
+app.get('/api/catalog/snapshots/:name', requireAdmin, (req, res) => {
+    const snapshotPath = findSnapshot(req, res);
+    
+    if (snapshotPath) {
+        res.download(snapshotPath);
+    }
+});
+
+// Put the catalog back as it was in a snapshot. The current catalog is snapshotted first,
+// like before any import. Send { dryRun: true } to see what would change
+app.post('/api/catalog/snapshots/:name/restore', requireAdmin, (req, res) => {
+    const snapshotPath = findSnapshot(req, res);
+    if (!snapshotPath) return;
+    
+    importCatalog(snapshotPath, { mode: 'replace', dryRun: req.body.dryRun === true, user: req.user })
+        .then(result => res.status(result.status).json(result.body))
+        .catch(error => {
+            console.error('Error restoring a catalog snapshot:', error);
+            res.status(500).json({ error: 'Failed to restore snapshot' });
+        });
+});
+
+app.delete('/api/catalog/snapshots/:name', requireAdmin, (req, res) => {
+    const snapshotPath = findSnapshot(req, res);
+    if (!snapshotPath) return;
+    
+    fs.rmSync(snapshotPath, { force: true });
+    res.json({ success: true, message: 'Snapshot deleted' });
+});
+
+// AUDIT LOG ENDPOINTS
+// Get the audit log, newest first. Filter with ?entity=, ?action=, ?animeId=, ?user=
+// (a username), ?from= and ?to= (dates)
+app.get('/api/audit', requireAdmin, (req, res) => {
+    if (req.query.entity && !AUDIT_ENTITIES.includes(req.query.entity)) {
+        return res.status(400).json({ error: `Entity must be one of: ${AUDIT_ENTITIES.join(', ')}` });
+    }
+    if (req.query.action && !AUDIT_ACTIONS.includes(req.query.action)) {
+        return res.status(400).json({ error: `Action must be one of: ${AUDIT_ACTIONS.join(', ')}` });
+    }
+    
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const entries = filterAuditEntries(storage.keys('audit/').flatMap(key => readData(key, [])), req.query)
+        .sort((a, b) => new Date(b.date) - new Date(a.date));
+    
+    res.json({
+        page,
+        limit,
+        total: entries.length,
+        totalPages: Math.ceil(entries.length / limit),
+        entries: entries.slice((page - 1) * limit, page * limit)
+    });
 });
 
 // API endpoint for placeholder images
@@ -995,10 +4206,6 @@ app.get('/watch', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'watch.html'));
 });
 
-app.get('/admin', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'admin.html'));
-});
-
 // Catch-all route for HTML files
 app.get('/:page.html', (req, res) => {
     const page = req.params.page;
@@ -1020,6 +4227,21 @@ app.use((req, res) => {
 app.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
     console.log(`Open http://localhost:${PORT} in your browser`);
+    
+    // Pick up transcoding jobs left over from the last run
+    transcodeQueue.start();
+    linkChecker.start(SOURCE_CHECK_INTERVAL);
+    
+    purgeExpiredTrash();
+    setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL).unref();
+    
+    // Publish drafts whose time came while the server was down, then wait for the next one
+    episodePublisher.start();
+    
+    if (SNAPSHOT_INTERVAL > 0) {
+        takeScheduledSnapshot();
+        setInterval(takeScheduledSnapshot, SNAPSHOT_CHECK_INTERVAL).unref();
+    }
 });
 
 // Handle errors
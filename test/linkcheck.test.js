@@ -0,0 +1,170 @@
+// Link checker, against a local stub HTTP server
+// The stub answers each path with what a host out there might: a plain 200, a 405 to HEAD,
+// an error status, or nothing at all for a while.
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { getSourceKey, probeUrl, createLinkChecker } = require('../lib/linkcheck');
+
+const ROUTES = {
+    '/ok': (req, res) => res.writeHead(200).end(),
+    // Only GET is allowed, as on hosts that don't answer HEAD
+    '/get-only': (req, res) => {
+        if (req.method !== 'GET') return res.writeHead(405).end();
+        res.writeHead(206, { 'Content-Range': 'bytes 0-0/10' }).end('x');
+    },
+    '/missing': (req, res) => res.writeHead(404).end(),
+    '/broken': (req, res) => res.writeHead(503).end(),
+    '/slow': (req, res) => setTimeout(() => res.writeHead(200).end(), 500)
+};
+
+let server;
+let baseUrl;
+const requests = [];
+
+test.before(async () => {
+    server = http.createServer((req, res) => {
+        requests.push({ method: req.method, url: req.url, range: req.headers.range });
+        (ROUTES[req.url] || ROUTES['/missing'])(req, res);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+});
+
+test.beforeEach(() => {
+    requests.length = 0;
+});
+
+test('probeUrl reports a source that answers HEAD as ok', async () => {
+    const result = await probeUrl(`${baseUrl}/ok`);
+
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.statusCode, 200);
+    assert.strictEqual(result.error, null);
+    assert.strictEqual(typeof result.latency, 'number');
+    assert.deepStrictEqual(requests.map(request => request.method), ['HEAD']);
+});
+
+test('probeUrl falls back to a GET for the first byte when HEAD is not allowed', async () => {
+    const result = await probeUrl(`${baseUrl}/get-only`);
+
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.statusCode, 206);
+    assert.deepStrictEqual(requests.map(request => request.method), ['HEAD', 'GET']);
+    assert.strictEqual(requests[1].range, 'bytes=0-0');
+});
+
+test('probeUrl reports error statuses', async () => {
+    const missing = await probeUrl(`${baseUrl}/missing`);
+    const broken = await probeUrl(`${baseUrl}/broken`);
+
+    assert.strictEqual(missing.ok, false);
+    assert.strictEqual(missing.statusCode, 404);
+    assert.strictEqual(missing.error, 'HTTP 404');
+    assert.strictEqual(broken.ok, false);
+    assert.strictEqual(broken.statusCode, 503);
+    assert.strictEqual(broken.error, 'HTTP 503');
+    // Only a 405 or 501 is worth a second try
+    assert.deepStrictEqual(requests.map(request => request.method), ['HEAD', 'HEAD']);
+});
+
+test('probeUrl gives up on a source that takes too long', async () => {
+    const result = await probeUrl(`${baseUrl}/slow`, 100);
+
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.statusCode, null);
+    assert.strictEqual(result.error, 'Timed out after 0.1s');
+});
+
+test('probeUrl reports a host that refuses the connection', async () => {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+
+    const result = await probeUrl(`http://127.0.0.1:${port}/`);
+
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.statusCode, null);
+    assert.strictEqual(result.error, 'ECONNREFUSED');
+});
+
+// A checker over the given sources, keeping its results in memory
+function createChecker(sources, results = {}) {
+    const store = { results };
+    const checker = createLinkChecker({
+        listSources: () => sources,
+        loadResults: () => ({ ...store.results }),
+        saveResults: saved => { store.results = saved; },
+        checkLocal: localPath => (localPath === 'uploads/1/episode_1.mp4' ? { ok: true } : { ok: false, error: 'File not found' }),
+        timeoutMs: 100
+    });
+
+    return { checker, store };
+}
+
+test('checkAll saves a healthy or broken result for each server of an episode', async () => {
+    const { checker, store } = createChecker([
+        { animeId: 1, episodeNumber: 1, server: 1, url: `${baseUrl}/ok` },
+        { animeId: 1, episodeNumber: 1, server: 2, url: `${baseUrl}/get-only` },
+        { animeId: 1, episodeNumber: 1, server: 3, url: `${baseUrl}/broken` },
+        { animeId: 1, episodeNumber: 1, server: 4, url: `${baseUrl}/slow` },
+        { animeId: 1, episodeNumber: 1, server: 5, url: 'uploads/1/episode_1.mp4' },
+        { animeId: 1, episodeNumber: 1, server: 6, url: 'uploads/1/episode_2.mp4' }
+    ]);
+
+    await checker.checkAll();
+
+    const health = server => store.results[getSourceKey(1, 1, server)];
+    assert.deepStrictEqual([1, 2, 3, 4, 5, 6].map(server => health(server).ok), [true, true, false, false, true, false]);
+    assert.strictEqual(health(1).failures, 0);
+    assert.strictEqual(health(1).lastOk, health(1).lastChecked);
+    assert.strictEqual(health(3).error, 'HTTP 503');
+    assert.strictEqual(health(3).failures, 1);
+    assert.strictEqual(health(3).lastOk, null);
+    assert.strictEqual(health(4).error, 'Timed out after 0.1s');
+    assert.strictEqual(health(6).error, 'File not found');
+    assert.strictEqual(checker.status().running, false);
+    assert.ok(checker.status().lastRun);
+});
+
+test('failures add up while the URL stays the same, and start over when it changes', async () => {
+    const key = getSourceKey(1, 1, 1);
+    const lastOk = '2024-01-01T00:00:00.000Z';
+    const sources = [{ animeId: 1, episodeNumber: 1, server: 1, url: `${baseUrl}/missing` }];
+    const { checker, store } = createChecker(sources, {
+        [key]: { url: `${baseUrl}/missing`, ok: false, failures: 2, lastOk }
+    });
+
+    await checker.checkAll();
+    assert.strictEqual(store.results[key].failures, 3);
+    assert.strictEqual(store.results[key].lastOk, lastOk);
+
+    sources[0].url = `${baseUrl}/broken`;
+    await checker.checkAll();
+    assert.strictEqual(store.results[key].failures, 1);
+    assert.strictEqual(store.results[key].lastOk, null);
+});
+
+test('checkEpisode only checks that episode and keeps the other results', async () => {
+    const { checker, store } = createChecker([
+        { animeId: 1, episodeNumber: 1, server: 1, url: `${baseUrl}/ok` },
+        { animeId: 1, episodeNumber: 2, server: 1, url: `${baseUrl}/broken` }
+    ], {
+        'gone:1:1': { url: `${baseUrl}/ok`, ok: true, failures: 0 }
+    });
+
+    const checked = await checker.checkEpisode(1, 1);
+
+    assert.deepStrictEqual(Object.keys(checked), [getSourceKey(1, 1, 1)]);
+    assert.deepStrictEqual(Object.keys(store.results).sort(), [getSourceKey(1, 1, 1), 'gone:1:1']);
+
+    // A full run forgets sources that no longer exist
+    await checker.checkAll();
+    assert.deepStrictEqual(Object.keys(store.results).sort(), [getSourceKey(1, 1, 1), getSourceKey(1, 2, 1)]);
+});
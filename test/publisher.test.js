@@ -0,0 +1,190 @@
+// Scheduled publishing, driven by a fake clock
+// Timers only fire when the test moves the clock on, and jobs are kept in memory the way
+// the server keeps them in storage.
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPublisher } = require('../lib/publisher');
+
+const START = new Date('2024-05-01T12:00:00.000Z');
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+function createClock(start = START) {
+    let now = start.getTime();
+    let timers = [];
+    let nextId = 1;
+
+    return {
+        now: () => new Date(now),
+        setTimeout: (fn, ms) => {
+            const timer = { id: nextId++, at: now + ms, fn };
+            timers.push(timer);
+            return timer;
+        },
+        clearTimeout: timer => {
+            timers = timers.filter(t => t !== timer);
+        },
+        // Move the clock on, firing the timers that come due on the way in order
+        advance(ms) {
+            const end = now + ms;
+            let due;
+            while ((due = timers.filter(t => t.at <= end).sort((a, b) => a.at - b.at || a.id - b.id)[0])) {
+                timers = timers.filter(t => t !== due);
+                now = due.at;
+                due.fn();
+            }
+            now = end;
+        },
+        pending: () => timers.length
+    };
+}
+
+// A catalog like the server's: anime, anime in the trash and episodes by anime ID. publish
+// works like publishScheduledEpisode, leaving drafts of anime that aren't in the catalog alone
+function createSite({ jobs = [], clock = createClock() } = {}) {
+    const site = {
+        clock,
+        animes: [{ id: 1 }, { id: 2 }],
+        trash: [],
+        episodes: { 1: [], 2: [] },
+        jobs,
+        published: []
+    };
+
+    site.publisher = createPublisher({
+        loadJobs: () => site.jobs.map(job => ({ ...job })),
+        saveJobs: saved => { site.jobs = saved; },
+        publish: job => {
+            const episode = (site.episodes[job.animeId] || []).find(ep => ep.episodeNumber === job.episodeNumber);
+            if (!site.animes.some(anime => anime.id === job.animeId) || !episode || !episode.draft) return;
+
+            episode.draft = false;
+            site.published.push(`${job.animeId}:${job.episodeNumber}`);
+        },
+        clock
+    });
+
+    return site;
+}
+
+function draft(episodeNumber, publishAt) {
+    return { episodeNumber, draft: true, publishAt: publishAt.toISOString() };
+}
+
+test('publishes each draft when its time comes, and not before', () => {
+    const site = createSite();
+    site.episodes[1] = [draft(1, new Date(START.getTime() + 10 * MINUTE)), draft(2, new Date(START.getTime() + 30 * MINUTE))];
+    site.publisher.start();
+    site.publisher.syncAnime(1, site.episodes[1]);
+
+    assert.strictEqual(site.publisher.pending().length, 2);
+
+    site.clock.advance(10 * MINUTE - 1);
+    assert.deepStrictEqual(site.published, []);
+
+    site.clock.advance(1);
+    assert.deepStrictEqual(site.published, ['1:1']);
+    assert.deepStrictEqual(site.publisher.pending().map(job => job.episodeNumber), [2]);
+
+    // Re-armed for the next job after running the first
+    site.clock.advance(20 * MINUTE);
+    assert.deepStrictEqual(site.published, ['1:1', '1:2']);
+    assert.deepStrictEqual(site.publisher.pending(), []);
+    assert.strictEqual(site.clock.pending(), 0);
+});
+
+test('follows edits to a series: moved and published drafts', () => {
+    const site = createSite();
+    site.publisher.start();
+    site.episodes[1] = [draft(1, new Date(START.getTime() + 10 * MINUTE))];
+    site.publisher.syncAnime(1, site.episodes[1]);
+
+    // Moved later
+    site.episodes[1][0].publishAt = new Date(START.getTime() + 60 * MINUTE).toISOString();
+    site.publisher.syncAnime(1, site.episodes[1]);
+    site.clock.advance(30 * MINUTE);
+    assert.deepStrictEqual(site.published, []);
+
+    // Published by hand, so nothing is left to wait for
+    site.episodes[1][0].draft = false;
+    site.publisher.syncAnime(1, site.episodes[1]);
+    assert.deepStrictEqual(site.publisher.pending(), []);
+    assert.strictEqual(site.clock.pending(), 0);
+});
+
+test('after a restart, publishes what came due while it was down and waits for the rest', () => {
+    const first = createSite();
+    first.episodes[1] = [draft(1, new Date(START.getTime() + 10 * MINUTE)), draft(2, new Date(START.getTime() + 2 * DAY))];
+    first.publisher.start();
+    first.publisher.syncAnime(1, first.episodes[1]);
+    first.publisher.stop();
+    assert.strictEqual(first.clock.pending(), 0);
+
+    // Back up an hour later, with the jobs and episodes it had saved
+    const site = createSite({ jobs: first.jobs, clock: createClock(new Date(START.getTime() + 60 * MINUTE)) });
+    site.episodes[1] = first.episodes[1];
+
+    site.publisher.start();
+    assert.deepStrictEqual(site.published, ['1:1']);
+    assert.deepStrictEqual(site.publisher.pending().map(job => job.episodeNumber), [2]);
+    assert.strictEqual(site.clock.pending(), 1);
+
+    site.clock.advance(2 * DAY);
+    assert.deepStrictEqual(site.published, ['1:1', '1:2']);
+});
+
+test('waits in steps for jobs further away than a timer can wait', () => {
+    const site = createSite();
+    site.episodes[2] = [draft(1, new Date(START.getTime() + 60 * DAY))];
+    site.publisher.start();
+    site.publisher.syncAnime(2, site.episodes[2]);
+
+    site.clock.advance(59 * DAY);
+    assert.deepStrictEqual(site.published, []);
+    assert.strictEqual(site.clock.pending(), 1);
+
+    site.clock.advance(DAY);
+    assert.deepStrictEqual(site.published, ['2:1']);
+});
+
+test('leaves the drafts of an anime in the trash alone until it is restored', () => {
+    const site = createSite();
+    site.episodes[1] = [draft(1, new Date(START.getTime() + 10 * MINUTE))];
+    site.episodes[2] = [draft(1, new Date(START.getTime() + 10 * MINUTE))];
+    site.publisher.start();
+    site.publisher.syncAnime(1, site.episodes[1]);
+    site.publisher.syncAnime(2, site.episodes[2]);
+
+    // Anime 1 goes to the trash
+    site.trash.push({ anime: site.animes.shift() });
+
+    site.clock.advance(10 * MINUTE);
+    assert.deepStrictEqual(site.published, ['2:1']);
+    assert.strictEqual(site.episodes[1][0].draft, true);
+    assert.deepStrictEqual(site.publisher.pending(), []);
+
+    // Restoring it brings its jobs back, and the overdue draft is published right away
+    site.animes.unshift(site.trash.pop().anime);
+    site.publisher.syncAnime(1, site.episodes[1]);
+    site.clock.advance(0);
+    assert.deepStrictEqual(site.published, ['2:1', '1:1']);
+    assert.strictEqual(site.episodes[1][0].draft, false);
+});
+
+test('stop leaves the jobs for the next start', () => {
+    const site = createSite();
+    site.episodes[1] = [draft(1, new Date(START.getTime() + 10 * MINUTE))];
+    site.publisher.syncAnime(1, site.episodes[1]);
+
+    // Not started yet, so nothing is armed
+    assert.strictEqual(site.clock.pending(), 0);
+
+    site.publisher.start();
+    site.publisher.stop();
+    site.clock.advance(20 * MINUTE);
+    assert.deepStrictEqual(site.published, []);
+    assert.strictEqual(site.publisher.pending().length, 1);
+
+    site.publisher.start();
+    assert.deepStrictEqual(site.published, ['1:1']);
+});